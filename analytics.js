@@ -0,0 +1,219 @@
+/**
+ * analytics.js
+ * Privacy-respecting analytics for the Prime Solid site
+ * - Nothing is recorded until the visitor accepts the analytics category
+ *   (consent.js); Do Not Track / Global Privacy Control always win
+ * - Events carry the page, language and a few non-personal properties –
+ *   never form values
+ * - Buffered locally and sent in batches through a pluggable sink
+ *   (navigator.sendBeacon to our endpoint by default)
+ * - Debug mode (?debug=analytics) prints every event to the console
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+
+// Default collection endpoint; override with <script src="analytics.js" data-endpoint="…">
+const ANALYTICS_ENDPOINT = (typeof document !== 'undefined' && document.currentScript?.dataset.endpoint) || '/api/events';
+
+const ANALYTICS_DEBUG_KEY = 'primesolid:analytics-debug';
+
+const ANALYTICS_BATCH_SIZE = 10;        // send as soon as this many events are waiting
+const ANALYTICS_FLUSH_MS   = 5000;      // …or after this long
+const ANALYTICS_BUFFER_MAX = 100;       // oldest events are dropped beyond this
+
+/* ============================================================
+   SINKS
+   ============================================================ */
+
+/**
+ * Sink that posts a batch as JSON with navigator.sendBeacon, which survives
+ * the page being closed; falls back to a keepalive fetch.
+ * @returns {{ send: Function }}  send(events) → whether the batch was handed over
+ */
+function createBeaconSink({ endpoint = ANALYTICS_ENDPOINT } = {}) {
+    return {
+        send(events) {
+            const body = JSON.stringify({ events });
+            if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'application/json' }))) return true;
+
+            if (typeof fetch !== 'function') return false;
+            fetch(endpoint, {
+                method:    'POST',
+                headers:   { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true,
+            }).catch(() => { /* analytics never get in the visitor's way */ });
+            return true;
+        },
+    };
+}
+
+/* ============================================================
+   CONSENT
+   ============================================================ */
+
+/**
+ * True when the browser asks sites not to track.
+ */
+function browserOptsOut() {
+    return navigator.globalPrivacyControl === true || navigator.doNotTrack === '1' || window.doNotTrack === '1';
+}
+
+function isAnalyticsDebug() {
+    try {
+        return new URLSearchParams(window.location.search).get('debug') === 'analytics'
+            || localStorage.getItem(ANALYTICS_DEBUG_KEY) === '1';
+    } catch {
+        return false;
+    }
+}
+
+/* ============================================================
+   TRACKER
+   ============================================================ */
+
+/**
+ * Creates an event tracker.
+ * @param {object}   [options]
+ * @param {object}   [options.sink]      { send(events) }, defaults to the beacon sink
+ * @param {boolean}  [options.consent]   initial consent; defaults to the analytics category
+ * @param {boolean}  [options.debug]     log every event to the console
+ * @param {number}   [options.batchSize]
+ * @param {number}   [options.flushMs]
+ * @param {Function} [options.now]       clock in ms
+ * @returns {{ track: Function, flush: Function, setConsent: Function, hasConsent: Function, pending: Function }}
+ */
+function createAnalytics({
+    sink      = createBeaconSink(),
+    consent   = getConsent('analytics'),
+    debug     = isAnalyticsDebug(),
+    batchSize = ANALYTICS_BATCH_SIZE,
+    flushMs   = ANALYTICS_FLUSH_MS,
+    now       = Date.now,
+} = {}) {
+    let granted = consent === true;
+    let buffer  = [];
+    let timer   = null;
+
+    function hasConsent() {
+        return granted && !browserOptsOut();
+    }
+
+    /**
+     * Records one event. Without consent it is dropped (and only shown in debug mode).
+     * @param {string} name   e.g. 'page_view', 'cta_click'
+     * @param {object} [props] small, non-personal properties
+     */
+    function track(name, props = {}) {
+        const event = {
+            name,
+            props,
+            page: window.location.pathname,
+            lang: typeof getLanguage === 'function' ? getLanguage() : undefined,
+            ts:   now(),
+        };
+
+        if (debug) console.debug(`[analytics] ${name}${hasConsent() ? '' : ' (not sent – no consent)'}`, props);
+        if (!hasConsent()) return;
+
+        buffer.push(event);
+        if (buffer.length > ANALYTICS_BUFFER_MAX) buffer = buffer.slice(-ANALYTICS_BUFFER_MAX);
+
+        if (buffer.length >= batchSize) flush();
+        else if (!timer) timer = setTimeout(flush, flushMs);
+    }
+
+    /**
+     * Hands every buffered event to the sink; events stay buffered if it refuses them.
+     */
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        if (!buffer.length || !hasConsent()) return;
+
+        const batch = buffer;
+        buffer = [];
+        if (!sink.send(batch)) buffer = batch.concat(buffer).slice(-ANALYTICS_BUFFER_MAX);
+    }
+
+    /**
+     * Follows the visitor's answer; withdrawing consent discards anything unsent.
+     */
+    function setConsent(value) {
+        granted = Boolean(value);
+        if (!granted) {
+            clearTimeout(timer);
+            timer  = null;
+            buffer = [];
+        }
+    }
+
+    return { track, flush, setConsent, hasConsent, pending: () => buffer.length };
+}
+
+/* ============================================================
+   SHARED TRACKER
+   ============================================================ */
+
+// The page's tracker; every script records through trackEvent(). In the
+// browser only – Node loads the file for createAnalytics()
+const analytics = typeof document !== 'undefined' ? createAnalytics() : null;
+
+/**
+ * Records an event in the page's tracker.
+ */
+function trackEvent(name, props) {
+    analytics?.track(name, props);
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+function initAnalytics() {
+    onConsentChange(choices => analytics.setConsent(choices.analytics));
+    trackEvent('page_view', { referrer: document.referrer ? new URL(document.referrer).hostname : '' });
+
+    // Declarative click tracking: data-track="event_name" data-track-foo="bar" → { foo: 'bar' }
+    document.addEventListener('click', e => {
+        const el = e.target.closest('[data-track]');
+        if (!el) return;
+
+        const props = Object.fromEntries(Object.entries(el.dataset)
+            .filter(([key]) => key.startsWith('track') && key !== 'track')
+            .map(([key, value]) => [key.charAt(5).toLowerCase() + key.slice(6), value]));
+        trackEvent(el.dataset.track, props);
+    });
+
+    // The last batch goes out as the visitor leaves
+    window.addEventListener('pagehide', () => analytics.flush());
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') analytics.flush();
+    });
+}
+
+// In the browser only
+if (typeof document !== 'undefined') {
+    // Run after the DOM is fully loaded
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAnalytics);
+    } else {
+        initAnalytics();
+    }
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createBeaconSink,
+        createAnalytics,
+        browserOptsOut,
+    };
+}
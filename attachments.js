@@ -0,0 +1,285 @@
+/**
+ * attachments.js
+ * Photo & video attachments for Prime Solid service requests
+ * - Drag-and-drop, file picker and camera capture
+ * - Type / size / count limits with readable error messages
+ * - Client-side image compression (canvas → JPEG) before upload
+ * - Removable thumbnails
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const ATTACHMENT_MAX_FILES       = 5;
+const ATTACHMENT_MAX_IMAGE_BYTES = 15 * 1024 * 1024;   // before compression
+const ATTACHMENT_MAX_VIDEO_BYTES = 50 * 1024 * 1024;   // videos are uploaded as-is
+const ATTACHMENT_MAX_TOTAL_BYTES = 80 * 1024 * 1024;
+
+const ATTACHMENT_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+const ATTACHMENT_VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/webm', 'video/3gpp'];
+
+// Compressed images are scaled to fit this box and re-encoded as JPEG
+const IMAGE_MAX_DIMENSION = 1600;
+const IMAGE_QUALITY       = 0.8;
+
+/* ============================================================
+   HELPERS
+   ============================================================ */
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return t('attach.kb', { size: Math.max(1, Math.round(bytes / 1024)) });
+    return t('attach.mb', { size: (bytes / (1024 * 1024)).toFixed(1) });
+}
+
+function attachmentKind(file) {
+    if (ATTACHMENT_IMAGE_TYPES.includes(file.type)) return 'image';
+    if (ATTACHMENT_VIDEO_TYPES.includes(file.type)) return 'video';
+    return null;
+}
+
+/**
+ * Returns an error message for a file that breaks a limit, or null.
+ */
+function checkAttachment(file) {
+    const kind = attachmentKind(file);
+    if (!kind) {
+        return t('attach.unsupported', { name: file.name });
+    }
+    if (kind === 'image' && file.size > ATTACHMENT_MAX_IMAGE_BYTES) {
+        return t('attach.imageTooLarge', { name: file.name, size: formatBytes(ATTACHMENT_MAX_IMAGE_BYTES) });
+    }
+    if (kind === 'video' && file.size > ATTACHMENT_MAX_VIDEO_BYTES) {
+        return t('attach.videoTooLarge', { name: file.name, size: formatBytes(ATTACHMENT_MAX_VIDEO_BYTES) });
+    }
+    return null;
+}
+
+/**
+ * Scales an image down and re-encodes it as JPEG.
+ * Resolves with the original file when the browser can't decode it (e.g. HEIC
+ * outside Safari) or when compression would not make it smaller.
+ */
+async function compressImage(file, { maxDimension = IMAGE_MAX_DIMENSION, quality = IMAGE_QUALITY } = {}) {
+    if (typeof createImageBitmap !== 'function') return file;
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch {
+        return file;
+    }
+
+    const scale  = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width  = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    if (!blob || blob.size >= file.size) return file;
+
+    const name = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+    return new File([blob], name, { type: 'image/jpeg', lastModified: file.lastModified });
+}
+
+/* ============================================================
+   ATTACHMENT FIELD
+   ============================================================ */
+
+/**
+ * Turns a plain <input type="file"> into a drop zone with camera capture and thumbnails.
+ * @param {HTMLInputElement} input
+ * @param {object}   options
+ * @param {Function} options.onError  (message) → void
+ * @param {Function} options.onChange (files) → void, after files are added or removed
+ * @returns {{ files: () => File[], idle: () => Promise<void>, clear: () => void }}
+ */
+function attachFileField(input, { onError, onChange = () => {} }) {
+    let items  = [];         // { file, url }
+    let adding = Promise.resolve();
+
+    input.classList.add('attachment-input');
+
+    const zone = document.createElement('label');
+    zone.className = 'attachment-dropzone';
+    zone.htmlFor = input.id;
+    zone.innerHTML = `
+        <i class="fas fa-cloud-upload-alt"></i>
+        <span><span data-i18n="attach.drop"></span> <strong data-i18n="attach.browse"></strong></span>
+        <small></small>
+    `;
+
+    // Separate input so mobile browsers open the camera straight away
+    const camera = document.createElement('input');
+    camera.type = 'file';
+    camera.accept = 'image/*,video/*';
+    camera.setAttribute('capture', 'environment');
+    camera.className = 'attachment-input';
+    camera.tabIndex = -1;
+    camera.setAttribute('aria-hidden', 'true');
+
+    const cameraBtn = document.createElement('button');
+    cameraBtn.type = 'button';
+    cameraBtn.className = 'attachment-camera';
+    cameraBtn.innerHTML = '<i class="fas fa-camera"></i> <span data-i18n="attach.camera"></span>';
+    cameraBtn.addEventListener('click', () => camera.click());
+
+    const list = document.createElement('ul');
+    list.className = 'attachment-list';
+
+    input.insertAdjacentElement('afterend', zone);
+    zone.insertAdjacentElement('afterend', cameraBtn);
+    cameraBtn.insertAdjacentElement('afterend', camera);
+    camera.insertAdjacentElement('afterend', list);
+
+    function renderLimits() {
+        zone.querySelector('small').textContent = t('attach.limits', {
+            count: ATTACHMENT_MAX_FILES,
+            image: formatBytes(ATTACHMENT_MAX_IMAGE_BYTES),
+            video: formatBytes(ATTACHMENT_MAX_VIDEO_BYTES),
+        });
+    }
+
+    function render() {
+        list.replaceChildren(...items.map(({ file, url }, index) => {
+            const item = document.createElement('li');
+            item.className = 'attachment-thumb';
+
+            const preview = attachmentKind(file) === 'video'
+                ? Object.assign(document.createElement('video'), { src: url, muted: true, preload: 'metadata' })
+                : Object.assign(document.createElement('img'), { src: url, alt: '' });
+
+            const caption = document.createElement('span');
+            caption.className = 'attachment-thumb__name';
+            caption.textContent = `${file.name} (${formatBytes(file.size)})`;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'attachment-thumb__remove';
+            remove.setAttribute('aria-label', t('attach.remove', { name: file.name }));
+            remove.innerHTML = '<i class="fas fa-times"></i>';
+            remove.addEventListener('click', () => removeAt(index));
+
+            item.append(preview, caption, remove);
+            return item;
+        }));
+    }
+
+    function removeAt(index) {
+        const [removed] = items.splice(index, 1);
+        if (removed) URL.revokeObjectURL(removed.url);
+        render();
+        onChange(files());
+    }
+
+    async function addFiles(incoming) {
+        if (!incoming.length) return;
+
+        const errors = [];
+
+        for (const file of incoming) {
+            if (items.length >= ATTACHMENT_MAX_FILES) {
+                errors.push(t('attach.tooMany', { count: ATTACHMENT_MAX_FILES }));
+                break;
+            }
+
+            const problem = checkAttachment(file);
+            if (problem) {
+                errors.push(problem);
+                continue;
+            }
+
+            const ready = attachmentKind(file) === 'image' ? await compressImage(file) : file;
+            const total = items.reduce((sum, { file: f }) => sum + f.size, 0) + ready.size;
+            if (total > ATTACHMENT_MAX_TOTAL_BYTES) {
+                errors.push(t('attach.tooLarge', { size: formatBytes(ATTACHMENT_MAX_TOTAL_BYTES) }));
+                break;
+            }
+
+            items.push({ file: ready, url: URL.createObjectURL(ready) });
+        }
+
+        render();
+        onChange(files());
+        if (errors.length) onError(errors.join(' '));
+    }
+
+    /**
+     * Adds picked or dropped files after any batch still being compressed, so
+     * the count and size limits always see every file added before.
+     */
+    function queueFiles(fileList) {
+        const incoming = Array.from(fileList ?? []);     // before the input is reset
+        adding = adding.catch(() => {}).then(() => addFiles(incoming));
+        return adding;
+    }
+
+    translatePage(zone);
+    translatePage(cameraBtn);
+    renderLimits();
+    onLanguageChange(() => {
+        renderLimits();
+        render();
+    });
+
+    input.addEventListener('change', () => {
+        queueFiles(input.files);
+        input.value = '';         // allow picking the same file again after removing it
+    });
+    camera.addEventListener('change', () => {
+        queueFiles(camera.files);
+        camera.value = '';
+    });
+
+    ['dragenter', 'dragover'].forEach(evt => zone.addEventListener(evt, e => {
+        e.preventDefault();
+        zone.classList.add('attachment-dropzone--over');
+    }));
+    ['dragleave', 'drop'].forEach(evt => zone.addEventListener(evt, () => {
+        zone.classList.remove('attachment-dropzone--over');
+    }));
+    zone.addEventListener('drop', e => {
+        e.preventDefault();
+        queueFiles(e.dataTransfer?.files);
+    });
+
+    function files() {
+        return items.map(({ file }) => file);
+    }
+
+    /**
+     * Resolves once every picked or dropped batch is added, including any
+     * queued while waiting, so files() then holds all of them.
+     */
+    async function idle() {
+        let pending;
+        do {
+            pending = adding;
+            await pending.catch(() => {});
+        } while (pending !== adding);
+    }
+
+    function clear() {
+        items.forEach(({ url }) => URL.revokeObjectURL(url));
+        items = [];
+        render();
+    }
+
+    return { files, idle, clear };
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ATTACHMENT_MAX_FILES,
+        checkAttachment,
+        compressImage,
+        attachFileField,
+    };
+}
@@ -0,0 +1,91 @@
+/**
+ * business.js
+ * The business profile – the one place for Prime Solid's name, contact
+ * details, address and licence
+ * - Read by the contact forms (recipients, submission endpoint), the structured data
+ *   (structured-data.js), the offline notice (pwa.js) and the console greeting
+ * - Call / WhatsApp links in the markup ([data-business-link]) are refreshed
+ *   from it; their static href and number still work without scripts
+ * - Opening hours live in hours.js, services in service-catalogue.js
+ */
+
+'use strict';
+
+/* ============================================================
+   PROFILE
+   ============================================================ */
+const BUSINESS_PROFILE = {
+    name:        'Prime Solid Contracting & General Maintenance',
+    shortName:   'Prime Solid',
+    nameAr:      'برايم سوليد للمقاولات والصيانة العامة',
+    description: 'Your trusted partner for all building maintenance needs in Abu Dhabi. From AC installation to electrical repairs, we\'ve got you covered.',
+    slogan:      'Your trusted partner for building maintenance in Abu Dhabi',
+    logo:        'icon.png',
+    founded:     '2022',
+    licence:     'CN-4306575',
+
+    phone:       '+971501984302',
+    whatsapp:    '971501984302',
+    email:       'promesolid2022@gmail.com',
+    languages:   ['English', 'Arabic'],
+
+    // Where the contact forms POST their requests (JSON, or multipart with
+    // attachments – see dev/mock-endpoint.js for what it receives): the URL
+    // of a form service or serverless function that allows this origin via
+    // CORS. GitHub Pages serves files only, so while this is empty the forms
+    // skip the POST and the outbox and hand the message to WhatsApp / email.
+    submitEndpoint: '',
+
+    address: {
+        street:   'Mussafah',
+        locality: 'Abu Dhabi',
+        region:   'Abu Dhabi',
+        country:  'AE',
+    },
+    geo:         { latitude: 24.35, longitude: 54.50 },
+    areaServed:  'Abu Dhabi',
+};
+
+/* ============================================================
+   CONTACT LINKS
+   ============================================================ */
+
+/**
+ * A link that calls ('tel') or messages ('whatsapp') the business.
+ */
+function businessLink(kind, profile = BUSINESS_PROFILE) {
+    return kind === 'whatsapp' ? `https://wa.me/${profile.whatsapp}` : `tel:${profile.phone}`;
+}
+
+/**
+ * Points every [data-business-link="tel|whatsapp"] under `root` at the
+ * business; links with data-business-number also show the phone number
+ * (grouped by phone.js where the page loads it). The markup keeps a working
+ * href and number, so the links never depend on this running.
+ */
+function applyBusinessLinks(root = document, profile = BUSINESS_PROFILE) {
+    root.querySelectorAll('[data-business-link]').forEach(link => {
+        link.href = businessLink(link.dataset.businessLink, profile);
+        if (link.hasAttribute('data-business-number')) {
+            link.textContent = typeof formatPhone === 'function' ? formatPhone(profile.phone) : profile.phone;
+        }
+    });
+}
+
+// In the browser only
+if (typeof document !== 'undefined') {
+    // Run after the DOM is fully loaded
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => applyBusinessLinks());
+    } else {
+        applyBusinessLinks();
+    }
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BUSINESS_PROFILE, businessLink };
+}
@@ -0,0 +1,272 @@
+/**
+ * consent.js
+ * Cookie / consent manager for the Prime Solid site
+ * - Banner on the first visit; preferences dialog (dialog.js) any time after
+ *   from the footer
+ * - Choices stored per category: necessary (always on), analytics, maps, media
+ * - JS API for other modules: getConsent(), onConsentChange(), openConsentPreferences()
+ * - Third-party content waits for its category:
+ *     [data-consent-embed="maps"]   click-to-load placeholder, swapped for the iframe
+ *     img[data-consent-src]         Unsplash photos, loaded once media is accepted
+ *     <html class="consent-media">  for third-party CSS backgrounds
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const CONSENT_STORAGE_KEY  = 'primesolid:consent';
+const CONSENT_VERSION      = 1;            // bump to ask everyone again
+const CONSENT_CHANGE_EVENT = 'consentchange';
+
+// In display order; `required` categories cannot be switched off
+const CONSENT_CATEGORIES = {
+    necessary: { required: true },
+    analytics: { required: false },
+    maps:      { required: false },
+    media:     { required: false },
+};
+
+/* ============================================================
+   STATE
+   ============================================================ */
+
+/**
+ * Reads the stored choices. Returns null when the visitor has not decided
+ * yet (or decided under an older version of the categories).
+ */
+function readStoredConsent() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+    } catch {
+        stored = null;
+    }
+    if (stored?.version !== CONSENT_VERSION || typeof stored.choices !== 'object') return null;
+    return stored;
+}
+
+/**
+ * Every category set to `value`, except the required ones which are always on.
+ */
+function consentChoices(value) {
+    return Object.fromEntries(Object.entries(CONSENT_CATEGORIES).map(([name, { required }]) => [name, required || value]));
+}
+
+// The choices in force on this page; nothing optional until the visitor says so
+let consentState = readStoredConsent()?.choices ?? consentChoices(false);
+
+/* ============================================================
+   API
+   ============================================================ */
+
+/**
+ * Whether the visitor has accepted a category.
+ */
+function getConsent(category) {
+    return CONSENT_CATEGORIES[category]?.required || consentState[category] === true;
+}
+
+/**
+ * True once the visitor has answered the banner or saved their preferences.
+ */
+function hasConsentDecision() {
+    return readStoredConsent() !== null;
+}
+
+/**
+ * Stores the visitor's choices and tells the page.
+ * @param {object} choices category → boolean; missing categories are off
+ */
+function saveConsent(choices) {
+    consentState = Object.fromEntries(Object.entries(CONSENT_CATEGORIES).map(([name, { required }]) => [name, required || choices[name] === true]));
+    try {
+        localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify({ version: CONSENT_VERSION, savedAt: Date.now(), choices: consentState }));
+    } catch {
+        // Private mode – the choices last for this page only
+    }
+
+    document.querySelector('.consent-banner')?.remove();
+    applyConsent();
+    document.dispatchEvent(new CustomEvent(CONSENT_CHANGE_EVENT, { detail: { ...consentState } }));
+}
+
+/**
+ * Calls `fn` with the choices (category → boolean) every time they are saved.
+ * @returns {Function} unsubscribe
+ */
+function onConsentChange(fn) {
+    const listener = e => fn(e.detail);
+    document.addEventListener(CONSENT_CHANGE_EVENT, listener);
+    return () => document.removeEventListener(CONSENT_CHANGE_EVENT, listener);
+}
+
+/* ============================================================
+   GATED CONTENT
+   ============================================================ */
+
+/**
+ * Replaces a click-to-load placeholder with its iframe.
+ */
+function loadEmbed(placeholder) {
+    const iframe = document.createElement('iframe');
+    iframe.src = placeholder.dataset.embedSrc;
+    iframe.title = placeholder.dataset.embedTitle ?? '';
+    iframe.width = '100%';
+    iframe.height = placeholder.dataset.embedHeight ?? '450';
+    iframe.style.cssText = 'border:0; border-radius: 15px;';
+    iframe.allowFullscreen = true;
+    iframe.loading = 'lazy';
+    iframe.referrerPolicy = 'no-referrer-when-downgrade';
+    placeholder.replaceWith(iframe);
+}
+
+/**
+ * Loads whatever the current choices allow and flags them on <html>.
+ */
+function applyConsent(root = document) {
+    Object.keys(CONSENT_CATEGORIES).forEach(category => {
+        document.documentElement.classList.toggle(`consent-${category}`, getConsent(category));
+    });
+
+    root.querySelectorAll('[data-consent-embed]').forEach(placeholder => {
+        if (getConsent(placeholder.dataset.consentEmbed)) loadEmbed(placeholder);
+    });
+
+    if (getConsent('media')) {
+        root.querySelectorAll('img[data-consent-src]').forEach(img => {
+            img.src = img.dataset.consentSrc;
+            img.removeAttribute('data-consent-src');
+        });
+    }
+}
+
+/* ============================================================
+   BANNER & PREFERENCES
+   ============================================================ */
+
+function showConsentBanner() {
+    if (document.querySelector('.consent-banner')) return;
+
+    const banner = document.createElement('section');
+    banner.className = 'consent-banner';
+    banner.setAttribute('aria-labelledby', 'consentBannerTitle');
+    banner.innerHTML = `
+        <div class="consent-banner__text">
+            <h2 id="consentBannerTitle" data-i18n="consent.title"></h2>
+            <p data-i18n="consent.text"></p>
+        </div>
+        <div class="consent-banner__actions">
+            <button type="button" class="btn btn-primary" data-consent-accept data-i18n="consent.acceptAll"></button>
+            <button type="button" class="btn btn-secondary" data-consent-reject data-i18n="consent.rejectAll"></button>
+            <button type="button" class="consent-link" data-consent-preferences data-i18n="consent.customise"></button>
+        </div>
+    `;
+    translatePage(banner);
+    document.body.appendChild(banner);
+}
+
+/**
+ * Opens the per-category preferences dialog.
+ * @returns {Promise} resolves when the dialog closes
+ */
+function openConsentPreferences() {
+    const list = document.createElement('div');
+    list.className = 'consent-categories';
+
+    Object.entries(CONSENT_CATEGORIES).forEach(([name, { required }]) => {
+        const row = document.createElement('label');
+        row.className = 'consent-category';
+        row.innerHTML = `
+            <input type="checkbox" name="${name}">
+            <span class="consent-category__text">
+                <strong></strong>
+                <small></small>
+            </span>
+        `;
+        const box = row.querySelector('input');
+        box.checked  = getConsent(name);
+        box.disabled = required;
+        row.querySelector('strong').textContent = t(`consent.${name}`);
+        row.querySelector('small').textContent  = t(`consent.${name}Text`);
+        list.appendChild(row);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'consent-dialog__actions';
+    actions.innerHTML = `
+        <button type="button" class="btn btn-primary" data-consent-save></button>
+        <button type="button" class="btn btn-secondary" data-consent-accept></button>
+    `;
+    actions.querySelector('[data-consent-save]').textContent   = t('consent.save');
+    actions.querySelector('[data-consent-accept]').textContent = t('consent.acceptAll');
+
+    const dialog = openDialog({
+        title:       t('consent.preferencesTitle'),
+        description: t('consent.preferencesText'),
+        content:     [list, actions],
+        className:   'consent-dialog',
+    });
+
+    actions.querySelector('[data-consent-save]').addEventListener('click', () => {
+        saveConsent(Object.fromEntries([...list.querySelectorAll('input')].map(box => [box.name, box.checked])));
+        dialog.close('saved');
+    });
+    actions.querySelector('[data-consent-accept]').addEventListener('click', () => {
+        saveConsent(consentChoices(true));
+        dialog.close('saved');
+    });
+
+    return dialog.closed;
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+function initConsent() {
+    applyConsent();
+    if (!hasConsentDecision()) showConsentBanner();
+
+    // Banner, footer link and click-to-load buttons (the dialog has its own handlers)
+    document.addEventListener('click', e => {
+        const button = e.target.closest('[data-consent-accept], [data-consent-reject], [data-consent-preferences], [data-consent-load], [data-consent-allow]');
+        if (!button || button.closest('.consent-dialog')) return;
+
+        if (button.matches('[data-consent-accept]')) {
+            saveConsent(consentChoices(true));
+        } else if (button.matches('[data-consent-reject]')) {
+            saveConsent(consentChoices(false));
+        } else if (button.matches('[data-consent-preferences]')) {
+            openConsentPreferences();
+        } else if (button.matches('[data-consent-load]')) {
+            // This map only, this time
+            loadEmbed(button.closest('[data-consent-embed]'));
+        } else {
+            saveConsent({ ...consentState, [button.dataset.consentAllow]: true });
+        }
+    });
+}
+
+// Run after the DOM is fully loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initConsent);
+} else {
+    initConsent();
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONSENT_CATEGORIES,
+        getConsent,
+        hasConsentDecision,
+        saveConsent,
+        onConsentChange,
+        openConsentPreferences,
+    };
+}
@@ -1,11 +1,23 @@
 /**
- * contact-form.js
- * Handles all contact form logic for Prime Solid Contracting & General Maintenance
- * - Real-time field validation
- * - Error / success UI feedback
+ * contact.js
+ * Shared form engine for every Prime Solid Contracting & General Maintenance contact form
+ * - Declarative form configs (field ids, rules, labels, channels) mounted by one controller
+ * - Schema-driven field validation (live and on submit)
+ * - Error / success UI feedback, through the shared notification centre (notifications.js)
  * - Character counter for message textarea
- * - WhatsApp & Email submission options
+ * - Photo / video attachments (attachments.js), uploaded as multipart
+ * - UAE-aware phone formatting, validation and E.164 normalisation (phone.js)
+ * - Submission to our endpoint, with WhatsApp & Email as fallback channels
+ * - Offline outbox: submissions are kept in IndexedDB until they reach us
+ * - Price estimates handed over from services.html (estimator.js)
+ * - Booking deep links (?service=…&property=…&urgent=1) that preselect the
+ *   form and scroll to it (service-catalogue.js)
+ * - Preferred visit date & time window from the business hours (hours.js, slot-picker.js)
+ * - Service area with a coverage answer as it is typed (coverage.js)
+ * - Draft autosave & restore
  * - Urgent-request visual indicator
+ * - Every visitor-facing string comes from the i18n catalogues (i18n.js)
+ * - Funnel events – form start, field errors, submit, channel choice (analytics.js)
  */
 
 'use strict';
@@ -13,56 +25,23 @@
 /* ============================================================
    CONSTANTS
    ============================================================ */
-const WHATSAPP_NUMBER = '971501984302';
-const EMAIL_ADDRESS   = 'promesolid2022@gmail.com';
-
-const SERVICE_LABELS = {
-    ac:          'AC Installation & Repair',
-    plumbing:    'Plumbing Works',
-    electrical:  'Electrical Works',
-    painting:    'Painting Services',
-    carpentry:   'Carpentry Works',
-    maintenance: 'Building Maintenance',
-    other:       'Other / General Inquiry',
-};
 
-const PROPERTY_LABELS = {
-    residential: 'Residential - Villa',
-    apartment:   'Residential - Apartment',
-    commercial:  'Commercial Office',
-    retail:      'Retail Space',
-    warehouse:   'Warehouse / Industrial',
-    other:       'Other',
-};
+// Recipient settings for every form on the site, from the business profile (business.js)
+const WHATSAPP_NUMBER = BUSINESS_PROFILE.whatsapp;
+const EMAIL_ADDRESS   = BUSINESS_PROFILE.email;
 
-const MSG_MAX_CHARS = 1000;
+// Default submission endpoint (see business.js); a form can override it with
+// data-endpoint="…". Without one, requests go out via WhatsApp / email only.
+const SUBMIT_ENDPOINT = BUSINESS_PROFILE.submitEndpoint;
 
-/* ============================================================
-   VALIDATION HELPERS
-   ============================================================ */
-
-/**
- * Returns true when the value is a non-empty string (after trimming).
- */
-function isNotEmpty(value) {
-    return value.trim().length > 0;
-}
+// Value → label map, labelled in the current language; services and property
+// types (PROPERTY_LABELS) come from service-catalogue.js
+const SERVICE_LABELS = serviceLabels();
 
-/**
- * Basic email format check.
- */
-function isValidEmail(value) {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
-}
+const MSG_MAX_CHARS = 1000;
 
-/**
- * Accepts formats: +971501984302, 0501984302, 00971501984302, 971501984302
- * Minimum 7 digits, maximum 15 digits (after stripping spaces/dashes).
- */
-function isValidPhone(value) {
-    const stripped = value.trim().replace(/[\s\-().]/g, '');
-    return /^\+?[0-9]{7,15}$/.test(stripped);
-}
+const DRAFT_KEY    = 'primesolid:contact-draft';
+const DRAFT_FIELDS = ['fullName', 'messageText', 'serviceType', 'propertyType', 'serviceArea', 'urgentService'];
 
 /* ============================================================
    UI HELPERS
@@ -75,6 +54,11 @@ function showError(fieldId, message) {
     const group = document.getElementById(fieldId)?.closest('.form-group');
     if (!group) return;
 
+    // Live validation repeats the same error on every keystroke; record it once
+    if (group.querySelector('.form-error-msg')?.textContent !== message) {
+        trackEvent('field_error', { field: fieldId });
+    }
+
     clearError(fieldId);                     // avoid duplicates
 
     group.classList.add('form-group--error');
@@ -109,469 +93,885 @@ function clearError(fieldId) {
 }
 
 /**
- * Shows a toast notification at the top-right of the screen.
- * @param {string} message
- * @param {'success'|'error'|'info'} type
+ * Injects the validation / modal styles once per page.
  */
-function showToast(message, type = 'success') {
-    // Remove any existing toast
-    document.querySelector('.cf-toast')?.remove();
-
-    const colours = {
-        success: '#28a745',
-        error:   '#dc3545',
-        info:    '#004e89',
-    };
-
-    const icons = {
-        success: 'fas fa-check-circle',
-        error:   'fas fa-times-circle',
-        info:    'fas fa-info-circle',
-    };
-
-    const toast = document.createElement('div');
-    toast.className = 'cf-toast';
-    toast.innerHTML = `<i class="${icons[type]}"></i><span>${message}</span>`;
-
-    Object.assign(toast.style, {
-        position:        'fixed',
-        top:             '100px',
-        right:           '20px',
-        display:         'flex',
-        alignItems:      'center',
-        gap:             '12px',
-        background:      colours[type],
-        color:           '#fff',
-        padding:         '16px 24px',
-        borderRadius:    '10px',
-        boxShadow:       '0 6px 20px rgba(0,0,0,0.2)',
-        zIndex:          '99999',
-        fontWeight:      '600',
-        fontSize:        '1rem',
-        maxWidth:        '360px',
-        animation:       'cfSlideIn 0.4s ease',
-    });
+function injectFormStyles() {
+    if (document.getElementById('cf-form-style')) return;
+
+    const style = document.createElement('style');
+    style.id = 'cf-form-style';
+    style.textContent = `
+        /* Validation state styles */
+        .form-group--error input,
+        .form-group--error select,
+        .form-group--error textarea {
+            border-color: #dc3545 !important;
+            background-color: #fff8f8 !important;
+        }
+        .form-group--success input,
+        .form-group--success select,
+        .form-group--success textarea {
+            border-color: #28a745 !important;
+            background-color: #f8fff9 !important;
+        }
+        .form-error-msg {
+            display: block;
+            margin-top: 6px;
+            color: #dc3545;
+            font-size: 0.85rem;
+            font-weight: 500;
+        }
+        /* Character counter */
+        .char-counter {
+            display: block;
+            text-align: right;
+            font-size: 0.82rem;
+            color: #888;
+            margin-top: 4px;
+        }
+        .char-counter.over-limit { color: #dc3545; font-weight: 600; }
+        /* Urgent checkbox highlight */
+        .urgent-active {
+            background: #fff3cd !important;
+            border: 2px solid #ff6b35 !important;
+            border-radius: 8px;
+            padding: 10px 14px !important;
+        }
+        /* Submit button loading state */
+        .btn--loading {
+            opacity: 0.75;
+            pointer-events: none;
+            cursor: not-allowed;
+        }
+        /* Channel picker (a dialog.js dialog) */
+        .cf-modal {
+            max-width: 440px;
+            text-align: center;
+        }
+        .cf-modal .dialog__description { margin-bottom: 30px; }
+        .cf-modal__buttons { display: flex; gap: 15px; justify-content: center; flex-wrap: wrap; }
+        .cf-modal__btn {
+            display: inline-flex;
+            align-items: center;
+            gap: 10px;
+            padding: 13px 28px;
+            border: none;
+            border-radius: 50px;
+            font-size: 1rem;
+            font-weight: 600;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            text-decoration: none;
+        }
+        .cf-modal__btn--whatsapp { background: #25d366; color: #fff; }
+        .cf-modal__btn--whatsapp:hover { background: #1ebe5d; transform: translateY(-2px); }
+        .cf-modal__btn--email    { background: #ff6b35; color: #fff; }
+        .cf-modal__btn--email:hover    { background: #ff5722; transform: translateY(-2px); }
+        .cf-modal__btn--cancel   { background: #f5f5f5; color: #555; }
+        .cf-modal__btn--cancel:hover   { background: #e0e0e0; }
+    `;
+    document.head.appendChild(style);
+}
 
-    // Inject keyframe once
-    if (!document.getElementById('cf-toast-style')) {
-        const style = document.createElement('style');
-        style.id = 'cf-toast-style';
-        style.textContent = `
-            @keyframes cfSlideIn {
-                from { transform: translateX(120%); opacity: 0; }
-                to   { transform: translateX(0);    opacity: 1; }
-            }
-            @keyframes cfSlideOut {
-                from { transform: translateX(0);    opacity: 1; }
-                to   { transform: translateX(120%); opacity: 0; }
-            }
-            /* Validation state styles */
-            .form-group--error input,
-            .form-group--error select,
-            .form-group--error textarea {
-                border-color: #dc3545 !important;
-                background-color: #fff8f8 !important;
-            }
-            .form-group--success input,
-            .form-group--success select,
-            .form-group--success textarea {
-                border-color: #28a745 !important;
-                background-color: #f8fff9 !important;
-            }
-            .form-error-msg {
-                display: block;
-                margin-top: 6px;
-                color: #dc3545;
-                font-size: 0.85rem;
-                font-weight: 500;
-            }
-            /* Character counter */
-            .char-counter {
-                display: block;
-                text-align: right;
-                font-size: 0.82rem;
-                color: #888;
-                margin-top: 4px;
-            }
-            .char-counter.over-limit { color: #dc3545; font-weight: 600; }
-            /* Urgent checkbox highlight */
-            .urgent-active {
-                background: #fff3cd !important;
-                border: 2px solid #ff6b35 !important;
-                border-radius: 8px;
-                padding: 10px 14px !important;
-            }
-            /* Submit button loading state */
-            .btn--loading {
-                opacity: 0.75;
-                pointer-events: none;
-                cursor: not-allowed;
-            }
-            /* Channel picker modal */
-            .cf-modal-backdrop {
-                position: fixed;
-                inset: 0;
-                background: rgba(0,0,0,0.55);
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                z-index: 99998;
-                animation: cfFadeIn 0.25s ease;
-            }
-            @keyframes cfFadeIn {
-                from { opacity: 0; } to { opacity: 1; }
-            }
-            .cf-modal {
-                background: #fff;
-                border-radius: 18px;
-                padding: 40px 35px;
-                max-width: 440px;
-                width: 90%;
-                text-align: center;
-                box-shadow: 0 20px 60px rgba(0,0,0,0.25);
-            }
-            .cf-modal h3 { font-size: 1.5rem; color: #1a1a2e; margin-bottom: 10px; }
-            .cf-modal p  { color: #6c757d; margin-bottom: 30px; font-size: 0.98rem; }
-            .cf-modal__buttons { display: flex; gap: 15px; justify-content: center; flex-wrap: wrap; }
-            .cf-modal__btn {
-                display: inline-flex;
-                align-items: center;
-                gap: 10px;
-                padding: 13px 28px;
-                border: none;
-                border-radius: 50px;
-                font-size: 1rem;
-                font-weight: 600;
-                cursor: pointer;
-                transition: all 0.3s ease;
-                text-decoration: none;
-            }
-            .cf-modal__btn--whatsapp { background: #25d366; color: #fff; }
-            .cf-modal__btn--whatsapp:hover { background: #1ebe5d; transform: translateY(-2px); }
-            .cf-modal__btn--email    { background: #ff6b35; color: #fff; }
-            .cf-modal__btn--email:hover    { background: #ff5722; transform: translateY(-2px); }
-            .cf-modal__btn--cancel   { background: #f5f5f5; color: #555; }
-            .cf-modal__btn--cancel:hover   { background: #e0e0e0; }
-        `;
-        document.head.appendChild(style);
-    }
+/* ============================================================
+   VALIDATION SCHEMA
+   ============================================================ */
+
+/**
+ * Rules for every contact form field, keyed like the collected data object.
+ * Both forms validate against this schema (see validation.js), live and on submit.
+ */
+const CONTACT_SCHEMA = {
+    name: {
+        triggers: ['input', 'blur'],
+        rules: [
+            { rule: 'required', message: () => t('validation.name.required') },
+        ],
+    },
+    email: {
+        triggers: ['input', 'blur'],
+        debounce: 300,
+        rules: [
+            { rule: 'required', message: () => t('validation.email.required') },
+            { rule: 'email',    message: () => t('validation.email.invalid') },
+        ],
+    },
+    phone: {
+        triggers: ['input', 'blur'],
+        debounce: 300,
+        rules: [
+            { rule: 'required', message: () => t('validation.phone.required') },
+            {
+                rule:         'phone',
+                countryField: 'phoneCountry',
+                message:      () => t('validation.phone.invalid'),
+                messages:     { 'invalid-uae': () => t('validation.phone.invalidUae') },
+            },
+        ],
+    },
+    service: {
+        triggers: ['change', 'blur'],
+        rules: [
+            { rule: 'required', message: () => t('validation.service.required') },
+        ],
+    },
+    message: {
+        triggers: ['input', 'blur'],
+        rules: [
+            { rule: 'required',  message: () => t('validation.message.required') },
+            { rule: 'minLength', value: 10,            message: () => t('validation.message.tooShort', { min: 10 }) },
+            { rule: 'maxLength', value: MSG_MAX_CHARS, message: () => t('validation.message.tooLong', { max: MSG_MAX_CHARS }) },
+        ],
+    },
+    // A visit slot is optional, and urgent requests skip it for the emergency flow
+    visitDate: {
+        triggers: ['change'],
+        rules: [
+            {
+                rule: 'custom',
+                validate: (value, values) => values.urgent || !value || (visitDateProblem(value)?.message ?? true),
+            },
+        ],
+    },
+    visitWindow: {
+        triggers: ['change'],
+        rules: [
+            {
+                rule:   'crossField',
+                fields: ['visitDate'],
+                validate: (value, values) => {
+                    // Problems with the date itself are reported on the date field
+                    if (values.urgent || !values.visitDate || visitDateProblem(values.visitDate)) return true;
+                    if (!value) return t('validation.visitWindow.required');
+                    return generateSlots(values.visitDate).some(slot => slot.value === value)
+                        || t('validation.visitWindow.gone');
+                },
+            },
+        ],
+    },
+};
+
+/* ============================================================
+   FORM CONFIGS
+   ============================================================ */
+
+/**
+ * Declarative description of every contact form on the site.
+ * Keys of `fields` are the keys of the collected data object and of `schema`.
+ *   id        – element id
+ *   type      – 'checkbox' to collect `checked` instead of `value`
+ *   tel       – phone number: formatted as typed, country selector, sent as E.164
+ *   files     – photo / video attachments, sent as multipart alongside the data
+ *   labels    – value → human label map used when building the message
+ *   coverage  – area / community: suggests the areas we serve, answers whether
+ *               we cover it and sends it as a structured area (coverage.js)
+ *   counter   – show a character counter (textarea)
+ *   highlight – class toggled on the surrounding .checkbox-group when checked
+ * `slots` names the date, time-window and urgent fields of a visit slot picker;
+ * they are sent as one structured `visit` (see describeVisit in hours.js).
+ * `estimate` lets the form pick up a price estimate from services.html
+ * (see estimator.js); it prefills the form and travels with the request.
+ * `booking` lets booking links preselect the service, property type and
+ * urgency (see bookingHref in service-catalogue.js).
+ */
+const CONTACT_FORMS = [
+    {
+        formId: 'contactFormMain',               // contact.html
+        schema: CONTACT_SCHEMA,
+        fields: {
+            name:        { id: 'fullName' },
+            email:       { id: 'emailAddress' },
+            phone:       { id: 'phoneNumber',   tel: true },
+            service:     { id: 'serviceType',   labels: SERVICE_LABELS },
+            property:    { id: 'propertyType',  labels: PROPERTY_LABELS },
+            area:        { id: 'serviceArea',   coverage: true },
+            message:     { id: 'messageText',   counter: true },
+            visitDate:   { id: 'visitDate' },
+            visitWindow: { id: 'visitWindow' },
+            attachments: { id: 'attachments',   files: true },
+            urgent:      { id: 'urgentService', type: 'checkbox', highlight: 'urgent-active' },
+        },
+        slots:    { date: 'visitDate', window: 'visitWindow', urgent: 'urgent' },
+        estimate: true,
+        booking:  true,
+        channels: ['whatsapp', 'email'],
+        outbox:   true,
+        draft:    { key: DRAFT_KEY, fields: DRAFT_FIELDS },
+    },
+    {
+        formId: 'contactForm',                   // index.html
+        schema: CONTACT_SCHEMA,
+        fields: {
+            name:     { id: 'name' },
+            email:    { id: 'email' },
+            phone:    { id: 'phone',   tel: true },
+            service:  { id: 'service', labels: SERVICE_LABELS },
+            message:  { id: 'message' },
+        },
+        booking:  true,
+        channels: ['whatsapp', 'email'],
+        outbox:   true,
+    },
+];
+
+/* ============================================================
+   BUILD MESSAGE STRING
+   ============================================================ */
+
+/**
+ * @param {object} data
+ * @param {{ service?: object, property?: object }} [labels] value → label maps
+ */
+function buildMessage(data, labels = { service: SERVICE_LABELS, property: PROPERTY_LABELS }) {
+    // "👤 Name:" and its value, values lined up in one column
+    const line = (key, value) => `${t(key).padEnd(13)}${value}`;
 
-    document.body.appendChild(toast);
+    const urgentTag = data.urgent ? `${t('message.urgent')}\n` : '';
+    const serviceLabel  = labels.service?.[data.service]   ?? data.service;
+    const propertyLabel = labels.property?.[data.property] ?? (data.property || t('message.notSpecified'));
 
-    // Auto-dismiss after 4 seconds
-    setTimeout(() => {
-        toast.style.animation = 'cfSlideOut 0.4s ease forwards';
-        setTimeout(() => toast.remove(), 400);
-    }, 4000);
+    const estimateBlock = data.estimate ? `\n------------------------------------------\n${formatEstimate(data.estimate)}` : '';
+    const visitLine = data.visit ? `\n${line('message.visit', formatVisit(data.visit))}` : '';
+    const areaLine  = data.area ? `\n${line('message.area', formatArea(data.area))}` : '';
+
+    // Files can't travel through wa.me / mailto links – ask for them separately
+    const attachmentCount = data.attachments?.length ?? 0;
+    const attachmentNote  = attachmentCount
+        ? `\n${attachmentCount === 1 ? t('message.attachmentsOne') : t('message.attachments', { count: attachmentCount })}`
+        : '';
+
+    return `${urgentTag}${t('message.title')}
+==========================================
+${line('message.name', data.name)}
+${line('message.email', data.email)}
+${line('message.phone', data.phone)}
+${line('message.service', serviceLabel)}
+${line('message.property', propertyLabel)}${areaLine}${visitLine}
+------------------------------------------
+${t('message.message')}
+${data.message}${estimateBlock}
+==========================================${attachmentNote}
+${t('message.footer')}`;
 }
 
 /* ============================================================
-   CHARACTER COUNTER
+   CHANNEL PICKER MODAL
    ============================================================ */
 
-function initCharCounter() {
-    const textarea = document.getElementById('messageText');
-    if (!textarea) return;
+const CHANNEL_BUTTONS = {
+    whatsapp: { transport: () => createWhatsAppTransport({ number: toWhatsAppNumber(WHATSAPP_NUMBER) }),             icon: 'fab fa-whatsapp', label: 'channel.whatsapp', external: true },
+    email:    { transport: () => createEmailTransport({ address: EMAIL_ADDRESS, subject: t('message.subject') }), icon: 'fas fa-envelope', label: 'channel.email',    external: false },
+};
+
+/**
+ * Asks the visitor to send the message through WhatsApp or email (dialog.js).
+ * @param {string}   message
+ * @param {Function} [onChannel] called with 'whatsapp' | 'email' once the visitor picks a channel
+ * @param {string[]} [channels]  which channel buttons to offer, in order
+ * @returns {Promise<string|null>} the chosen channel, or null when cancelled
+ */
+function showChannelModal(message, onChannel, channels = Object.keys(CHANNEL_BUTTONS)) {
+    const buttons = document.createElement('div');
+    buttons.className = 'cf-modal__buttons';
+
+    channels.forEach(name => {
+        const { transport, icon, label, external } = CHANNEL_BUTTONS[name];
+        const link = document.createElement('a');
+        link.href = transport().href(message);
+        if (external) {
+            link.target = '_blank';
+            link.rel    = 'noopener';
+        }
+        link.className = `cf-modal__btn cf-modal__btn--${name}`;
+        link.dataset.channel = name;
+        link.innerHTML = `<i class="${icon}" aria-hidden="true"></i> `;
+        link.append(t(label));
+        buttons.appendChild(link);
+    });
 
-    const counter = document.createElement('span');
-    counter.className = 'char-counter';
-    counter.textContent = `0 / ${MSG_MAX_CHARS}`;
-    textarea.insertAdjacentElement('afterend', counter);
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'cf-modal__btn cf-modal__btn--cancel';
+    cancel.textContent = t('channel.cancel');
+    buttons.appendChild(cancel);
+
+    const dialog = openDialog({
+        title:       t('channel.title'),
+        description: t('channel.text'),
+        content:     [buttons],
+        className:   'cf-modal',
+        onClose:     channel => {
+            trackEvent(channel ? 'channel_chosen' : 'channel_cancelled', channel ? { channel } : {});
+            if (channel) onChannel?.(channel);
+        },
+    });
 
-    textarea.addEventListener('input', () => {
-        const len = textarea.value.length;
-        counter.textContent = `${len} / ${MSG_MAX_CHARS}`;
-        counter.classList.toggle('over-limit', len > MSG_MAX_CHARS);
+    // The links open the channel themselves; the dialog just reports which one
+    buttons.querySelectorAll('[data-channel]').forEach(link => {
+        link.addEventListener('click', () => dialog.close(link.dataset.channel));
     });
+    cancel.addEventListener('click', () => dialog.close());
+
+    return dialog.closed;
 }
 
 /* ============================================================
-   URGENT CHECKBOX BEHAVIOUR
+   SUBMIT BUTTON STATES
    ============================================================ */
 
-function initUrgentCheckbox() {
-    const checkbox = document.getElementById('urgentService');
-    const group    = checkbox?.closest('.checkbox-group');
-    if (!checkbox || !group) return;
+const SUBMIT_STATES = {
+    loading: { icon: 'fas fa-spinner fa-spin', label: 'form.sending', busy: true },
+    success: { icon: 'fas fa-check',           label: 'form.sent',    busy: true },
+};
 
-    checkbox.addEventListener('change', () => {
-        group.classList.toggle('urgent-active', checkbox.checked);
-    });
+/**
+ * Switches the submit button between idle / loading / success / error.
+ * Idle and error restore the button's original markup; the success state
+ * reverts to idle on its own after a short pause.
+ */
+function setSubmitState(form, state) {
+    const submitBtn = form.querySelector('[type="submit"]');
+    if (!submitBtn) return;
+
+    submitBtn.dataset.idleHtml ??= submitBtn.innerHTML;
+
+    const active = SUBMIT_STATES[state];
+    if (active) {
+        submitBtn.innerHTML = `<i class="${active.icon}"></i> ${t(active.label)}`;
+    } else {
+        submitBtn.innerHTML = submitBtn.dataset.idleHtml;
+        translatePage(submitBtn);       // the language may have changed since it was cached
+    }
+
+    const busy = Boolean(active?.busy);
+    submitBtn.classList.toggle('btn--loading', busy);
+    submitBtn.disabled = busy;
+    form.setAttribute('aria-busy', String(state === 'loading'));
+
+    if (state === 'success') {
+        setTimeout(() => setSubmitState(form, 'idle'), 2500);
+    }
 }
 
 /* ============================================================
-   REAL-TIME FIELD VALIDATION
+   OFFLINE OUTBOX
    ============================================================ */
 
-function initLiveValidation() {
-    const rules = [
-        {
-            id:      'fullName',
-            events:  ['input', 'blur'],
-            validate: v => isNotEmpty(v) || 'Please enter your full name.',
-        },
-        {
-            id:      'emailAddress',
-            events:  ['input', 'blur'],
-            validate: v => {
-                if (!isNotEmpty(v))    return 'Email address is required.';
-                if (!isValidEmail(v)) return 'Please enter a valid email address.';
-                return true;
-            },
-        },
-        {
-            id:      'phoneNumber',
-            events:  ['input', 'blur'],
-            validate: v => {
-                if (!isNotEmpty(v))    return 'Phone number is required.';
-                if (!isValidPhone(v)) return 'Please enter a valid phone number.';
-                return true;
-            },
-        },
-        {
-            id:      'serviceType',
-            events:  ['change', 'blur'],
-            validate: v => isNotEmpty(v) || 'Please select a service.',
-        },
-        {
-            id:      'messageText',
-            events:  ['input', 'blur'],
-            validate: v => {
-                if (!isNotEmpty(v))             return 'Please describe your requirements.';
-                if (v.trim().length < 10)       return 'Message is too short (min 10 characters).';
-                if (v.length > MSG_MAX_CHARS)   return `Message must not exceed ${MSG_MAX_CHARS} characters.`;
-                return true;
-            },
-        },
-    ];
+// One outbox per page, shared by every mounted form
+let contactOutbox = null;
 
-    rules.forEach(({ id, events, validate }) => {
-        const el = document.getElementById(id);
-        if (!el) return;
-
-        events.forEach(evt => {
-            el.addEventListener(evt, () => {
-                const result = validate(el.value);
-                if (result === true) {
-                    showSuccess(id);
-                } else {
-                    showError(id, result);
-                }
-            });
-        });
+/**
+ * Delivers one stored submission through the HTTP transport.
+ */
+function sendSubmission({ endpoint, payload, files = [] }) {
+    return createHttpTransport({ endpoint }).send(payload, files);
+}
+
+/**
+ * Retries one stored submission now, offering another try if it still fails.
+ */
+function retryPending(id) {
+    return contactOutbox.retry(id).then(
+        () => notify(t('toast.pendingSent'), 'success'),
+        () => notify(t('toast.pendingFailed'), {
+            type:    'error',
+            actions: [{ label: t('notify.retry'), onClick: () => retryPending(id) }],
+        })
+    );
+}
+
+function initOutbox(form) {
+    if (contactOutbox || !isOutboxSupported()) return;
+
+    const updateIndicator = createOutboxIndicator(form, {
+        onRetry:    retryPending,
+        onDelete:   id => contactOutbox.remove(id),
+        onRetryAll: () => contactOutbox.flush('all').catch(() => notify(t('toast.pendingFailed'), 'error')),
+        label:      record => SERVICE_LABELS[record.payload.service] ?? record.payload.service ?? t('outbox.request'),
+    });
+
+    contactOutbox = createOutbox({ send: sendSubmission, onChange: updateIndicator });
+    contactOutbox.start().catch(err => {
+        console.warn('Outbox disabled:', err);
+        contactOutbox = null;
     });
 }
 
 /* ============================================================
-   FORM VALIDATION (full check on submit)
+   FORM CONTROLLER
    ============================================================ */
 
 /**
- * Validates all required fields.
- * Returns true when all pass, false otherwise.
+ * Mounts the validation / submit / fallback pipeline on one form.
+ * @param {object} config  One entry of CONTACT_FORMS.
+ * @returns {object|null}  The controller, or null when the form is not on this page.
  */
-function validateForm() {
-    let valid = true;
-
-    // Full Name
-    const name = document.getElementById('fullName')?.value ?? '';
-    if (!isNotEmpty(name)) {
-        showError('fullName', 'Please enter your full name.');
-        valid = false;
-    } else {
-        showSuccess('fullName');
+function createFormController(config) {
+    const form = document.getElementById(config.formId);
+    if (!form) return null;
+
+    const fields   = Object.entries(config.fields);
+    const labels   = Object.fromEntries(fields.filter(([, f]) => f.labels).map(([key, f]) => [key, f.labels]));
+    const endpoint = form.dataset.endpoint || SUBMIT_ENDPOINT;   // '' → channels only
+    let   draft   = null;
+    let   liveValidation = null;
+    let   phoneInput     = null;    // { select, country } for the tel field, if any
+    let   attachmentField = null;   // { files, idle, clear } for the files field, if any
+    let   slotPicker      = null;   // { refresh, isEmergency } when the form has a visit slot
+    let   estimate        = null;   // price estimate handed over from services.html
+
+    const elementOf = field => document.getElementById(field.id);
+
+    /* ---------- Field helpers ---------- */
+
+    function readField(field) {
+        const el = elementOf(field);
+        if (!el) return field.type === 'checkbox' ? false : '';
+        return field.type === 'checkbox' ? el.checked : el.value;
     }
 
-    // Email
-    const email = document.getElementById('emailAddress')?.value ?? '';
-    if (!isNotEmpty(email)) {
-        showError('emailAddress', 'Email address is required.');
-        valid = false;
-    } else if (!isValidEmail(email)) {
-        showError('emailAddress', 'Please enter a valid email address.');
-        valid = false;
-    } else {
-        showSuccess('emailAddress');
+    /**
+     * Sets a field as if the visitor had changed it. Values a <select> does
+     * not offer are ignored.
+     * @returns {boolean} whether the field took the value
+     */
+    function setField(key, value) {
+        const field = config.fields[key];
+        const el    = field && elementOf(field);
+        if (!el) return false;
+
+        if (field.type === 'checkbox') {
+            el.checked = Boolean(value);
+        } else {
+            if (el.tagName === 'SELECT' && ![...el.options].some(option => option.value === value)) return false;
+            el.value = value;
+        }
+        el.dispatchEvent(new Event('change'));
+        return true;
     }
 
-    // Phone
-    const phone = document.getElementById('phoneNumber')?.value ?? '';
-    if (!isNotEmpty(phone)) {
-        showError('phoneNumber', 'Phone number is required.');
-        valid = false;
-    } else if (!isValidPhone(phone)) {
-        showError('phoneNumber', 'Please enter a valid phone number.');
-        valid = false;
-    } else {
-        showSuccess('phoneNumber');
+    /**
+     * Reflects a validation result in the UI.
+     */
+    function reportField(key, result) {
+        const { id } = config.fields[key];
+        if (result === true) {
+            showSuccess(id);
+        } else {
+            showError(id, result);
+        }
     }
 
-    // Service
-    const service = document.getElementById('serviceType')?.value ?? '';
-    if (!isNotEmpty(service)) {
-        showError('serviceType', 'Please select a service.');
-        valid = false;
-    } else {
-        showSuccess('serviceType');
+    /* ---------- Enhancements ---------- */
+
+    function initCharCounter(field) {
+        const textarea = elementOf(field);
+        if (!textarea) return;
+
+        const counter = document.createElement('span');
+        counter.className = 'char-counter';
+        counter.textContent = `0 / ${MSG_MAX_CHARS}`;
+        textarea.insertAdjacentElement('afterend', counter);
+
+        textarea.addEventListener('input', () => {
+            const len = textarea.value.length;
+            counter.textContent = `${len} / ${MSG_MAX_CHARS}`;
+            counter.classList.toggle('over-limit', len > MSG_MAX_CHARS);
+        });
     }
 
-    // Message
-    const msg = document.getElementById('messageText')?.value ?? '';
-    if (!isNotEmpty(msg)) {
-        showError('messageText', 'Please describe your requirements.');
-        valid = false;
-    } else if (msg.trim().length < 10) {
-        showError('messageText', 'Message is too short (min 10 characters).');
-        valid = false;
-    } else if (msg.length > MSG_MAX_CHARS) {
-        showError('messageText', `Message must not exceed ${MSG_MAX_CHARS} characters.`);
-        valid = false;
-    } else {
-        showSuccess('messageText');
+    function initPhoneInput(key, field) {
+        const input = elementOf(field);
+        if (input) phoneInput = attachPhoneInput(input, { revalidate: () => liveValidation?.validate(key) });
     }
 
-    return valid;
-}
+    function initAttachments(field) {
+        const input = elementOf(field);
+        if (!input) return;
 
-/* ============================================================
-   BUILD MESSAGE STRING
-   ============================================================ */
+        attachmentField = attachFileField(input, {
+            onError:  message => showError(field.id, message),
+            onChange: ()      => clearError(field.id),
+        });
+    }
 
-function buildMessage(data) {
-    const urgentTag = data.urgent ? '🚨 URGENT REQUEST\n' : '';
-    const serviceLabel  = SERVICE_LABELS[data.service]  ?? data.service;
-    const propertyLabel = PROPERTY_LABELS[data.property] ?? (data.property || 'Not specified');
+    function initHighlight(field) {
+        const checkbox = elementOf(field);
+        const group    = checkbox?.closest('.checkbox-group');
+        if (!checkbox || !group) return;
 
-    return `${urgentTag}New Service Request – Prime Solid Contracting
-==========================================
-👤 Name:     ${data.name}
-📧 Email:    ${data.email}
-📞 Phone:    ${data.phone}
-🔧 Service:  ${serviceLabel}
-🏠 Property: ${propertyLabel}
-------------------------------------------
-📝 Message:
-${data.message}
-==========================================
-Sent via PrimeSolid website contact form`;
-}
+        checkbox.addEventListener('change', () => {
+            group.classList.toggle(field.highlight, checkbox.checked);
+        });
+    }
 
-/* ============================================================
-   CHANNEL PICKER MODAL
-   ============================================================ */
+    function initAreaField(field) {
+        const input = elementOf(field);
+        if (input) attachCoverageHint(input);
+    }
 
-function showChannelModal(message) {
-    const waUrl   = `https://wa.me/${WHATSAPP_NUMBER}?text=${encodeURIComponent(message)}`;
-    const mailUrl = `mailto:${EMAIL_ADDRESS}?subject=${encodeURIComponent('Service Request – Prime Solid Contracting')}&body=${encodeURIComponent(message)}`;
-
-    const backdrop = document.createElement('div');
-    backdrop.className = 'cf-modal-backdrop';
-    backdrop.innerHTML = `
-        <div class="cf-modal" role="dialog" aria-modal="true" aria-label="Choose how to send your message">
-            <h3>How would you like to send?</h3>
-            <p>Choose your preferred contact channel. We respond to WhatsApp within 30 minutes!</p>
-            <div class="cf-modal__buttons">
-                <a href="${waUrl}" target="_blank" rel="noopener" class="cf-modal__btn cf-modal__btn--whatsapp">
-                    <i class="fab fa-whatsapp"></i> WhatsApp
-                </a>
-                <a href="${mailUrl}" class="cf-modal__btn cf-modal__btn--email">
-                    <i class="fas fa-envelope"></i> Email
-                </a>
-                <button class="cf-modal__btn cf-modal__btn--cancel" id="cfModalCancel">
-                    Cancel
-                </button>
-            </div>
-        </div>
-    `;
+    function initSlotPicker() {
+        const { date, window: slot, urgent } = config.slots;
+        const dateInput    = elementOf(config.fields[date]);
+        const windowSelect = elementOf(config.fields[slot]);
+        if (!dateInput || !windowSelect) return;
+
+        const urgentInput = config.fields[urgent] ? elementOf(config.fields[urgent]) : null;
+        slotPicker = attachSlotPicker({ dateInput, windowSelect, urgentInput });
+
+        // Errors on the hidden slot fields no longer apply once the request is urgent
+        urgentInput?.addEventListener('change', () => {
+            [date, slot].forEach(key => clearError(config.fields[key].id));
+        });
+    }
+
+    /**
+     * Prefills the form from an estimate made on services.html and shows it
+     * above the form until it is sent or dismissed.
+     */
+    function initEstimate() {
+        estimate = takeEstimateHandoff();
+        if (!estimate) return;
+
+        setField('service', estimate.service);
+        setField('property', estimate.property);
+        setField('urgent', estimate.urgent);
+        if (config.fields.message && !readField(config.fields.message)) {
+            setField('message', t('estimate.quoteFor', {
+                job:      estimateJobLabel(estimate),
+                quantity: estimate.quantity,
+                unit:     unitLabel(estimate.unit, estimate.quantity),
+            }));
+        }
+
+        const note = document.createElement('div');
+        note.className = 'estimate-note';
+        note.innerHTML = `
+            <i class="fas fa-calculator"></i>
+            <p><strong data-i18n="estimate.yours"></strong> <span class="estimate-note__range"></span><br>
+            <small class="estimate-note__job"></small></p>
+            <button type="button" class="estimate-note__remove" data-i18n-aria-label="estimate.remove"><i class="fas fa-times"></i></button>
+        `;
+        translatePage(note);
+        renderEstimateNote(note);
+        note.querySelector('.estimate-note__remove').addEventListener('click', clearEstimate);
+        form.prepend(note);
+    }
+
+    function renderEstimateNote(note = form.querySelector('.estimate-note')) {
+        if (!estimate || !note) return;
+        note.querySelector('.estimate-note__range').textContent = formatEstimateRange(estimate);
+        note.querySelector('.estimate-note__job').textContent = estimateBreakdown(estimate).join(' · ');
+    }
+
+    function clearEstimate() {
+        estimate = null;
+        form.querySelector('.estimate-note')?.remove();
+    }
 
-    document.body.appendChild(backdrop);
+    /**
+     * Preselects the service, property type and urgency of a booking link.
+     * @param {{ service?: string, property?: string, urgent?: boolean }|null} booking
+     * @returns {boolean} whether the form took any of them
+     */
+    function applyBooking(booking) {
+        if (!booking) return false;
+        return ['service', 'property', 'urgent']
+            .filter(key => key in booking)
+            .map(key => setField(key, booking[key]))
+            .some(Boolean);
+    }
+
+    /**
+     * Records the first time the visitor starts filling the form in
+     * (not a draft restore or a prefill).
+     */
+    function initStartTracking() {
+        const start = e => {
+            if (!e.isTrusted) return;
+            form.removeEventListener('input', start);
+            trackEvent('form_start', { form: config.formId });
+        };
+        form.addEventListener('input', start);
+    }
+
+    function initLiveValidation() {
+        // Only the schema fields this form actually has
+        const schema = Object.fromEntries(Object.entries(config.schema).filter(([key]) => key in config.fields));
+
+        const validator = createValidator(schema, { validators: { phone: phoneRule } });
+
+        liveValidation = createLiveValidation(validator, {
+            elementOf: key => config.fields[key] ? elementOf(config.fields[key]) : null,
+            values:    collect,
+            report:    reportField,
+        });
+    }
+
+    /**
+     * Offers to restore an earlier draft, then autosaves as the visitor types.
+     * A form can set data-draft-max-age-hours="…" to change how long drafts live.
+     */
+    function initDraft() {
+        const maxAgeHours = Number(form.dataset.draftMaxAgeHours);
+
+        draft = createDraftStore({
+            key:    config.draft.key,
+            fields: config.draft.fields,
+            ...(maxAgeHours > 0 && { maxAge: maxAgeHours * 60 * 60 * 1000 }),
+        });
 
-    // Close on Cancel button
-    backdrop.querySelector('#cfModalCancel').addEventListener('click', () => backdrop.remove());
+        const saved = draft.load();
+        if (saved) offerDraft(saved);
 
-    // Close when clicking outside the modal box
-    backdrop.addEventListener('click', e => {
-        if (e.target === backdrop) backdrop.remove();
+        draft.watch(form);
+    }
+
+    /**
+     * Asks whether to restore a saved draft. Undoing a restore empties the
+     * fields again and brings the question back.
+     */
+    function offerDraft(saved) {
+        showDraftPrompt(form, saved, {
+            onRestore: () => {
+                const before = { values: Object.fromEntries(config.draft.fields.map(id => [id, readDraftField(id)])) };
+                draft.restore(saved);
+                notify(t('toast.draftRestored'), {
+                    type:    'info',
+                    actions: [{
+                        label:   t('notify.undo'),
+                        onClick: () => {
+                            draft.restore(before);
+                            offerDraft(saved);
+                        },
+                    }],
+                });
+            },
+            onDiscard: () => draft.clear(),
+        });
+    }
+
+    function readDraftField(id) {
+        const el = document.getElementById(id);
+        if (!el) return undefined;
+        return el.type === 'checkbox' ? el.checked : el.value;
+    }
+
+    /* ---------- Pipeline ---------- */
+
+    function collect() {
+        const data = Object.fromEntries(fields.filter(([, f]) => !f.files).map(([key, field]) => {
+            const value = readField(field);
+            return [key, typeof value === 'string' ? value.trim() : value];
+        }));
+        if (phoneInput) data.phoneCountry = phoneInput.country();
+        if (estimate) data.estimate = estimate;
+        if (attachmentField) {
+            data.attachments = attachmentField.files().map(({ name, type, size }) => ({ name, type, size }));
+        }
+        return data;
+    }
+
+    /**
+     * The payload we send: collected values with phone numbers in E.164
+     * and the visit slot as one structured `visit`.
+     */
+    function toPayload(data) {
+        const payload = { ...data };
+        fields.filter(([, f]) => f.tel).forEach(([key]) => {
+            payload[key] = toE164(data[key], data.phoneCountry ?? 'AE') ?? data[key];
+        });
+        delete payload.phoneCountry;
+
+        fields.filter(([, f]) => f.coverage).forEach(([key]) => {
+            const area = describeArea(data[key]);
+            if (area) payload[key] = area;
+            else delete payload[key];
+        });
+
+        if (config.slots) {
+            const { date, window: slot, urgent } = config.slots;
+            const visit = describeVisit({ date: data[date], window: data[slot], urgent: Boolean(data[urgent]) });
+            if (visit) payload.visit = visit;
+            delete payload[date];
+            delete payload[slot];
+        }
+        return payload;
+    }
+
+    function resetForm() {
+        form.reset();
+        draft?.clear();
+        attachmentField?.clear();
+        slotPicker?.refresh();
+        clearEstimate();
+        // Clear all visual states
+        fields.forEach(([, field]) => clearError(field.id));
+        form.querySelector('.char-counter')?.replaceChildren(
+            document.createTextNode(`0 / ${MSG_MAX_CHARS}`)
+        );
+        fields.filter(([, f]) => f.highlight).forEach(([, f]) => {
+            form.querySelector(`.${f.highlight}`)?.classList.remove(f.highlight);
+        });
+    }
+
+    async function handleSubmit(e) {
+        e.preventDefault();
+
+        const { valid } = await liveValidation.validateAll();
+        const submitted = outcome => trackEvent('form_submit', {
+            form:    config.formId,
+            service: config.fields.service ? readField(config.fields.service) || undefined : undefined,
+            outcome,
+        });
+        if (!valid) {
+            submitted('invalid');
+            // Scroll to first error
+            const firstError = form.querySelector('.form-group--error');
+            firstError?.scrollIntoView({ behavior: scrollBehavior(), block: 'center' });
+            notify(t('toast.fixErrors'), 'error');
+            return;
+        }
+
+        // Photos still being compressed belong to this request too
+        setSubmitState(form, 'loading');
+        await attachmentField?.idle();
+
+        const data  = toPayload(collect());
+        const files = attachmentField?.files() ?? [];
+
+        // No backend to POST to – the message goes out through WhatsApp / Email
+        if (!endpoint) {
+            setSubmitState(form, 'idle');
+            submitted('channel');
+            notify(t('toast.messageReady'), 'info');
+            showChannelModal(buildMessage(data, labels), () => resetForm(), config.channels);
+            return;
+        }
+
+        // Persist first so nothing is lost if the tab closes or the network drops
+        let record = null;
+        if (config.outbox) {
+            try {
+                record = await contactOutbox?.enqueue(endpoint, data, files);
+            } catch (err) {
+                console.warn('Outbox unavailable, sending directly:', err);
+            }
+        }
+
+        try {
+            if (record) {
+                await contactOutbox.deliver(record);
+            } else {
+                await sendSubmission({ endpoint, payload: data, files });
+            }
+        } catch (err) {
+            console.warn('Contact form submission failed:', err);
+            setSubmitState(form, 'error');
+
+            // Offline – the outbox will replay it once we're back online
+            if (record && (err.kind === 'network' || err.kind === 'timeout')) {
+                submitted('queued');
+                notify(t('toast.offlineSaved'), 'info');
+                resetForm();
+                return;
+            }
+
+            // POST failed – fall back to the manual WhatsApp / Email channels
+            submitted('failed');
+            notify(t('toast.sendFailed'), 'error');
+            showChannelModal(buildMessage(data, labels), () => {
+                if (record) contactOutbox.remove(record.id);
+            }, config.channels);
+            return;
+        }
+
+        setSubmitState(form, 'success');
+        submitted('sent');
+        notify(t('toast.sent'), 'success');
+        resetForm();
+    }
+
+    /* ---------- Mount ---------- */
+
+    fields.forEach(([key, field]) => {
+        if (field.counter)   initCharCounter(field);
+        if (field.tel)       initPhoneInput(key, field);
+        if (field.files)     initAttachments(field);
+        if (field.highlight) initHighlight(field);
+        if (field.coverage)  initAreaField(field);
     });
+    if (config.slots) initSlotPicker();
+    // An estimate is more specific than the link that led here, so it is applied last
+    const booked = config.booking ? applyBooking(currentBookingLink()) : false;
+    if (config.estimate) {
+        initEstimate();
+        onLanguageChange(() => renderEstimateNote());
+    }
+    initLiveValidation();
+    initStartTracking();
+    if (config.outbox && endpoint) initOutbox(form);
+    if (config.draft)  initDraft();
 
-    // Close on Escape key
-    const onKeydown = e => {
-        if (e.key === 'Escape') { backdrop.remove(); document.removeEventListener('keydown', onKeydown); }
-    };
-    document.addEventListener('keydown', onKeydown);
+    form.noValidate = true;     // our messages replace the browser's bubbles
+    form.addEventListener('submit', handleSubmit);
+
+    return { form, config, booked, validate: () => liveValidation.validateAll(), collect, reset: resetForm, setField, applyBooking };
 }
 
 /* ============================================================
-   FORM SUBMIT HANDLER
+   BOOKING LINKS
    ============================================================ */
 
-function handleSubmit(e) {
-    e.preventDefault();
+/**
+ * Booking parameters of the current URL, from the query string or the hash
+ * ('#contact?service=ac').
+ */
+function currentBookingLink() {
+    return readBookingLink(window.location.search) ?? readBookingLink(window.location.hash);
+}
 
-    if (!validateForm()) {
-        // Scroll to first error
-        const firstError = document.querySelector('.form-group--error');
-        firstError?.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        showToast('Please fix the errors before submitting.', 'error');
-        return;
-    }
+/**
+ * Booking links to a form on the same page (the home page service cards)
+ * prefill it in place instead of reloading the page.
+ */
+function initBookingLinks() {
+    document.addEventListener('click', e => {
+        const link = e.target.closest('a[data-booking-link]');
+        if (!link || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
 
-    // Collect values
-    const data = {
-        name:     document.getElementById('fullName').value.trim(),
-        email:    document.getElementById('emailAddress').value.trim(),
-        phone:    document.getElementById('phoneNumber').value.trim(),
-        service:  document.getElementById('serviceType').value,
-        property: document.getElementById('propertyType')?.value ?? '',
-        message:  document.getElementById('messageText').value.trim(),
-        urgent:   document.getElementById('urgentService')?.checked ?? false,
-    };
-
-    // Simulate brief "sending" state
-    const submitBtn = document.querySelector('#contactFormMain [type="submit"]');
-    if (submitBtn) {
-        submitBtn.classList.add('btn--loading');
-        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing…';
-    }
+        const url = new URL(link.href, window.location.href);
+        if (url.pathname !== window.location.pathname) return;     // the other page reads it on load
 
-    setTimeout(() => {
-        if (submitBtn) {
-            submitBtn.classList.remove('btn--loading');
-            submitBtn.innerHTML = '<i class="fas fa-paper-plane"></i> Send Message';
-        }
+        const booking    = readBookingLink(url.search);
+        const controller = Object.values(contactForms).find(c => c.config.booking && c.applyBooking(booking));
+        if (!controller) return;
 
-        const message = buildMessage(data);
-        showToast('Message ready! Choose how to send it below.', 'info');
-        showChannelModal(message);
-
-        // Reset form after a short delay so user still sees success state
-        setTimeout(() => {
-            document.getElementById('contactFormMain').reset();
-            // Clear all visual states
-            ['fullName','emailAddress','phoneNumber','serviceType','propertyType','messageText']
-                .forEach(id => clearError(id));
-            document.querySelector('.char-counter')?.replaceChildren(
-                document.createTextNode(`0 / ${MSG_MAX_CHARS}`)
-            );
-            document.querySelector('.urgent-active')?.classList.remove('urgent-active');
-        }, 500);
-
-    }, 800);
+        e.preventDefault();
+        history.pushState(null, '', url);
+        scrollToTarget(controller.form);
+    });
 }
 
 /* ============================================================
    INIT
    ============================================================ */
 
+// Controllers for the forms present on this page, keyed by form id
+const contactForms = {};
+
 function init() {
-    const form = document.getElementById('contactFormMain');
-    if (!form) return;      // Not on the contact page – do nothing
+    injectFormStyles();
 
-    initCharCounter();
-    initUrgentCheckbox();
-    initLiveValidation();
+    CONTACT_FORMS.forEach(config => {
+        const controller = createFormController(config);
+        if (controller) contactForms[config.formId] = controller;
+    });
 
-    form.addEventListener('submit', handleSubmit);
+    // Arrived through a booking link – take the visitor straight to the form
+    const booked = Object.values(contactForms).find(controller => controller.booked);
+    if (booked) scrollToTarget(booked.form);
+    initBookingLinks();
 }
 
 // Run after the DOM is fully loaded
@@ -579,5 +979,4 @@ if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
 } else {
     init();
-
 }
@@ -0,0 +1,166 @@
+/**
+ * counters.js
+ * Animated number counters (the hero stats), configured in the markup
+ *
+ *   <h3 data-counter="500" data-counter-suffix="+">500+</h3>
+ *
+ *   data-counter            final value (the element's text is the no-JS fallback)
+ *   data-counter-prefix     text before the number
+ *   data-counter-suffix     text after the number
+ *   data-counter-decimals   digits after the decimal point (default 0)
+ *   data-counter-duration   ms (default COUNTER_DURATION_MS)
+ *   data-counter-easing     linear | ease-out | ease-in-out
+ *   data-counter-locale     number formatting, e.g. 'ar-AE-u-nu-arab' for
+ *                           Arabic-Indic digits; defaults to the page language
+ *
+ * Counts up once, the first time the counter is on screen; with reduced
+ * motion the final value is shown straight away.
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const COUNTER_DURATION_MS = 2000;
+
+const COUNTER_EASINGS = {
+    'linear':      t => t,
+    'ease-out':    t => 1 - (1 - t) ** 3,
+    'ease-in-out': t => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+};
+
+/* ============================================================
+   FORMATTING
+   ============================================================ */
+
+/**
+ * Reads a counter's settings from its data attributes.
+ * @returns {object|null} null when data-counter is not a number
+ */
+function readCounterOptions(el) {
+    const { counter, counterPrefix, counterSuffix, counterDecimals, counterDuration, counterEasing, counterLocale } = el.dataset;
+    const target = Number(counter);
+    if (counter === undefined || counter.trim() === '' || !Number.isFinite(target)) return null;
+
+    const decimals = Number(counterDecimals);
+    const duration = Number(counterDuration);
+    return {
+        target,
+        prefix:   counterPrefix ?? '',
+        suffix:   counterSuffix ?? '',
+        decimals: Number.isInteger(decimals) && decimals > 0 ? Math.min(decimals, 20) : 0,
+        duration: duration >= 0 ? duration : COUNTER_DURATION_MS,
+        easing:   COUNTER_EASINGS[counterEasing] ?? COUNTER_EASINGS['ease-out'],
+        locale:   counterLocale || null,
+    };
+}
+
+/**
+ * Formats a counter value with grouping and fixed decimals for its locale.
+ */
+function formatCounter(value, { prefix = '', suffix = '', decimals = 0, locale = null } = {}) {
+    const formatter = new Intl.NumberFormat(locale ?? getLocale(), {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+    });
+    return `${prefix}${formatter.format(value)}${suffix}`;
+}
+
+/* ============================================================
+   COUNTER
+   ============================================================ */
+
+/**
+ * Wraps one counter element.
+ * @param {HTMLElement} el
+ * @param {object}      options   as returned by readCounterOptions
+ * @param {object}      [clock]   { now, frame } for testing
+ * @returns {{ start: Function, finish: Function, render: Function }}
+ */
+function createCounter(el, options, { now = () => performance.now(), frame = fn => requestAnimationFrame(fn) } = {}) {
+    let value     = options.target;
+    let running   = false;
+    let startedAt = 0;
+
+    function render(next = value) {
+        value = next;
+        el.textContent = formatCounter(value, options);
+    }
+
+    function finish() {
+        running = false;
+        render(options.target);
+    }
+
+    function tick() {
+        if (!running) return;
+        const progress = options.duration ? Math.min(1, (now() - startedAt) / options.duration) : 1;
+        if (progress >= 1) {
+            finish();
+            return;
+        }
+        render(options.target * options.easing(progress));
+        frame(tick);
+    }
+
+    function start() {
+        running   = true;
+        startedAt = now();
+        render(0);
+        frame(tick);
+    }
+
+    return { start, finish, render };
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+/**
+ * Sets up every [data-counter] under `root`.
+ * @returns {object[]} the counters
+ */
+function initCounters(root = document) {
+    const animate = !prefersReducedMotion() && typeof IntersectionObserver !== 'undefined';
+
+    const counters = [...root.querySelectorAll('[data-counter]')].map(el => {
+        const options = readCounterOptions(el);
+        return options && { el, counter: createCounter(el, options) };
+    }).filter(Boolean);
+
+    // Counters wait at zero for their turn; otherwise the final value, in the page language
+    counters.forEach(({ counter }) => (animate ? counter.render(0) : counter.render()));
+
+    // Numbers follow the page language (unless the counter pins its locale)
+    onLanguageChange(() => counters.forEach(({ counter }) => counter.render()));
+
+    if (!animate) return counters;
+
+    const observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            counters.find(({ el }) => el === entry.target)?.counter.start();
+        });
+    }, { threshold: 0.5 });
+    counters.forEach(({ el }) => observer.observe(el));
+
+    return counters;
+}
+
+// Run after the DOM is fully loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => initCounters());
+} else {
+    initCounters();
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { COUNTER_EASINGS, readCounterOptions, formatCounter, createCounter, initCounters };
+}
@@ -0,0 +1,409 @@
+/**
+ * coverage.js
+ * Where Prime Solid works, and how quickly it gets there
+ * - Travel zones (response times, travel charge) with outline polygons
+ * - Serviced areas with English / Arabic names and common spellings
+ * - "Do you serve my area?" checker ([data-coverage]) with autocomplete and
+ *   an optional "use my location" – the position is matched against the zone
+ *   outlines in the browser and never leaves it
+ * - The contact form's area field (see `coverage` in contact.js) gets the
+ *   same autocomplete and answer, and sends the area with the request
+ */
+
+'use strict';
+
+/* ============================================================
+   DATA
+   ============================================================ */
+
+/**
+ * Checked in this order – the first outline containing a point wins, so the
+ * inner zones come first. Outlines are [lat, lng] rings, drawn loosely.
+ * `surcharge` is the travel charge in AED (0 for none).
+ */
+const COVERAGE_ZONES = {
+    core: {
+        name:      { en: 'Mussafah & Mohammed Bin Zayed City', ar: 'مصفح ومدينة محمد بن زايد' },
+        regular:   { en: 'the same day', ar: 'في نفس اليوم' },
+        emergency: { en: '1–2 hours', ar: '1–2 ساعة' },
+        surcharge: 0,
+        outline:   [[24.39, 54.45], [24.39, 54.57], [24.30, 54.57], [24.30, 54.45]],
+    },
+    city: {
+        name:      { en: 'Abu Dhabi city', ar: 'مدينة أبوظبي' },
+        regular:   { en: 'within 24–48 hours', ar: 'خلال 24–48 ساعة' },
+        emergency: { en: '2–4 hours', ar: '2–4 ساعات' },
+        surcharge: 0,
+        outline:   [[24.58, 54.30], [24.58, 54.66], [24.48, 54.71], [24.40, 54.71], [24.39, 54.45], [24.40, 54.30]],
+    },
+    outer: {
+        name:      { en: 'Greater Abu Dhabi', ar: 'ضواحي أبوظبي' },
+        regular:   { en: 'within 48 hours', ar: 'خلال 48 ساعة' },
+        emergency: { en: '3–6 hours', ar: '3–6 ساعات' },
+        surcharge: 50,
+        outline:   [[24.90, 54.30], [24.90, 54.95], [24.20, 54.95], [24.20, 54.25], [24.40, 54.25]],
+    },
+};
+
+/**
+ * `zone` is a COVERAGE_ZONES key, or null for places we are asked about but
+ * do not serve. `at` is [lat, lng], used to name the area nearest a location.
+ */
+const COVERAGE_AREAS = [
+    { id: 'mussafah',         zone: 'core',  at: [24.35, 54.50], name: { en: 'Mussafah', ar: 'مصفح' },                              aliases: ['Musaffah', 'Mussafah Industrial', 'ICAD', 'Mussafah Shabiya', 'مصفح الصناعية'] },
+    { id: 'mbz-city',         zone: 'core',  at: [24.33, 54.54], name: { en: 'Mohammed Bin Zayed City', ar: 'مدينة محمد بن زايد' }, aliases: ['MBZ', 'MBZ City', 'Mohamed Bin Zayed City', 'محمد بن زايد'] },
+    { id: 'abu-dhabi-island', zone: 'city',  at: [24.47, 54.37], name: { en: 'Abu Dhabi Island', ar: 'جزيرة أبوظبي' },              aliases: ['Abu Dhabi City', 'Downtown Abu Dhabi', 'Corniche', 'Al Khalidiyah', 'Al Bateen', 'Tourist Club', 'Al Zahiyah', 'أبوظبي'] },
+    { id: 'khalifa-city',     zone: 'city',  at: [24.42, 54.58], name: { en: 'Khalifa City', ar: 'مدينة خليفة' },                   aliases: ['Khalifa City A', 'KCA', 'خليفة أ'] },
+    { id: 'al-raha',          zone: 'city',  at: [24.45, 54.60], name: { en: 'Al Raha', ar: 'الراحة' },                             aliases: ['Al Raha Beach', 'Al Raha Gardens', 'Raha'] },
+    { id: 'yas-island',       zone: 'city',  at: [24.49, 54.61], name: { en: 'Yas Island', ar: 'جزيرة ياس' },                       aliases: ['Yas', 'ياس'] },
+    { id: 'saadiyat',         zone: 'city',  at: [24.54, 54.43], name: { en: 'Saadiyat Island', ar: 'جزيرة السعديات' },             aliases: ['Saadiyat', 'Saadiyat Beach', 'السعديات'] },
+    { id: 'al-reem',          zone: 'city',  at: [24.50, 54.40], name: { en: 'Al Reem Island', ar: 'جزيرة الريم' },                 aliases: ['Reem Island', 'Reem', 'الريم'] },
+    { id: 'al-reef',          zone: 'city',  at: [24.45, 54.68], name: { en: 'Al Reef', ar: 'الريف' },                              aliases: ['Al Reef Villas', 'Reef'] },
+    { id: 'shakhbout-city',   zone: 'outer', at: [24.37, 54.63], name: { en: 'Shakhbout City', ar: 'مدينة شخبوط' },                 aliases: ['Khalifa City B', 'KCB', 'خليفة ب'] },
+    { id: 'al-shamkha',       zone: 'outer', at: [24.39, 54.71], name: { en: 'Al Shamkha', ar: 'الشامخة' },                         aliases: ['Shamkha'] },
+    { id: 'al-falah',         zone: 'outer', at: [24.45, 54.73], name: { en: 'Al Falah', ar: 'الفلاح' },                            aliases: ['Falah'] },
+    { id: 'baniyas',          zone: 'outer', at: [24.30, 54.63], name: { en: 'Baniyas', ar: 'بني ياس' },                            aliases: ['Bani Yas'] },
+    { id: 'al-wathba',        zone: 'outer', at: [24.26, 54.61], name: { en: 'Al Wathba', ar: 'الوثبة' },                           aliases: ['Wathba'] },
+    { id: 'al-samha',         zone: 'outer', at: [24.69, 54.75], name: { en: 'Al Samha', ar: 'السمحة' },                            aliases: ['Samha'] },
+    { id: 'al-ain',           zone: null,    at: [24.21, 55.74], name: { en: 'Al Ain', ar: 'العين' },                               aliases: [] },
+    { id: 'ruwais',           zone: null,    at: [24.11, 52.73], name: { en: 'Ruwais', ar: 'الرويس' },                              aliases: ['Al Ruwais'] },
+    { id: 'dubai',            zone: null,    at: [25.20, 55.27], name: { en: 'Dubai', ar: 'دبي' },                                  aliases: [] },
+];
+
+// One shared <datalist> of area names feeds every coverage input on the page
+const COVERAGE_LIST_ID = 'coverageAreas';
+
+const COVERAGE_LOCATE_TIMEOUT_MS = 10000;
+
+/* ============================================================
+   LOOKUP
+   ============================================================ */
+
+/**
+ * Folds spelling differences away: case, accents, Arabic letter variants and
+ * the definite article ("Al Raha", "Raha" and "الراحة" / "راحة" all match).
+ */
+function normalizeAreaName(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, '')
+        .replace(/[أإآ]/g, 'ا')
+        .replace(/ة/g, 'ه')
+        .replace(/ى/g, 'ي')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .replace(/(^| )(al|el) /g, '$1')
+        .replace(/(^| )ال/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function areaNames(area) {
+    return [area.name.en, area.name.ar, ...area.aliases].map(normalizeAreaName);
+}
+
+/**
+ * The area a visitor means: an exact name or alias, else the only area
+ * whose name starts with what they typed.
+ * @returns {object|null}
+ */
+function findArea(text, areas = COVERAGE_AREAS) {
+    const wanted = normalizeAreaName(text);
+    if (!wanted) return null;
+
+    const exact = areas.find(area => areaNames(area).includes(wanted));
+    if (exact) return exact;
+
+    const partial = areas.filter(area => areaNames(area).some(name => name.startsWith(wanted)));
+    return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Ray-casting test of a [lat, lng] point against an outline.
+ */
+function pointInOutline([lat, lng], outline) {
+    let inside = false;
+    for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+        const [latI, lngI] = outline[i];
+        const [latJ, lngJ] = outline[j];
+        if ((lngI > lng) !== (lngJ > lng) && lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * The travel zone containing a point, or null outside them all.
+ * @returns {string|null} a COVERAGE_ZONES key
+ */
+function zoneAt(point, zones = COVERAGE_ZONES) {
+    return Object.keys(zones).find(key => pointInOutline(point, zones[key].outline)) ?? null;
+}
+
+/**
+ * The serviced area nearest a point inside `zone` (flat-earth distance is
+ * plenty at city scale).
+ */
+function nearestArea(point, zone, areas = COVERAGE_AREAS) {
+    const distance = ({ at }) => Math.hypot(at[0] - point[0], (at[1] - point[1]) * Math.cos((point[0] * Math.PI) / 180));
+    return areas
+        .filter(area => area.zone === zone)
+        .reduce((best, area) => (!best || distance(area) < distance(best) ? area : best), null);
+}
+
+/**
+ * Coverage for what the visitor typed.
+ * @returns {{ query: string, area: object|null, zone: string|null, covered: boolean|null }}
+ *          covered is null when the area is not one we know
+ */
+function checkCoverage(text) {
+    const area = findArea(text);
+    return { query: String(text).trim(), area, zone: area?.zone ?? null, covered: area ? area.zone !== null : null };
+}
+
+/**
+ * Coverage for a position from the Geolocation API, worked out locally.
+ */
+function coverageAt({ latitude, longitude }) {
+    const point = [latitude, longitude];
+    const zone  = zoneAt(point);
+    return { query: '', area: zone ? nearestArea(point, zone) : null, zone, covered: zone !== null };
+}
+
+/* ============================================================
+   MESSAGES
+   ============================================================ */
+
+/**
+ * The answer to show for a coverage result, in the current language.
+ */
+function coverageMessage({ query, area, zone, covered }) {
+    if (covered === null) return query ? t('coverage.unknown', { query }) : '';
+
+    if (!covered) return area ? t('coverage.notCovered', { area: localize(area.name) }) : t('coverage.locationNotCovered');
+
+    const { name, regular, emergency, surcharge } = COVERAGE_ZONES[zone];
+    const place  = localize(area?.name ?? name);
+    const answer = t('coverage.covered', { area: place, regular: localize(regular), emergency: localize(emergency) });
+    return surcharge ? `${answer} ${t('coverage.surcharge', { amount: surcharge })}` : answer;
+}
+
+/**
+ * What the contact form sends for its area field: the area we recognised,
+ * or just the visitor's words.
+ * @returns {{ name: string, id?: string, zone?: string|null, covered?: boolean }|null}
+ */
+function describeArea(text) {
+    const { query, area, zone, covered } = checkCoverage(text);
+    if (!query) return null;
+    return area ? { name: localize(area.name), id: area.id, zone, covered } : { name: query };
+}
+
+/**
+ * One line for the WhatsApp / email message.
+ */
+function formatArea(area) {
+    if (!area.zone) return area.covered === false ? `${area.name} (${t('coverage.outside')})` : area.name;
+    return `${area.name} (${localize(COVERAGE_ZONES[area.zone].name)})`;
+}
+
+/* ============================================================
+   WIDGETS
+   ============================================================ */
+
+/**
+ * The shared <datalist>; its options follow the page language.
+ */
+function coverageList() {
+    let list = document.getElementById(COVERAGE_LIST_ID);
+    if (list) return list;
+
+    list = document.createElement('datalist');
+    list.id = COVERAGE_LIST_ID;
+    const render = () => list.replaceChildren(...COVERAGE_AREAS.filter(area => area.zone).map(area => new Option(localize(area.name))));
+    render();
+    onLanguageChange(render);
+    document.body.appendChild(list);
+    return list;
+}
+
+/**
+ * Gives an area input the autocomplete and a live answer underneath.
+ * @returns {{ check: Function, result: Function }}
+ */
+function attachCoverageHint(input, { status } = {}) {
+    input.setAttribute('list', coverageList().id);
+    input.autocomplete = 'off';
+
+    if (!status) {
+        status = document.createElement('p');
+        status.className = 'coverage-hint';
+        status.id = `${input.id}-coverage`;
+        input.closest('.form-group')?.appendChild(status) ?? input.after(status);
+        input.setAttribute('aria-describedby', [input.getAttribute('aria-describedby'), status.id].filter(Boolean).join(' '));
+    }
+    status.setAttribute('aria-live', 'polite');
+
+    let result = null;
+
+    function render() {
+        status.textContent = result ? coverageMessage(result) : '';
+        status.dataset.covered = result ? String(result.covered) : '';
+    }
+
+    /**
+     * Answers for `text`; "we could not find it" waits until the visitor has
+     * finished typing (`final`) rather than interrupting every keystroke.
+     */
+    function check(text = input.value, { final = true } = {}) {
+        const next = checkCoverage(text);
+        result = next.query && (final || next.covered !== null) ? next : null;
+        render();
+        return result;
+    }
+
+    function show(next) {
+        result = next;
+        render();
+    }
+
+    input.addEventListener('input', () => check(input.value, { final: false }));
+    input.addEventListener('change', () => check());
+    onLanguageChange(render);
+
+    return { check, show, result: () => result };
+}
+
+/**
+ * "Do you serve my area?" – renders the checker into `container`.
+ * @param {HTMLElement} container
+ * @param {object}   [options]
+ * @param {Function} [options.onChoose]  called with a covered area the visitor picked
+ * @returns {{ check: Function, locate: Function }}
+ */
+function createCoverageChecker(container, { onChoose } = {}) {
+    container.classList.add('coverage-checker');
+    container.innerHTML = `
+        <label class="coverage-checker__label" for="coverageInput" data-i18n="coverage.label"></label>
+        <div class="coverage-checker__row">
+            <div class="coverage-checker__field">
+                <i class="fas fa-map-marker-alt" aria-hidden="true"></i>
+                <input type="text" id="coverageInput" data-i18n-placeholder="coverage.placeholder">
+            </div>
+            <button type="button" class="btn btn-primary coverage-checker__check" data-i18n="coverage.check"></button>
+            <button type="button" class="btn btn-secondary coverage-checker__locate">
+                <i class="fas fa-location-arrow" aria-hidden="true"></i> <span data-i18n="coverage.locate"></span>
+            </button>
+        </div>
+        <p class="coverage-checker__result" role="status"></p>
+    `;
+    translatePage(container);
+
+    const input  = container.querySelector('input');
+    const locate = container.querySelector('.coverage-checker__locate');
+    const hint   = attachCoverageHint(input, { status: container.querySelector('.coverage-checker__result') });
+
+    function answered(result, method) {
+        if (!result) return;
+        trackEvent('coverage_check', { method, area: result.area?.id ?? 'unknown', covered: String(result.covered) });
+        if (result.covered && result.area) onChoose?.(result.area);
+    }
+
+    function check() {
+        answered(hint.check(), 'search');
+    }
+
+    /**
+     * Asks the browser for the visitor's position and answers for it.
+     */
+    function locateVisitor() {
+        if (!navigator.geolocation) return;
+        locate.disabled = true;
+        navigator.geolocation.getCurrentPosition(position => {
+            locate.disabled = false;
+            const result = coverageAt(position.coords);
+            if (result.area) input.value = localize(result.area.name);
+            hint.show(result);
+            answered(result, 'location');
+        }, error => {
+            locate.disabled = false;
+            notify(t(error.code === error.PERMISSION_DENIED ? 'coverage.locationDenied' : 'coverage.locationFailed'), 'warning');
+        }, { enableHighAccuracy: false, timeout: COVERAGE_LOCATE_TIMEOUT_MS, maximumAge: 600000 });
+    }
+
+    container.querySelector('.coverage-checker__check').addEventListener('click', check);
+    input.addEventListener('keydown', e => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        check();
+    });
+    // Picking a suggestion commits the value
+    input.addEventListener('change', () => answered(hint.result(), 'search'));
+
+    locate.hidden = !navigator.geolocation;
+    locate.addEventListener('click', locateVisitor);
+
+    return { check, locate: locateVisitor };
+}
+
+/**
+ * Fills [data-coverage-areas] with the names of the areas we serve.
+ */
+function renderCoverageAreas(el) {
+    const names = COVERAGE_AREAS.filter(area => area.zone).map(area => localize(area.name));
+    el.textContent = t('coverage.areas', { areas: new Intl.ListFormat(getLocale(), { type: 'conjunction' }).format(names) });
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+/**
+ * A covered area chosen in the checker also becomes the contact form's area.
+ */
+function chooseAreaForContactForm(area) {
+    Object.values(contactForms).forEach(controller => {
+        const key = Object.keys(controller.config.fields).find(name => controller.config.fields[name].coverage);
+        if (key) controller.setField(key, localize(area.name));
+    });
+}
+
+function initCoverage() {
+    document.querySelectorAll('[data-coverage-areas]').forEach(el => {
+        renderCoverageAreas(el);
+        onLanguageChange(() => renderCoverageAreas(el));
+    });
+    document.querySelectorAll('[data-coverage]').forEach(container => {
+        createCoverageChecker(container, { onChoose: chooseAreaForContactForm });
+    });
+}
+
+// In the browser only – test/coverage.test.js requires the area data in Node
+if (typeof document !== 'undefined') {
+    // Run after the DOM is fully loaded – after contact.js, whose form a chosen area fills in
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initCoverage);
+    } else {
+        initCoverage();
+    }
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COVERAGE_ZONES,
+        COVERAGE_AREAS,
+        normalizeAreaName,
+        findArea,
+        pointInOutline,
+        zoneAt,
+        checkCoverage,
+        coverageAt,
+        describeArea,
+        formatArea,
+    };
+}
@@ -0,0 +1,125 @@
+/**
+ * mock-endpoint.js
+ * Local stand-in for the contact form backend. Serves the site and accepts
+ * POST /api/contact (JSON or multipart with attachments) so the HTTP
+ * transport can be exercised without a server, and logs the analytics
+ * batches POSTed to /api/events. business.js is served with its
+ * submitEndpoint set to /api/contact, so the forms post here.
+ *
+ *   node dev/mock-endpoint.js                 → http://localhost:8080
+ *   PORT=3000 node dev/mock-endpoint.js       → custom port
+ *   MOCK_STATUS=500 node dev/mock-endpoint.js → every submission fails with that status
+ *   MOCK_DELAY=3000 node dev/mock-endpoint.js → responses are delayed (ms)
+ */
+
+'use strict';
+
+const http = require('http');
+const fs   = require('fs');
+const path = require('path');
+
+const PORT        = Number(process.env.PORT) || 8080;
+const MOCK_STATUS = Number(process.env.MOCK_STATUS) || 200;
+const MOCK_DELAY  = Number(process.env.MOCK_DELAY)  || 0;
+const SITE_ROOT   = path.resolve(__dirname, '..');
+
+// Files served with changes, so the site talks to this server
+const DEV_OVERRIDES = {
+    'business.js': content => content.toString('utf8').replace(/submitEndpoint: '[^']*'/, "submitEndpoint: '/api/contact'"),
+};
+
+const MIME_TYPES = {
+    '.html':        'text/html; charset=utf-8',
+    '.css':         'text/css; charset=utf-8',
+    '.js':          'text/javascript; charset=utf-8',
+    '.json':        'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png':         'image/png',
+    '.woff2':       'font/woff2',
+    '.ttf':         'font/ttf',
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+function handleSubmission(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const raw       = Buffer.concat(chunks);
+        const multipart = (req.headers['content-type'] ?? '').startsWith('multipart/form-data');
+
+        if (multipart) {
+            // Not parsed – just enough to see the upload arrived
+            const files = (raw.toString('latin1').match(/name="attachments"/g) ?? []).length;
+            console.log(`[mock] ${new Date().toISOString()} multipart submission: ${raw.length} bytes, ${files} attachment(s)`);
+        } else {
+            let payload;
+            try {
+                payload = JSON.parse(raw.toString('utf8'));
+            } catch {
+                sendJson(res, 400, { ok: false, error: 'Body must be JSON.' });
+                return;
+            }
+            console.log(`[mock] ${new Date().toISOString()} submission:`, payload);
+        }
+
+        setTimeout(() => {
+            if (MOCK_STATUS >= 400) {
+                sendJson(res, MOCK_STATUS, { ok: false, error: 'Mock failure.' });
+            } else {
+                sendJson(res, MOCK_STATUS, { ok: true, id: Date.now().toString(36) });
+            }
+        }, MOCK_DELAY);
+    });
+}
+
+function handleEvents(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        try {
+            const { events = [] } = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            events.forEach(event => console.log(`[mock] event ${event.name} on ${event.page}`, event.props));
+            res.writeHead(204).end();
+        } catch {
+            sendJson(res, 400, { ok: false, error: 'Body must be JSON.' });
+        }
+    });
+}
+
+function serveStatic(req, res) {
+    const urlPath  = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(SITE_ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(SITE_ROOT)) {
+        res.writeHead(403).end();
+        return;
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            res.writeHead(404).end('Not found');
+            return;
+        }
+        const override = DEV_OVERRIDES[path.relative(SITE_ROOT, filePath)];
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] ?? 'application/octet-stream' });
+        res.end(override ? override(content) : content);
+    });
+}
+
+http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === '/api/contact') {
+        handleSubmission(req, res);
+    } else if (req.method === 'POST' && req.url === '/api/events') {
+        handleEvents(req, res);
+    } else if (req.method === 'GET') {
+        serveStatic(req, res);
+    } else {
+        res.writeHead(405).end();
+    }
+}).listen(PORT, () => {
+    console.log(`[mock] Serving site and POST /api/contact on http://localhost:${PORT}`);
+});
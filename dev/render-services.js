@@ -0,0 +1,76 @@
+/**
+ * render-services.js
+ * Writes the service cards (index.html) and detail sections (services.html)
+ * from SERVICE_CATALOGUE into the pages, so crawlers and visitors without
+ * JavaScript get the same content. service-catalogue.js relabels it in the
+ * visitor's language at runtime. Run it after editing the catalogue:
+ *
+ *   node dev/render-services.js          → rewrites the pages
+ *   node dev/render-services.js --check  → exits with 1 if a page is out of date
+ *
+ * The markup goes between <!-- generated:NAME --> and <!-- /generated:NAME -->.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+
+// Loaded in page order: the catalogue uses the i18n helpers
+const SCRIPTS = ['i18n.js', 'service-catalogue.js'];
+
+// The pages are English until service-catalogue.js relabels them
+const PAGES = [
+    { file: 'index.html',    name: 'service-cards',   render: 'serviceCardsHtml({ lang: "en" })' },
+    { file: 'services.html', name: 'service-details', render: 'serviceDetailsHtml({ lang: "en" })' },
+];
+
+/**
+ * Runs the scripts in one context, so – like in the browser – they share one
+ * global scope.
+ */
+function loadScripts(files) {
+    const context = vm.createContext({ console, URLSearchParams });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(SITE_ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+/**
+ * Replaces what is between the page's markers, keeping their indentation.
+ */
+function fillMarkers(html, name, content) {
+    const pattern = new RegExp(`(<!-- generated:${name} -->)[\\s\\S]*?\\n([ \\t]*)(<!-- /generated:${name} -->)`);
+    if (!pattern.test(html)) throw new Error(`Missing <!-- generated:${name} --> markers`);
+    return html.replace(pattern, (match, start, indent, end) => `${start}${content}\n${indent}${end}`);
+}
+
+function main() {
+    const check   = process.argv.includes('--check');
+    const context = loadScripts(SCRIPTS);
+    let stale = 0;
+
+    PAGES.forEach(({ file, name, render }) => {
+        const filePath = path.join(SITE_ROOT, file);
+        const before   = fs.readFileSync(filePath, 'utf8');
+        const after    = fillMarkers(before, name, vm.runInContext(render, context));
+
+        if (before === after) {
+            console.log(`[render] ${file} is up to date`);
+        } else if (check) {
+            console.log(`[render] ${file} is out of date – run node dev/render-services.js`);
+            stale++;
+        } else {
+            fs.writeFileSync(filePath, after);
+            console.log(`[render] ${file} updated`);
+        }
+    });
+
+    process.exitCode = stale ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,224 @@
+/**
+ * dialog.js
+ * Accessible modal dialogs for the Prime Solid site
+ * - Focus moves into the dialog, Tab / Shift+Tab stay inside it, and focus
+ *   returns to the opener on close
+ * - The rest of the page is made inert (and hidden from assistive tech) and
+ *   stops scrolling while a dialog is open; drawer.js shares these helpers
+ * - Dialogs stack: a dialog opened from another only hands back to it on close
+ * - Every listener is removed on close, however the dialog was closed
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const DIALOG_FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// Page regions left reachable behind a dialog (notifications keep announcing)
+const DIALOG_KEEP_ACTIVE = '[aria-live]';
+
+/* ============================================================
+   PAGE STATE (shared by stacked dialogs)
+   ============================================================ */
+
+// Open dialogs, the top-most last
+const openDialogs = [];
+
+let dialogIdCounter = 0;
+let scrollLock      = null;     // { overflow, paddingInlineEnd } of <body> before the first lock
+
+// Whatever holds the page still (open dialogs, the mobile nav drawer)
+const scrollLockOwners = new Set();
+
+function lockScroll(owner) {
+    scrollLockOwners.add(owner);
+    if (scrollLock) return;
+    const { body } = document;
+    const scrollbar = window.innerWidth - document.documentElement.clientWidth;
+
+    scrollLock = { overflow: body.style.overflow, paddingInlineEnd: body.style.paddingInlineEnd };
+    body.style.overflow = 'hidden';
+    // Keep the layout from shifting when the scrollbar disappears
+    if (scrollbar > 0) body.style.paddingInlineEnd = `${scrollbar}px`;
+}
+
+function unlockScroll(owner) {
+    scrollLockOwners.delete(owner);
+    if (!scrollLock || scrollLockOwners.size) return;
+    Object.assign(document.body.style, scrollLock);
+    scrollLock = null;
+}
+
+/**
+ * Makes every other top-level element inert.
+ * @returns {Function} undoes exactly what it changed
+ */
+function makeBackgroundInert(except) {
+    const changed = [...document.body.children]
+        .filter(el => el !== except && !el.inert && !el.matches(DIALOG_KEEP_ACTIVE) && el.tagName !== 'SCRIPT')
+        .map(el => {
+            const ariaHidden = el.getAttribute('aria-hidden');
+            el.inert = true;
+            el.setAttribute('aria-hidden', 'true');
+            return { el, ariaHidden };
+        });
+
+    return () => changed.forEach(({ el, ariaHidden }) => {
+        el.inert = false;
+        if (ariaHidden === null) el.removeAttribute('aria-hidden');
+        else el.setAttribute('aria-hidden', ariaHidden);
+    });
+}
+
+function focusableIn(container) {
+    return [...container.querySelectorAll(DIALOG_FOCUSABLE)].filter(el => !el.closest('[inert]'));
+}
+
+/* ============================================================
+   DIALOG
+   ============================================================ */
+
+/**
+ * Opens a modal dialog.
+ * @param {object}   options
+ * @param {string}   [options.title]        heading, also the dialog's accessible name
+ * @param {string}   [options.label]        accessible name when there is no title
+ * @param {string}   [options.description]  text under the heading
+ * @param {Node[]}   [options.content]      the dialog body
+ * @param {string}   [options.className]    extra class on the dialog box
+ * @param {boolean}  [options.dismissible]  close on Escape and on a backdrop click
+ * @param {string}   [options.initialFocus] selector of the element to focus first
+ * @param {Function} [options.onClose]      called with the close result
+ * @returns {{ element: HTMLElement, close: Function, closed: Promise }}
+ *          `close(result)` closes the dialog; `closed` resolves with the result
+ *          (null when dismissed)
+ */
+function openDialog({ title, label, description, content = [], className = '', dismissible = true, initialFocus, onClose } = {}) {
+    const id     = `dialog-${++dialogIdCounter}`;
+    const opener = document.activeElement;
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'dialog-backdrop';
+
+    const dialog = document.createElement('div');
+    dialog.className = ['dialog', className].filter(Boolean).join(' ');
+    dialog.id = id;
+    dialog.tabIndex = -1;
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    if (title) {
+        const heading = document.createElement('h3');
+        heading.className = 'dialog__title';
+        heading.id = `${id}-title`;
+        heading.textContent = title;
+        dialog.appendChild(heading);
+        dialog.setAttribute('aria-labelledby', heading.id);
+    } else if (label) {
+        dialog.setAttribute('aria-label', label);
+    }
+
+    if (description) {
+        const text = document.createElement('p');
+        text.className = 'dialog__description';
+        text.id = `${id}-description`;
+        text.textContent = description;
+        dialog.appendChild(text);
+        dialog.setAttribute('aria-describedby', text.id);
+    }
+
+    dialog.append(...content);
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+
+    // Every listener goes through this signal, so closing removes them all
+    const listeners = new AbortController();
+    const { signal } = listeners;
+    const restoreBackground = makeBackgroundInert(backdrop);
+
+    let resolveClosed;
+    const closed = new Promise(resolve => { resolveClosed = resolve; });
+    let isOpen = true;
+
+    function close(result = null) {
+        if (!isOpen) return;
+        isOpen = false;
+
+        listeners.abort();
+        openDialogs.splice(openDialogs.indexOf(entry), 1);
+        backdrop.remove();
+        restoreBackground();
+        unlockScroll(entry);
+
+        if (opener?.isConnected && typeof opener.focus === 'function') opener.focus();
+        onClose?.(result);
+        resolveClosed(result);
+    }
+
+    const entry = { element: dialog, close, closed };
+    openDialogs.push(entry);
+    lockScroll(entry);
+
+    document.addEventListener('keydown', e => {
+        if (openDialogs.at(-1) !== entry) return;       // only the top-most dialog reacts
+
+        if (e.key === 'Escape' && dismissible) {
+            e.preventDefault();
+            close();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+        const focusable = focusableIn(dialog);
+        if (!focusable.length) {
+            e.preventDefault();
+            dialog.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last  = focusable.at(-1);
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }, { signal });
+
+    // Focus that lands outside (e.g. a click on the browser chrome and back) is brought back in
+    document.addEventListener('focusin', e => {
+        if (openDialogs.at(-1) === entry && !dialog.contains(e.target) && !e.target.closest?.(DIALOG_KEEP_ACTIVE)) {
+            (focusableIn(dialog)[0] ?? dialog).focus();
+        }
+    }, { signal });
+
+    if (dismissible) {
+        backdrop.addEventListener('click', e => {
+            if (e.target === backdrop) close();
+        }, { signal });
+    }
+
+    const target = (initialFocus && dialog.querySelector(initialFocus)) ?? focusableIn(dialog)[0] ?? dialog;
+    target.focus();
+
+    return entry;
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { openDialog };
+}
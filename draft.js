@@ -0,0 +1,181 @@
+/**
+ * draft.js
+ * Draft autosave for Prime Solid contact forms
+ * - Debounced persistence of selected fields to localStorage
+ * - "Restore your previous draft?" prompt with a discard option
+ * - Drafts expire after a configurable age
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const DRAFT_DEBOUNCE_MS = 600;
+const DRAFT_MAX_AGE_MS  = 7 * 24 * 60 * 60 * 1000;   // one week
+
+/* ============================================================
+   DRAFT STORE
+   ============================================================ */
+
+/**
+ * Creates a draft store for one form.
+ * @param {object}   options
+ * @param {string}   options.key        localStorage key
+ * @param {string[]} options.fields     ids of the fields to persist
+ * @param {number}   [options.maxAge]   drafts older than this (ms) are ignored and removed
+ * @param {number}   [options.debounce] ms of inactivity before saving
+ */
+function createDraftStore({ key, fields, maxAge = DRAFT_MAX_AGE_MS, debounce = DRAFT_DEBOUNCE_MS, storage = globalThis.localStorage, now = Date.now }) {
+    let timer = null;
+
+    function readField(id) {
+        const el = document.getElementById(id);
+        if (!el) return undefined;
+        return el.type === 'checkbox' ? el.checked : el.value;
+    }
+
+    function writeField(id, value) {
+        const el = document.getElementById(id);
+        if (!el || value === undefined) return;
+
+        if (el.type === 'checkbox') {
+            el.checked = Boolean(value);
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+        } else {
+            el.value = value;
+            el.dispatchEvent(new Event(el.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true }));
+        }
+    }
+
+    /**
+     * True when none of the fields hold anything worth keeping.
+     */
+    function isBlank(values) {
+        return Object.values(values).every(v => v === undefined || v === false || String(v).trim() === '');
+    }
+
+    function save() {
+        const values = Object.fromEntries(fields.map(id => [id, readField(id)]));
+        try {
+            if (isBlank(values)) {
+                storage.removeItem(key);
+            } else {
+                storage.setItem(key, JSON.stringify({ savedAt: now(), values }));
+            }
+        } catch (err) {
+            // Quota exceeded or storage disabled – drafts are a nicety, not essential
+            console.warn('Could not save draft:', err);
+        }
+    }
+
+    /**
+     * Returns the stored draft, or null when there is none or it has expired.
+     */
+    function load() {
+        let draft;
+        try {
+            draft = JSON.parse(storage.getItem(key));
+        } catch {
+            draft = null;
+        }
+        if (!draft?.values || typeof draft.savedAt !== 'number') return null;
+
+        if (now() - draft.savedAt > maxAge) {
+            clear();
+            return null;
+        }
+        return draft;
+    }
+
+    function restore(draft) {
+        Object.entries(draft.values).forEach(([id, value]) => writeField(id, value));
+    }
+
+    function clear() {
+        clearTimeout(timer);
+        try {
+            storage.removeItem(key);
+        } catch {
+            /* storage disabled – nothing to clear */
+        }
+    }
+
+    /**
+     * Starts autosaving on every input/change inside the form.
+     */
+    function watch(form) {
+        const schedule = e => {
+            if (!fields.includes(e.target.id)) return;
+            clearTimeout(timer);
+            timer = setTimeout(save, debounce);
+        };
+        form.addEventListener('input', schedule);
+        form.addEventListener('change', schedule);
+        // Don't lose the last keystrokes when the visitor leaves the page
+        window.addEventListener('pagehide', () => {
+            if (timer) { clearTimeout(timer); save(); }
+        });
+    }
+
+    return { load, restore, clear, save, watch };
+}
+
+/* ============================================================
+   RESTORE PROMPT
+   ============================================================ */
+
+/**
+ * Shows an inline "restore your previous draft?" banner above the form.
+ * The banner goes away once the visitor answers or starts typing.
+ */
+function showDraftPrompt(form, draft, { onRestore, onDiscard }) {
+    const prompt = document.createElement('div');
+    prompt.className = 'draft-prompt';
+    prompt.setAttribute('role', 'status');
+    prompt.innerHTML = `
+        <i class="fas fa-history"></i>
+        <p><span data-i18n="draft.unsent"></span> <strong></strong>. <span data-i18n="draft.restore"></span></p>
+        <div class="draft-prompt__actions">
+            <button type="button" class="draft-prompt__btn draft-prompt__btn--restore" data-i18n="draft.yes"></button>
+            <button type="button" class="draft-prompt__btn draft-prompt__btn--discard" data-i18n="draft.no"></button>
+        </div>
+    `;
+    translatePage(prompt);
+
+    const renderSavedAt = () => {
+        prompt.querySelector('strong').textContent = new Date(draft.savedAt).toLocaleString(getLocale());
+    };
+    renderSavedAt();
+    const stopRelabelling = onLanguageChange(renderSavedAt);
+
+    const close = () => {
+        prompt.remove();
+        form.removeEventListener('input', close);
+        stopRelabelling();
+    };
+
+    prompt.querySelector('.draft-prompt__btn--restore').addEventListener('click', () => {
+        close();
+        onRestore();
+    });
+    prompt.querySelector('.draft-prompt__btn--discard').addEventListener('click', () => {
+        close();
+        onDiscard();
+    });
+    form.addEventListener('input', close);
+
+    form.insertAdjacentElement('beforebegin', prompt);
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DRAFT_MAX_AGE_MS,
+        createDraftStore,
+        showDraftPrompt,
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * drawer.js
+ * Off-canvas drawer for the mobile navigation, shared by every page
+ * - The toggle and close controls are buttons carrying aria-expanded / aria-controls
+ * - While open: focus moves into the drawer and stays there, the rest of the
+ *   page is inert and stops scrolling (dialog.js helpers)
+ * - Closes on Escape, a click outside, a swipe towards its edge, a link
+ *   inside it, and when the window grows past the mobile breakpoint
+ * - When closed on mobile the drawer is inert, so Tab never reaches the
+ *   links hidden off-screen
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+
+// Keep in step with the max-width of the mobile nav in styles.css
+const DRAWER_BREAKPOINT = '(max-width: 968px)';
+
+const DRAWER_SWIPE_PX = 60;        // horizontal travel that counts as a swipe
+
+/* ============================================================
+   DRAWER
+   ============================================================ */
+
+/**
+ * Wires an off-canvas panel to its toggle and close buttons.
+ * @param {object}      options
+ * @param {HTMLElement} options.panel      the drawer (shown with .show-menu)
+ * @param {HTMLElement} options.toggle     opens / closes it
+ * @param {HTMLElement} [options.closer]   close button inside the panel
+ * @param {HTMLElement} [options.keep]     top-level element left active while open (defaults to the panel's)
+ * @param {string}      [options.breakpoint] media query under which it is a drawer
+ * @returns {{ open: Function, close: Function, toggle: Function, isOpen: Function }}
+ */
+function createDrawer({ panel, toggle, closer, keep, breakpoint = DRAWER_BREAKPOINT }) {
+    const mobile = window.matchMedia(breakpoint);
+    const owner  = {};           // scroll-lock owner
+    keep ??= [...document.body.children].find(el => el.contains(panel)) ?? panel;
+
+    let listeners = null;        // AbortController while open
+    let restoreBackground = null;
+
+    toggle.setAttribute('aria-controls', panel.id);
+
+    function isOpen() {
+        return listeners !== null;
+    }
+
+    // Off-screen links stay out of the tab order on mobile; the desktop nav is always usable
+    function syncPanel() {
+        panel.inert = mobile.matches && !isOpen();
+        toggle.setAttribute('aria-expanded', String(isOpen()));
+    }
+
+    function open() {
+        if (isOpen() || !mobile.matches) return;
+
+        listeners = new AbortController();
+        const { signal } = listeners;
+
+        panel.classList.add('show-menu');
+        restoreBackground = makeBackgroundInert(keep);
+        lockScroll(owner);
+        syncPanel();
+        (focusableIn(panel)[0] ?? panel).focus();
+
+        document.addEventListener('keydown', e => {
+            if (openDialogs.length) return;             // a dialog on top handles its own keys
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+                return;
+            }
+
+            if (e.key !== 'Tab') return;
+            const focusable = focusableIn(panel);
+            if (!focusable.length) return;
+
+            const first = focusable[0];
+            const last  = focusable.at(-1);
+            if (e.shiftKey && (document.activeElement === first || !panel.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !panel.contains(document.activeElement))) {
+                e.preventDefault();
+                first.focus();
+            }
+        }, { signal });
+
+        // A click anywhere outside the drawer (the toggle has its own handler)
+        document.addEventListener('click', e => {
+            if (!panel.contains(e.target) && !toggle.contains(e.target) && !e.target.closest('.dialog-backdrop')) close();
+        }, { signal });
+
+        // Any link inside it navigates away or scrolls the page – get out of the way
+        panel.addEventListener('click', e => {
+            if (e.target.closest('a[href]')) close({ restoreFocus: false });
+        }, { signal });
+
+        // Swipe towards the edge the drawer slides in from
+        let swipe = null;
+        panel.addEventListener('touchstart', e => {
+            const [touch] = e.touches;
+            swipe = e.touches.length === 1 ? { x: touch.clientX, y: touch.clientY } : null;
+        }, { signal, passive: true });
+        panel.addEventListener('touchend', e => {
+            if (!swipe) return;
+            const [touch] = e.changedTouches;
+            const dx = (touch.clientX - swipe.x) * (isRtl() ? -1 : 1);
+            const dy = touch.clientY - swipe.y;
+            swipe = null;
+            if (dx > DRAWER_SWIPE_PX && Math.abs(dx) > Math.abs(dy)) close();
+        }, { signal, passive: true });
+    }
+
+    /**
+     * @param {object}  [options]
+     * @param {boolean} [options.restoreFocus=true] hand focus back to the toggle
+     */
+    function close({ restoreFocus = true } = {}) {
+        if (!isOpen()) return;
+
+        listeners.abort();
+        listeners = null;
+        panel.classList.remove('show-menu');
+        restoreBackground();
+        restoreBackground = null;
+        unlockScroll(owner);
+        syncPanel();
+
+        if (restoreFocus && mobile.matches) toggle.focus();
+    }
+
+    toggle.addEventListener('click', () => (isOpen() ? close() : open()));
+    closer?.addEventListener('click', () => close());
+
+    // Growing to the desktop layout closes it (and makes the links reachable again)
+    mobile.addEventListener('change', () => {
+        close({ restoreFocus: false });
+        syncPanel();
+    });
+
+    syncPanel();
+
+    return { open, close, toggle: () => (isOpen() ? close() : open()), isOpen };
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+// The page's navigation drawer, if it has one
+let navDrawer = null;
+
+function initNavDrawer() {
+    const panel  = document.getElementById('nav-menu');
+    const toggle = document.getElementById('nav-toggle');
+    if (!panel || !toggle) return;
+
+    navDrawer = createDrawer({ panel, toggle, closer: document.getElementById('nav-close') });
+}
+
+// Run after the DOM is fully loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initNavDrawer);
+} else {
+    initNavDrawer();
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createDrawer };
+}
@@ -0,0 +1,406 @@
+/**
+ * estimator.js
+ * Instant ballpark prices for common jobs on services.html
+ * - Local pricing table per service section (AED, labour and standard materials)
+ * - Property type and urgency adjustments, minimum call-out charges
+ * - Estimator panel attached to every .service-detail block with a price list
+ * - Hands the estimate to the contact form, which includes it in the request
+ * - Job names, units and amounts follow the page language
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const ESTIMATE_CURRENCY    = 'AED';
+const ESTIMATE_HANDOFF_KEY = 'primesolid:estimate';
+const ESTIMATE_CONTACT_URL = 'contact.html#contactFormMain';
+
+const ESTIMATE_URGENT_FACTOR = 1.5;     // same-day / emergency call-out
+const ESTIMATE_ROUND_TO      = 10;
+
+// Keyed by PROPERTY_LABELS keys; larger and commercial sites take longer to work in
+const PROPERTY_FACTORS = {
+    residential: 1,
+    apartment:   0.95,
+    commercial:  1.15,
+    retail:      1.15,
+    warehouse:   1.25,
+    other:       1,
+};
+
+/**
+ * Rates per unit, keyed by the .service-detail id on services.html
+ * (the service's `anchor` in service-catalogue.js).
+ * `minCharge` is the least we charge for the job, whatever the quantity.
+ * `label` is an { en, ar } text; `unit` names a unit.* message in i18n.js.
+ */
+const PRICE_TABLE = {
+    'tiles-work': {
+        jobs: [
+            { id: 'tile-install', label: { en: 'Tile installation (floor / wall)', ar: 'تركيب البلاط (أرضيات / جدران)' }, unit: 'm2',   min: 45, max: 90, minCharge: 500, quantity: 20 },
+            { id: 'tile-repair',  label: { en: 'Cracked tile replacement',         ar: 'استبدال البلاط المكسور' },        unit: 'tile', min: 40, max: 80, minCharge: 250, quantity: 5 },
+            { id: 'regrout',      label: { en: 'Grout repair & replacement',       ar: 'إصلاح واستبدال الترويبة' },       unit: 'm2',   min: 25, max: 45, minCharge: 300, quantity: 10 },
+            { id: 'polish',       label: { en: 'Marble polishing',                 ar: 'تلميع الرخام' },                  unit: 'm2',   min: 20, max: 40, minCharge: 400, quantity: 30 },
+        ],
+    },
+    'aluminum-door-services': {
+        jobs: [
+            { id: 'door-install', label: { en: 'Aluminium door supply & installation', ar: 'توريد وتركيب أبواب الألمنيوم' }, unit: 'door', min: 1200, max: 2500, minCharge: 0,   quantity: 1 },
+            { id: 'door-repair',  label: { en: 'Door repair & adjustment',             ar: 'إصلاح وضبط الأبواب' },           unit: 'door', min: 150,  max: 350,  minCharge: 200, quantity: 1 },
+            { id: 'door-lock',    label: { en: 'Lock / handle replacement',            ar: 'استبدال الأقفال / المقابض' },    unit: 'unit', min: 120,  max: 300,  minCharge: 150, quantity: 1 },
+        ],
+    },
+    'ac-services': {
+        jobs: [
+            { id: 'ac-service', label: { en: 'AC cleaning & servicing', ar: 'تنظيف وصيانة المكيفات' }, unit: 'unit', min: 100, max: 180, minCharge: 200, quantity: 3 },
+            { id: 'ac-gas',     label: { en: 'Gas top-up',              ar: 'تعبئة الغاز' },           unit: 'unit', min: 150, max: 300, minCharge: 150, quantity: 1 },
+            { id: 'ac-install', label: { en: 'Split AC installation',   ar: 'تركيب مكيف سبليت' },      unit: 'unit', min: 350, max: 600, minCharge: 350, quantity: 1 },
+            { id: 'ac-repair',  label: { en: 'Diagnosis & repair',      ar: 'تشخيص الأعطال وإصلاحها' }, unit: 'unit', min: 200, max: 500, minCharge: 200, quantity: 1 },
+        ],
+    },
+    'plumbing-services': {
+        jobs: [
+            { id: 'leak',    label: { en: 'Leak detection & repair',       ar: 'كشف التسربات وإصلاحها' },          unit: 'point', min: 150, max: 350, minCharge: 200, quantity: 1 },
+            { id: 'fixture', label: { en: 'Tap / mixer / WC installation', ar: 'تركيب الحنفيات / الخلاطات / المراحيض' }, unit: 'point', min: 120, max: 250, minCharge: 150, quantity: 2 },
+            { id: 'drain',   label: { en: 'Drain unblocking',              ar: 'تسليك المجاري' },                  unit: 'point', min: 200, max: 450, minCharge: 200, quantity: 1 },
+            { id: 'heater',  label: { en: 'Water heater installation',     ar: 'تركيب سخان المياه' },              unit: 'unit',  min: 250, max: 450, minCharge: 250, quantity: 1 },
+        ],
+    },
+    'electrical-services': {
+        jobs: [
+            { id: 'socket', label: { en: 'Socket / switch installation', ar: 'تركيب المقابس / المفاتيح' },       unit: 'point', min: 60,  max: 120, minCharge: 200, quantity: 4 },
+            { id: 'light',  label: { en: 'Light fitting installation',   ar: 'تركيب وحدات الإنارة' },            unit: 'point', min: 80,  max: 150, minCharge: 200, quantity: 4 },
+            { id: 'db',     label: { en: 'DB / breaker troubleshooting', ar: 'فحص أعطال لوحة التوزيع / القواطع' }, unit: 'visit', min: 250, max: 600, minCharge: 250, quantity: 1 },
+        ],
+    },
+    'painting-services': {
+        jobs: [
+            { id: 'interior', label: { en: 'Interior wall painting', ar: 'دهان الجدران الداخلية' }, unit: 'm2',   min: 12,  max: 22,   minCharge: 800,  quantity: 150 },
+            { id: 'exterior', label: { en: 'Exterior painting',      ar: 'الدهان الخارجي' },        unit: 'm2',   min: 18,  max: 35,   minCharge: 1500, quantity: 200 },
+            { id: 'room',     label: { en: 'Single room repaint',    ar: 'إعادة دهان غرفة واحدة' }, unit: 'room', min: 600, max: 1200, minCharge: 600,  quantity: 1 },
+        ],
+    },
+    'carpentry-services': {
+        jobs: [
+            { id: 'door-fix',  label: { en: 'Wooden door repair & alignment', ar: 'إصلاح الأبواب الخشبية وضبطها' }, unit: 'door',  min: 120, max: 300,  minCharge: 200, quantity: 1 },
+            { id: 'wardrobe',  label: { en: 'Built-in wardrobe',              ar: 'خزانة ملابس مدمجة' },            unit: 'metre', min: 900, max: 1800, minCharge: 0,   quantity: 2 },
+            { id: 'furniture', label: { en: 'Furniture assembly',             ar: 'تركيب الأثاث' },                 unit: 'item',  min: 80,  max: 200,  minCharge: 200, quantity: 3 },
+        ],
+    },
+    'maintenance-services': {
+        jobs: [
+            { id: 'handyman', label: { en: 'General handyman work',       ar: 'أعمال صيانة عامة' }, unit: 'hour',     min: 80,   max: 150,  minCharge: 250, quantity: 3 },
+            { id: 'amc',      label: { en: 'Annual maintenance contract', ar: 'عقد صيانة سنوي' },   unit: 'contract', min: 3000, max: 6000, minCharge: 0,   quantity: 1 },
+        ],
+    },
+    'gypsum-work': {
+        jobs: [
+            { id: 'ceiling',   label: { en: 'Gypsum false ceiling',  ar: 'سقف جبسي معلق' },           unit: 'm2', min: 45, max: 85,  minCharge: 1000, quantity: 25 },
+            { id: 'partition', label: { en: 'Gypsum partition wall', ar: 'جدار فاصل من الجبس' },      unit: 'm2', min: 70, max: 120, minCharge: 1200, quantity: 15 },
+            { id: 'patch',     label: { en: 'Ceiling / wall repair', ar: 'إصلاح الأسقف / الجدران' }, unit: 'm2', min: 60, max: 120, minCharge: 300,  quantity: 2 },
+        ],
+    },
+};
+
+/* ============================================================
+   CALCULATION
+   ============================================================ */
+
+function unitLabel(unit, quantity) {
+    return t(quantity === 1 ? `unit.${unit}One` : `unit.${unit}`);
+}
+
+const aedFormatters = {};
+
+function formatAed(amount) {
+    const locale = getLocale();
+    aedFormatters[locale] ??= new Intl.NumberFormat(locale, {
+        style: 'currency', currency: ESTIMATE_CURRENCY, maximumFractionDigits: 0,
+    });
+    return aedFormatters[locale].format(amount);
+}
+
+function formatPercent(factor) {
+    const percent = Math.round((factor - 1) * 100);
+    return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+/**
+ * Computes a min–max price range for one job.
+ * @param {object}  input
+ * @param {string}  input.section   .service-detail id (key of PRICE_TABLE)
+ * @param {string}  input.job       job id within that section
+ * @param {number}  input.quantity
+ * @param {string}  [input.property] PROPERTY_LABELS key
+ * @param {boolean} [input.urgent]
+ * @returns {object|null} null when the section, job or quantity is not valid
+ */
+function estimatePrice({ section, job: jobId, quantity, property = 'residential', urgent = false }, table = PRICE_TABLE) {
+    const entry = table[section];
+    const job   = entry?.jobs.find(j => j.id === jobId);
+    const qty   = Number(quantity);
+    if (!job || !(qty > 0)) return null;
+
+    const propertyFactor = PROPERTY_FACTORS[property] ?? 1;
+    const urgencyFactor  = urgent ? ESTIMATE_URGENT_FACTOR : 1;
+
+    let min = job.min * qty;
+    let max = job.max * qty;
+    const minChargeApplied = min < job.minCharge;
+    min = Math.max(min, job.minCharge);
+    max = Math.max(max, job.minCharge);
+
+    min = Math.floor(min * propertyFactor * urgencyFactor / ESTIMATE_ROUND_TO) * ESTIMATE_ROUND_TO;
+    max = Math.ceil(max * propertyFactor * urgencyFactor / ESTIMATE_ROUND_TO) * ESTIMATE_ROUND_TO;
+
+    return {
+        section,
+        service:   serviceByAnchor(section)?.id ?? OTHER_SERVICE_ID,
+        job:       job.id,
+        quantity:  qty,
+        unit:      job.unit,
+        rate:      { min: job.min, max: job.max },
+        minCharge: minChargeApplied ? job.minCharge : null,
+        property,
+        propertyFactor,
+        urgent,
+        urgencyFactor,
+        min,
+        max,
+        currency:  ESTIMATE_CURRENCY,
+    };
+}
+
+/**
+ * Name of an estimate's job in the page language.
+ */
+function estimateJobLabel(estimate, table = PRICE_TABLE) {
+    const job = table[estimate.section]?.jobs.find(j => j.id === estimate.job);
+    return job ? localize(job.label) : estimate.job;
+}
+
+/**
+ * How an estimate was reached, one line per step, in the page language.
+ * Built when shown rather than stored, so a handed-over estimate follows a
+ * language switch too.
+ */
+function estimateBreakdown(estimate) {
+    const { quantity, unit, rate, minCharge, property, propertyFactor, urgencyFactor } = estimate;
+    const lines = [t('estimate.rate', {
+        job:      estimateJobLabel(estimate),
+        quantity,
+        unit:     unitLabel(unit, quantity),
+        min:      formatAed(rate.min),
+        max:      formatAed(rate.max),
+    })];
+    if (minCharge) lines.push(t('estimate.minCharge', { amount: formatAed(minCharge) }));
+    if (propertyFactor !== 1) {
+        lines.push(t('estimate.adjustment', { label: PROPERTY_LABELS[property] ?? property, percent: formatPercent(propertyFactor) }));
+    }
+    if (urgencyFactor !== 1) {
+        lines.push(t('estimate.adjustment', { label: t('estimate.urgent'), percent: formatPercent(urgencyFactor) }));
+    }
+    return lines;
+}
+
+/**
+ * "AED 500 – AED 900"
+ */
+function formatEstimateRange(estimate) {
+    return `${formatAed(estimate.min)} – ${formatAed(estimate.max)}`;
+}
+
+/**
+ * Lines describing an estimate, for the request message.
+ */
+function formatEstimate(estimate) {
+    return [
+        t('estimate.summary', { min: formatAed(estimate.min), max: formatAed(estimate.max) }),
+        ...estimateBreakdown(estimate).map(line => `   • ${line}`),
+    ].join('\n');
+}
+
+/* ============================================================
+   HAND-OFF TO THE CONTACT FORM
+   ============================================================ */
+
+function saveEstimateHandoff(estimate, storage = globalThis.sessionStorage) {
+    try {
+        storage.setItem(ESTIMATE_HANDOFF_KEY, JSON.stringify(estimate));
+        return true;
+    } catch {
+        return false;     // storage disabled – the visitor still lands on the form
+    }
+}
+
+/**
+ * Reads and removes the estimate handed over from services.html, if any.
+ */
+function takeEstimateHandoff(storage = globalThis.sessionStorage) {
+    try {
+        const raw = storage.getItem(ESTIMATE_HANDOFF_KEY);
+        storage.removeItem(ESTIMATE_HANDOFF_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch {
+        return null;
+    }
+}
+
+/* ============================================================
+   ESTIMATOR PANEL
+   ============================================================ */
+
+/**
+ * Adds an estimator panel to one .service-detail block.
+ * @param {HTMLElement} section  element whose id is a PRICE_TABLE key
+ * @param {{ onRequest?: Function }} [options] called with the estimate on "Request this job"
+ * @returns {{ estimate: () => object|null }|null}
+ */
+function attachEstimator(section, { onRequest } = {}) {
+    const entry = PRICE_TABLE[section.id];
+    const host  = section.querySelector('.service-detail__text');
+    if (!entry || !host) return null;
+
+    const uid   = `${section.id}-estimate`;
+    const panel = document.createElement('details');
+    panel.className = 'estimator';
+    panel.innerHTML = `
+        <summary class="estimator__toggle"><i class="fas fa-calculator"></i> <span data-i18n="estimate.toggle"></span></summary>
+        <form class="estimator__form" novalidate>
+            <div class="estimator__field">
+                <label for="${uid}-job" data-i18n="estimate.job"></label>
+                <select id="${uid}-job" name="job"></select>
+            </div>
+            <div class="estimator__field">
+                <label for="${uid}-qty" class="estimator__quantity"></label>
+                <input type="number" id="${uid}-qty" name="quantity" min="1" step="1" inputmode="numeric">
+            </div>
+            <div class="estimator__field">
+                <label for="${uid}-property" data-i18n="estimate.property"></label>
+                <select id="${uid}-property" name="property"></select>
+            </div>
+            <label class="estimator__urgent">
+                <input type="checkbox" name="urgent"> <span data-i18n="estimate.urgent"></span>
+            </label>
+            <div class="estimator__result" aria-live="polite">
+                <output class="estimator__range" for="${uid}-job ${uid}-qty ${uid}-property"></output>
+                <ul class="estimator__breakdown"></ul>
+                <p class="estimator__note" data-i18n="estimate.note"></p>
+            </div>
+            <button type="submit" class="btn btn-primary estimator__request">
+                <i class="fas fa-paper-plane"></i> <span data-i18n="estimate.request"></span>
+            </button>
+        </form>
+    `;
+    translatePage(panel);
+    host.appendChild(panel);
+
+    const form      = panel.querySelector('form');
+    const jobSelect = form.elements.job;
+    const quantity  = form.elements.quantity;
+    const property  = form.elements.property;
+    const urgent    = form.elements.urgent;
+
+    /**
+     * (Re)labels the job and property options, keeping the selection.
+     */
+    function renderOptions() {
+        const chosen = { job: jobSelect.value, property: property.value };
+        jobSelect.replaceChildren(...entry.jobs.map(job => new Option(localize(job.label), job.id)));
+        property.replaceChildren(...Object.entries(PROPERTY_LABELS).map(([value, label]) => new Option(label, value)));
+        if (chosen.job) jobSelect.value = chosen.job;
+        if (chosen.property) property.value = chosen.property;
+    }
+
+    const selectedJob = () => entry.jobs.find(j => j.id === jobSelect.value);
+
+    let current = null;
+
+    function update() {
+        current = estimatePrice({
+            section:  section.id,
+            job:      jobSelect.value,
+            quantity: quantity.value,
+            property: property.value,
+            urgent:   urgent.checked,
+        });
+
+        const job = selectedJob();
+        form.querySelector('.estimator__quantity').textContent = t('estimate.quantity', { unit: unitLabel(job.unit, 2) });
+        form.querySelector('.estimator__range').textContent = current
+            ? formatEstimateRange(current)
+            : t('estimate.enterQuantity');
+        form.querySelector('.estimator__breakdown').replaceChildren(...(current ? estimateBreakdown(current) : []).map(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            return item;
+        }));
+        form.querySelector('.estimator__request').disabled = !current;
+    }
+
+    jobSelect.addEventListener('change', () => {
+        quantity.value = selectedJob().quantity;    // a sensible starting point for each job
+        update();
+    });
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        if (current) onRequest?.(current);
+    });
+
+    renderOptions();
+    quantity.value = entry.jobs[0].quantity;
+    update();
+    onLanguageChange(() => {
+        renderOptions();
+        update();
+    });
+
+    return { estimate: () => current };
+}
+
+/**
+ * Default "Request this job": carry the estimate over to the contact form.
+ */
+function requestEstimate(estimate) {
+    saveEstimateHandoff(estimate);
+    window.location.href = ESTIMATE_CONTACT_URL;
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+function initEstimators() {
+    document.querySelectorAll('.service-detail[id]').forEach(section => {
+        attachEstimator(section, { onRequest: requestEstimate });
+    });
+}
+
+// Run after the DOM is fully loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initEstimators);
+} else {
+    initEstimators();
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRICE_TABLE,
+        PROPERTY_FACTORS,
+        estimatePrice,
+        estimateJobLabel,
+        estimateBreakdown,
+        formatEstimate,
+        saveEstimateHandoff,
+        takeEstimateHandoff,
+        attachEstimator,
+    };
+}
@@ -0,0 +1,403 @@
+/**
+ * faq.js
+ * Frequently asked questions, rendered from FAQ_ITEMS into [data-faq]
+ * - Accordion built from disclosure buttons (aria-expanded / aria-controls);
+ *   one answer open at a time unless the container has data-faq-multiple
+ * - Live search across questions and answers in the page language, with the
+ *   matches highlighted, and category filters
+ * - No matches → "Ask us" prefills the contact form with the visitor's question
+ * - Every answer has its own link (contact.html#faq-emergency), opened on arrival
+ */
+
+'use strict';
+
+/* ============================================================
+   DATA
+   ============================================================ */
+
+// The business number as it is written, grouped by phone.js where the page loads it
+const FAQ_PHONE = typeof formatPhone === 'function' ? formatPhone(BUSINESS_PROFILE.phone) : BUSINESS_PROFILE.phone;
+
+// In display order
+const FAQ_CATEGORIES = {
+    services: { en: 'Services',           ar: 'الخدمات' },
+    coverage: { en: 'Areas & Timing',     ar: 'المناطق والمواعيد' },
+    pricing:  { en: 'Quotes & Contracts', ar: 'العروض والعقود' },
+    company:  { en: 'About Us',           ar: 'عن الشركة' },
+};
+
+/**
+ * `id` is the answer's link (#faq-<id>), `category` a key of FAQ_CATEGORIES.
+ * Questions and answers are { en, ar } texts (see localize()).
+ */
+const FAQ_ITEMS = [
+    {
+        id:       'emergency',
+        category: 'services',
+        question: {
+            en: 'Do you offer emergency services?',
+            ar: 'هل تقدمون خدمات الطوارئ؟',
+        },
+        answer: {
+            en: `Yes! We provide 24/7 emergency services for urgent maintenance issues. Call us anytime at ${FAQ_PHONE}.`,
+            ar: `نعم! نقدم خدمات الطوارئ على مدار الساعة لأعمال الصيانة العاجلة. اتصل بنا في أي وقت على ${FAQ_PHONE}.`,
+        },
+    },
+    {
+        id:       'areas',
+        category: 'coverage',
+        question: {
+            en: 'What areas do you serve?',
+            ar: 'ما المناطق التي تخدمونها؟',
+        },
+        answer: {
+            en: 'We serve all areas across Abu Dhabi including Mussafah, Al Raha, Khalifa City, Al Reef, Yas Island, and surrounding areas.',
+            ar: 'نخدم جميع مناطق أبوظبي بما فيها مصفح والراحة ومدينة خليفة والريف وجزيرة ياس والمناطق المحيطة بها.',
+        },
+    },
+    {
+        id:       'response-time',
+        category: 'coverage',
+        question: {
+            en: 'How quickly can you respond to service requests?',
+            ar: 'ما مدى سرعة استجابتكم لطلبات الخدمة؟',
+        },
+        answer: {
+            en: 'For regular requests, we typically schedule within 24-48 hours. Emergency services receive immediate attention with response times of 2-4 hours.',
+            ar: 'نحدد موعد الطلبات العادية عادةً خلال 24-48 ساعة. أما طلبات الطوارئ فنتعامل معها فوراً ونصل خلال 2-4 ساعات.',
+        },
+    },
+    {
+        id:       'quotes',
+        category: 'pricing',
+        question: {
+            en: 'Do you provide free quotes?',
+            ar: 'هل تقدمون عروض أسعار مجانية؟',
+        },
+        answer: {
+            en: "Absolutely! We provide free, no-obligation quotes for all our services. Contact us with your requirements and we'll give you a detailed estimate.",
+            ar: 'بالتأكيد! نقدم عروض أسعار مجانية ودون أي التزام لجميع خدماتنا. تواصل معنا بمتطلباتك وسنقدم لك تقديراً مفصلاً.',
+        },
+    },
+    {
+        id:       'licence',
+        category: 'company',
+        question: {
+            en: 'Are you licensed and insured?',
+            ar: 'هل أنتم مرخصون ومؤمَّنون؟',
+        },
+        answer: {
+            en: `Yes, we are fully licensed by Abu Dhabi authorities (License No: ${BUSINESS_PROFILE.licence}) and carry comprehensive insurance coverage.`,
+            ar: `نعم، نحن مرخصون بالكامل من الجهات المختصة في أبوظبي (رقم الرخصة: ${BUSINESS_PROFILE.licence}) ولدينا تغطية تأمينية شاملة.`,
+        },
+    },
+    {
+        id:       'maintenance-contracts',
+        category: 'pricing',
+        question: {
+            en: 'Do you offer maintenance contracts?',
+            ar: 'هل تقدمون عقود صيانة؟',
+        },
+        answer: {
+            en: 'Yes, we offer flexible Annual Maintenance Contracts (AMC) for residential and commercial properties. Contact us for customized packages.',
+            ar: 'نعم، نقدم عقود صيانة سنوية (AMC) مرنة للعقارات السكنية والتجارية. تواصل معنا للحصول على باقات مصممة حسب احتياجاتك.',
+        },
+    },
+];
+
+const FAQ_HASH_PREFIX = 'faq-';
+
+/* ============================================================
+   SEARCH
+   ============================================================ */
+
+/**
+ * Lower-cased words of a search query.
+ */
+function faqTerms(query) {
+    return String(query).toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Whether an item matches every term (in its question, answer or category),
+ * as shown in the page language.
+ */
+function faqMatches(item, terms, categories = FAQ_CATEGORIES) {
+    const haystack = `${localize(item.question)} ${localize(item.answer)} ${localize(categories[item.category])}`.toLowerCase();
+    return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * Fills `el` with `text`, wrapping every occurrence of a term in <mark>.
+ * Built from text nodes, so nothing in the text is ever parsed as HTML.
+ */
+function highlightText(el, text, terms) {
+    if (!terms.length) {
+        el.textContent = text;
+        return;
+    }
+
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    el.replaceChildren(...text.split(pattern).filter(Boolean).map(part => {
+        if (!terms.includes(part.toLowerCase())) return document.createTextNode(part);
+        const mark = document.createElement('mark');
+        mark.className = 'faq-highlight';
+        mark.textContent = part;
+        return mark;
+    }));
+}
+
+/* ============================================================
+   COMPONENT
+   ============================================================ */
+
+/**
+ * Renders the FAQ into `container`.
+ * @param {HTMLElement} container
+ * @param {object}   [options]
+ * @param {object[]} [options.items]
+ * @param {object}   [options.categories]
+ * @param {boolean}  [options.multiple]  allow several answers open at once
+ * @param {Function} [options.onAsk]     called with the search query from the "no results" prompt
+ * @returns {{ open: Function, close: Function, search: Function, filter: Function }}
+ */
+function createFaq(container, { items = FAQ_ITEMS, categories = FAQ_CATEGORIES, multiple = false, onAsk } = {}) {
+    let query    = '';
+    let category = '';
+
+    container.classList.add('faq');
+    container.innerHTML = `
+        <div class="faq-tools">
+            <div class="faq-search">
+                <i class="fas fa-search" aria-hidden="true"></i>
+                <input type="search" class="faq-search__input" autocomplete="off">
+            </div>
+            <div class="faq-filters" role="group"></div>
+        </div>
+        <p class="faq-status" role="status" aria-live="polite"></p>
+        <div class="faq-grid"></div>
+        <div class="faq-empty" hidden>
+            <p class="faq-empty__text"></p>
+            <button type="button" class="btn btn-primary faq-empty__ask"></button>
+        </div>
+    `;
+
+    const input   = container.querySelector('.faq-search__input');
+    const filters = container.querySelector('.faq-filters');
+    const grid    = container.querySelector('.faq-grid');
+    const status  = container.querySelector('.faq-status');
+    const empty   = container.querySelector('.faq-empty');
+
+    // "All" first, then one button per category that has questions
+    const filterButtons = ['', ...Object.keys(categories).filter(key => items.some(item => item.category === key))].map(key => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'faq-filter';
+        button.dataset.category = key;
+        filters.appendChild(button);
+        return button;
+    });
+
+    const entries = items.map(item => {
+        const id = `${FAQ_HASH_PREFIX}${item.id}`;
+        const el = document.createElement('div');
+        el.className = 'faq-item';
+        el.id = id;
+        el.innerHTML = `
+            <h3 class="faq-question">
+                <button type="button" id="${id}-button" aria-expanded="false" aria-controls="${id}-answer">
+                    <span class="faq-question__text"></span>
+                    <i class="fas fa-chevron-down" aria-hidden="true"></i>
+                </button>
+            </h3>
+            <div class="faq-answer" id="${id}-answer" role="region" aria-labelledby="${id}-button" hidden>
+                <p></p>
+            </div>
+        `;
+        grid.appendChild(el);
+        return {
+            item,
+            el,
+            button:   el.querySelector('.faq-question button'),
+            question: el.querySelector('.faq-question__text'),
+            answer:   el.querySelector('.faq-answer'),
+            text:     el.querySelector('.faq-answer p'),
+        };
+    });
+
+    function entryById(id) {
+        return entries.find(entry => entry.item.id === id) ?? null;
+    }
+
+    function setOpen(entry, open) {
+        entry.el.classList.toggle('active', open);
+        entry.button.setAttribute('aria-expanded', String(open));
+        entry.answer.hidden = !open;
+    }
+
+    /**
+     * Opens an answer (closing the others unless `multiple`); a hidden one is
+     * brought back by clearing the search and filter.
+     * @returns {HTMLElement|null} the item
+     */
+    function open(id) {
+        const entry = entryById(id);
+        if (!entry) return null;
+
+        if (entry.el.hidden) {
+            query = '';
+            category = '';
+            input.value = '';
+            render();
+        }
+        if (!multiple) entries.forEach(other => other !== entry && setOpen(other, false));
+        setOpen(entry, true);
+        return entry.el;
+    }
+
+    function close(id) {
+        const entry = entryById(id);
+        if (entry) setOpen(entry, false);
+    }
+
+    function render() {
+        const terms = faqTerms(query);
+        let shown = 0;
+
+        entries.forEach(entry => {
+            const visible = (!category || entry.item.category === category) && faqMatches(entry.item, terms, categories);
+            entry.el.hidden = !visible;
+            if (visible) shown++;
+            highlightText(entry.question, localize(entry.item.question), terms);
+            highlightText(entry.text, localize(entry.item.answer), terms);
+        });
+
+        filterButtons.forEach(button => {
+            const key = button.dataset.category;
+            button.textContent = key ? localize(categories[key]) : t('faq.all');
+            button.setAttribute('aria-pressed', String(key === category));
+        });
+
+        input.placeholder = t('faq.search');
+        input.setAttribute('aria-label', t('faq.search'));
+        filters.setAttribute('aria-label', t('faq.categories'));
+
+        const filtered = Boolean(terms.length || category);
+        status.textContent = filtered ? t(shown === 1 ? 'faq.resultsOne' : 'faq.results', { count: shown }) : '';
+
+        empty.hidden = shown > 0;
+        empty.querySelector('.faq-empty__text').textContent = query.trim() ? t('faq.noResultsFor', { query: query.trim() }) : t('faq.noResults');
+        empty.querySelector('.faq-empty__ask').textContent = t('faq.ask');
+    }
+
+    /**
+     * Shows the questions matching `value` (every word must appear).
+     */
+    function search(value) {
+        query = value;
+        if (input.value !== value) input.value = value;
+        render();
+    }
+
+    /**
+     * Shows one category ('' for all).
+     */
+    function filter(key) {
+        category = key in categories ? key : '';
+        render();
+    }
+
+    input.addEventListener('input', () => search(input.value));
+
+    filters.addEventListener('click', e => {
+        const button = e.target.closest('.faq-filter');
+        if (button) filter(button.dataset.category);
+    });
+
+    grid.addEventListener('click', e => {
+        const button = e.target.closest('.faq-question button');
+        if (!button) return;
+
+        const entry = entries.find(candidate => candidate.button === button);
+        if (entry.el.classList.contains('active')) {
+            close(entry.item.id);
+            return;
+        }
+
+        open(entry.item.id);
+        // The open answer is the page's link target, without a history entry per click
+        history.replaceState(history.state, '', `#${entry.el.id}`);
+        trackEvent('faq_open', { question: entry.item.id });
+    });
+
+    empty.querySelector('.faq-empty__ask').addEventListener('click', () => {
+        trackEvent('faq_ask', { hasQuery: Boolean(query.trim()) });
+        onAsk?.(query.trim());
+    });
+
+    onLanguageChange(render);
+    render();
+
+    return { open, close, search, filter };
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+/**
+ * Opens the answer a #faq-<id> hash points at.
+ * @returns {HTMLElement|null}
+ */
+function openFaqFromHash(faq, hash = window.location.hash) {
+    let id;
+    try {
+        id = decodeURIComponent(hash.slice(1));
+    } catch {
+        return null;            // malformed escape, e.g. #%E0 – not one of ours
+    }
+    return id.startsWith(FAQ_HASH_PREFIX) ? faq.open(id.slice(FAQ_HASH_PREFIX.length)) : null;
+}
+
+/**
+ * Prefills the page's contact form with a question the FAQ could not answer.
+ */
+function askViaContactForm(question) {
+    const controller = Object.values(contactForms).find(candidate => candidate.config.fields.message);
+    if (!controller) return;
+
+    if (question) controller.setField('message', t('faq.askMessage', { question }));
+    scrollToTarget(controller.form);
+    document.getElementById(controller.config.fields.message.id)?.focus({ preventScroll: true });
+}
+
+function initFaq() {
+    document.querySelectorAll('[data-faq]').forEach(container => {
+        const faq = createFaq(container, {
+            multiple: container.hasAttribute('data-faq-multiple'),
+            onAsk:    askViaContactForm,
+        });
+
+        // Before navigation.js lands the deep link, so it scrolls to the open answer
+        openFaqFromHash(faq);
+        window.addEventListener('hashchange', () => openFaqFromHash(faq));
+    });
+}
+
+// In the browser only – test/structured-data.test.js loads the questions in Node
+if (typeof document !== 'undefined') {
+    // Run after the DOM is fully loaded – after contact.js, whose form the "Ask us" prompt fills in
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initFaq);
+    } else {
+        initFaq();
+    }
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FAQ_CATEGORIES, FAQ_ITEMS, faqTerms, faqMatches, createFaq };
+}
@@ -0,0 +1,147 @@
+/**
+ * hours-status.js
+ * Business hours on the page, rendered from the hours model (hours.js)
+ * - Working hours cards built from BUSINESS_HOURS, today's row highlighted
+ * - "Open now / Emergency service only / Closed" badge in the header
+ *   and wherever a [data-hours-status] placeholder is present
+ * - Refreshes every minute and on a language switch; the clock can be injected for testing
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const HOURS_REFRESH_MS = 60 * 1000;
+
+const STATUS_ICONS = {
+    open:      'fas fa-door-open',
+    emergency: 'fas fa-exclamation-triangle',
+    closed:    'fas fa-door-closed',
+};
+
+/* ============================================================
+   RENDERING
+   ============================================================ */
+
+/**
+ * Replaces the contents of a .working-hours-grid with cards from the model.
+ */
+function renderHoursCards(grid, { hours = BUSINESS_HOURS, now = new Date() } = {}) {
+    const { weekday } = zonedParts(now, hours.timeZone);
+
+    grid.replaceChildren(...hoursCards(hours).map(row => {
+        const card = document.createElement('div');
+        card.className = 'hours-card';
+        card.classList.toggle('emergency', row.emergency);
+        card.classList.toggle('hours-card--today', row.days.includes(weekday));
+
+        const day = document.createElement('div');
+        day.className = 'hours-card__day';
+        day.textContent = row.day;
+
+        const time = document.createElement('div');
+        time.className = 'hours-card__time';
+        time.textContent = row.time;
+
+        card.append(day, time);
+        return card;
+    }));
+}
+
+/**
+ * Fills a status badge element. `compact` badges show the title only,
+ * with the detail in the tooltip.
+ */
+function renderStatusBadge(badge, status, label, { compact = false } = {}) {
+    badge.classList.remove('hours-status--open', 'hours-status--emergency', 'hours-status--closed');
+    badge.classList.add('hours-status', `hours-status--${status.state}`);
+    badge.title = [label.title, label.detail].filter(Boolean).join(' · ');
+
+    badge.innerHTML = `
+        <span class="hours-status__dot" aria-hidden="true"></span>
+        <i class="${STATUS_ICONS[status.state]}" aria-hidden="true"></i>
+        <span class="hours-status__title"></span>
+        ${compact ? '' : '<span class="hours-status__detail"></span>'}
+    `;
+    badge.querySelector('.hours-status__title').textContent = label.title;
+    badge.querySelector('.hours-status__detail')?.replaceChildren(document.createTextNode(label.detail));
+}
+
+/* ============================================================
+   MOUNT
+   ============================================================ */
+
+/**
+ * Renders the hours cards and status badges on this page and keeps them current.
+ * @param {object}   [options]
+ * @param {object}   [options.hours]     defaults to BUSINESS_HOURS
+ * @param {Function} [options.now]       clock, () → Date
+ * @param {number}   [options.refreshMs] 0 disables the refresh timer
+ * @returns {{ refresh: Function, destroy: Function }}
+ */
+function mountBusinessHours({ hours = BUSINESS_HOURS, now = () => new Date(), refreshMs = HOURS_REFRESH_MS } = {}) {
+    const grids = [...document.querySelectorAll('.working-hours-grid')];
+    const slots = [...document.querySelectorAll('[data-hours-status]')];
+
+    // Header badge, next to the menu toggle. Not a live region: it is redrawn
+    // every minute on every page, and screen readers would announce each one
+    let headerBadge = null;
+    const nav = document.querySelector('.header .nav');
+    if (nav) {
+        headerBadge = document.createElement('a');
+        headerBadge.href = 'contact.html#business-hours';
+        headerBadge.className = 'hours-status hours-status--header';
+        nav.insertBefore(headerBadge, nav.querySelector('.nav__toggle'));
+    }
+
+    function refresh() {
+        const at     = now();
+        const status = businessStatus(at, hours);
+        const label  = statusLabel(status, at, hours);
+
+        grids.forEach(grid => renderHoursCards(grid, { hours, now: at }));
+        slots.forEach(slot => renderStatusBadge(slot, status, label));
+        if (headerBadge) renderStatusBadge(headerBadge, status, label, { compact: true });
+        return status;
+    }
+
+    refresh();
+    const timer = refreshMs > 0 ? setInterval(refresh, refreshMs) : null;
+    const stopRelabelling = onLanguageChange(() => refresh());
+
+    return {
+        refresh,
+        destroy() {
+            clearInterval(timer);
+            stopRelabelling();
+            headerBadge?.remove();
+        },
+    };
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+// Live view of the hours on this page ({ refresh, destroy })
+let businessHoursView = null;
+
+function initBusinessHours() {
+    businessHoursView = mountBusinessHours();
+}
+
+// Run after the DOM is fully loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initBusinessHours);
+} else {
+    initBusinessHours();
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderHoursCards, renderStatusBadge, mountBusinessHours };
+}
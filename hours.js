@@ -0,0 +1,412 @@
+/**
+ * hours.js
+ * Business hours model for Prime Solid Contracting & General Maintenance
+ * - The published schedule, holidays and blackout dates as data
+ * - Date helpers that always work in Asia/Dubai time, whatever the visitor's timezone
+ * - Bookable visit slots generated from the schedule
+ * - Live open / closed / emergency-only status and the next opening time
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const BUSINESS_TIME_ZONE = 'Asia/Dubai';
+
+const SLOT_MINUTES         = 120;   // length of a visit window
+const SLOT_LEAD_MINUTES    = 120;   // earliest bookable start is this far from now
+const BOOKING_HORIZON_DAYS = 60;    // how far ahead visits can be booked
+
+/**
+ * Weekly schedule, holidays and blackouts. Times are 'HH:MM' in `timeZone`;
+ * days are 0 = Sunday … 6 = Saturday. Dates are 'YYYY-MM-DD'.
+ * Labels, names and blackout reasons are { en, ar } texts (see localize()).
+ * Lunar holidays (Eid etc.) are added here once their dates are announced.
+ */
+const BUSINESS_HOURS = {
+    timeZone: BUSINESS_TIME_ZONE,
+    weekly: [
+        { days: [1, 2, 3, 4, 5], label: { en: 'Monday - Friday', ar: 'الاثنين - الجمعة' }, open: '08:00', close: '20:00' },
+        { days: [6],             label: { en: 'Saturday',        ar: 'السبت' },            open: '08:00', close: '18:00' },
+        { days: [0],             label: { en: 'Sunday',          ar: 'الأحد' },            byAppointment: true },
+    ],
+    emergency: {
+        label: { en: 'Emergency Services', ar: 'خدمات الطوارئ' },
+        text:  { en: '24/7 Available',     ar: 'متاحة على مدار الساعة' },
+    },
+    holidays: [
+        { date: '2026-12-01', name: { en: 'Commemoration Day', ar: 'يوم الشهيد' } },
+        { date: '2026-12-02', name: { en: 'UAE National Day',  ar: 'اليوم الوطني' } },
+        { date: '2026-12-03', name: { en: 'UAE National Day',  ar: 'اليوم الوطني' } },
+        { date: '2027-01-01', name: { en: "New Year's Day",    ar: 'رأس السنة الميلادية' } },
+    ],
+    // Ranges when no visits can be booked (team training, stocktake …)
+    blackouts: [],
+};
+
+/* ============================================================
+   CALENDAR HELPERS (timezone-safe)
+   ============================================================ */
+
+const zonedFormatters = {};
+
+/**
+ * Calendar parts of `date` as seen in `timeZone`.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number, date: string, time: string }}
+ */
+function zonedParts(date, timeZone = BUSINESS_TIME_ZONE) {
+    zonedFormatters[timeZone] ??= new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', weekday: 'short',
+    });
+
+    const parts = Object.fromEntries(
+        zonedFormatters[timeZone].formatToParts(date).map(({ type, value }) => [type, value])
+    );
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    return {
+        year:    Number(parts.year),
+        month:   Number(parts.month),
+        day:     Number(parts.day),
+        hour:    Number(parts.hour),
+        minute:  Number(parts.minute),
+        weekday: weekdays.indexOf(parts.weekday),
+        date:    `${parts.year}-${parts.month}-${parts.day}`,
+        time:    `${parts.hour}:${parts.minute}`,
+    };
+}
+
+/**
+ * The instant at which it is `time` on `dateStr` in `timeZone`.
+ */
+function zonedDateTime(dateStr, time, timeZone = BUSINESS_TIME_ZONE) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hour, minute]     = time.split(':').map(Number);
+
+    // Treat the wall time as UTC, then correct by the zone's offset at that moment
+    const guess  = Date.UTC(year, month - 1, day, hour, minute);
+    const seen   = zonedParts(new Date(guess), timeZone);
+    const offset = Date.UTC(seen.year, seen.month - 1, seen.day, seen.hour, seen.minute) - guess;
+    return new Date(guess - offset);
+}
+
+/**
+ * Today's date ('YYYY-MM-DD') in `timeZone`.
+ */
+function todayIn(timeZone = BUSINESS_TIME_ZONE, now = new Date()) {
+    return zonedParts(now, timeZone).date;
+}
+
+/**
+ * Adds whole days to a 'YYYY-MM-DD' date.
+ */
+function addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week (0 = Sunday) of a 'YYYY-MM-DD' date – a calendar fact, no timezone involved.
+ */
+function weekdayOf(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * A 'YYYY-MM-DD' date in the page language, e.g. formatDate('2026-10-19', { weekday: 'short' }) → "Mon".
+ */
+function formatDate(dateStr, options) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Intl.DateTimeFormat(getLocale(), { ...options, timeZone: 'UTC' })
+        .format(new Date(Date.UTC(year, month - 1, day)));
+}
+
+function minutesOf(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+}
+
+function timeOf(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+const clockFormatters = {};
+
+/**
+ * "08:00" → "8:00 AM" ("8:00 ص" in Arabic)
+ */
+function formatClock(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    const locale = getLocale();
+    clockFormatters[locale] ??= new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+    return clockFormatters[locale].format(new Date(Date.UTC(1970, 0, 1, hour, minute)));
+}
+
+/* ============================================================
+   SCHEDULE LOOKUPS
+   ============================================================ */
+
+function holidayOn(dateStr, hours = BUSINESS_HOURS) {
+    return hours.holidays.find(h => h.date === dateStr) ?? null;
+}
+
+function blackoutOn(dateStr, hours = BUSINESS_HOURS) {
+    return hours.blackouts.find(b => dateStr >= b.from && dateStr <= b.to) ?? null;
+}
+
+/**
+ * The weekly entry for a date, ignoring holidays: { open, close } | { byAppointment } | null.
+ */
+function scheduleFor(dateStr, hours = BUSINESS_HOURS) {
+    const weekday = weekdayOf(dateStr);
+    return hours.weekly.find(entry => entry.days.includes(weekday)) ?? null;
+}
+
+/**
+ * Regular opening hours on a date, or null when there are none
+ * (holiday, blackout, by-appointment day or a closed weekday).
+ */
+function openingHoursOn(dateStr, hours = BUSINESS_HOURS) {
+    if (holidayOn(dateStr, hours) || blackoutOn(dateStr, hours)) return null;
+    const entry = scheduleFor(dateStr, hours);
+    return entry?.open ? { open: entry.open, close: entry.close } : null;
+}
+
+/**
+ * The published schedule as display rows: [{ day, time, emergency }].
+ */
+function hoursCards(hours = BUSINESS_HOURS) {
+    const rows = hours.weekly.map(entry => ({
+        day:       localize(entry.label),
+        time:      entry.byAppointment ? t('hours.byAppointment') : `${formatClock(entry.open)} - ${formatClock(entry.close)}`,
+        days:      entry.days,
+        emergency: false,
+    }));
+    if (hours.emergency) {
+        rows.push({ day: localize(hours.emergency.label), time: localize(hours.emergency.text), days: [], emergency: true });
+    }
+    return rows;
+}
+
+/* ============================================================
+   LIVE STATUS
+   ============================================================ */
+
+const STATUS_LOOKAHEAD_DAYS = 14;   // longer than any holiday run we expect
+
+/**
+ * The next moment regular hours start, strictly after `now`.
+ * @returns {{ date: string, time: string, at: Date }|null}
+ */
+function nextOpening(now = new Date(), hours = BUSINESS_HOURS) {
+    const today = todayIn(hours.timeZone, now);
+
+    for (let i = 0; i <= STATUS_LOOKAHEAD_DAYS; i++) {
+        const date    = addDays(today, i);
+        const opening = openingHoursOn(date, hours);
+        if (!opening) continue;
+
+        const at = zonedDateTime(date, opening.open, hours.timeZone);
+        if (at > now) return { date, time: opening.open, at };
+    }
+    return null;
+}
+
+/**
+ * Whether we are open right now, in business time.
+ *   state     – 'open' | 'emergency' (closed, emergency line only) | 'closed'
+ *   closesAt  – when open: { date, time, at }
+ *   opensAt   – when not open: the next opening, see nextOpening()
+ *   holiday   – today's holiday, if any
+ * @param {Date} [now]  injectable clock
+ */
+function businessStatus(now = new Date(), hours = BUSINESS_HOURS) {
+    const { date, time } = zonedParts(now, hours.timeZone);
+    const opening = openingHoursOn(date, hours);
+    const holiday = holidayOn(date, hours);
+
+    if (opening && time >= opening.open && time < opening.close) {
+        return {
+            state:    'open',
+            closesAt: { date, time: opening.close, at: zonedDateTime(date, opening.close, hours.timeZone) },
+            opensAt:  null,
+            holiday:  null,
+        };
+    }
+
+    return {
+        state:    hours.emergency ? 'emergency' : 'closed',
+        closesAt: null,
+        opensAt:  nextOpening(now, hours),
+        holiday,
+    };
+}
+
+/**
+ * "today" / "tomorrow" / "Mon" for a date relative to `now`.
+ */
+function relativeDay(dateStr, now = new Date(), timeZone = BUSINESS_TIME_ZONE) {
+    const today = todayIn(timeZone, now);
+    if (dateStr === today) return t('hours.today');
+    if (dateStr === addDays(today, 1)) return t('hours.tomorrow');
+    return formatDate(dateStr, { weekday: 'short' });
+}
+
+/**
+ * Text for a status badge.
+ * @returns {{ title: string, detail: string }} e.g. { title: 'Open now', detail: 'Closes 8:00 PM' }
+ */
+function statusLabel(status, now = new Date(), hours = BUSINESS_HOURS) {
+    const opens = status.opensAt
+        ? t('hours.opens', { day: relativeDay(status.opensAt.date, now, hours.timeZone), time: formatClock(status.opensAt.time) })
+        : '';
+    const closedFor = status.holiday ? t('hours.closedFor', { holiday: localize(status.holiday.name) }) : '';
+
+    if (status.state === 'open') {
+        return { title: t('hours.open'), detail: t('hours.closes', { time: formatClock(status.closesAt.time) }) };
+    }
+    if (status.state === 'emergency') {
+        return { title: t('hours.emergencyOnly'), detail: [closedFor, opens].filter(Boolean).join('. ') };
+    }
+    return { title: closedFor || t('hours.closed'), detail: opens };
+}
+
+/* ============================================================
+   VISIT SLOTS
+   ============================================================ */
+
+/**
+ * Why a date can't be booked, or null when it can.
+ * @returns {{ reason: 'invalid'|'past'|'too-far'|'holiday'|'blackout'|'appointment'|'closed'|'full', message: string }|null}
+ */
+function visitDateProblem(dateStr, { hours = BUSINESS_HOURS, now = new Date() } = {}) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr ?? '')) {
+        return { reason: 'invalid', message: t('visit.invalid') };
+    }
+
+    const today = todayIn(hours.timeZone, now);
+    if (dateStr < today) {
+        return { reason: 'past', message: t('visit.past') };
+    }
+    if (dateStr > addDays(today, BOOKING_HORIZON_DAYS)) {
+        return { reason: 'too-far', message: t('visit.tooFar', { days: BOOKING_HORIZON_DAYS }) };
+    }
+
+    const holiday = holidayOn(dateStr, hours);
+    if (holiday) {
+        return { reason: 'holiday', message: t('visit.holiday', { holiday: localize(holiday.name) }) };
+    }
+    const blackout = blackoutOn(dateStr, hours);
+    if (blackout) {
+        const message = blackout.reason ? t('visit.blackoutReason', { reason: localize(blackout.reason) }) : t('visit.blackout');
+        return { reason: 'blackout', message };
+    }
+
+    const entry = scheduleFor(dateStr, hours);
+    if (entry?.byAppointment) {
+        return { reason: 'appointment', message: t('visit.appointment', { day: localize(entry.label) }) };
+    }
+    if (!entry?.open) {
+        return { reason: 'closed', message: t('visit.closed') };
+    }
+
+    if (!generateSlots(dateStr, { hours, now }).length) {
+        return { reason: 'full', message: t('visit.full') };
+    }
+    return null;
+}
+
+/**
+ * Bookable visit windows on a date, in business time.
+ * Windows that start before now + lead time are left out.
+ * @returns {{ value: string, from: string, to: string }[]}  value is 'HH:MM-HH:MM'
+ */
+function generateSlots(dateStr, {
+    hours       = BUSINESS_HOURS,
+    now         = new Date(),
+    slotMinutes = SLOT_MINUTES,
+    leadMinutes = SLOT_LEAD_MINUTES,
+} = {}) {
+    const opening = openingHoursOn(dateStr, hours);
+    if (!opening) return [];
+
+    const earliest = now.getTime() + leadMinutes * 60 * 1000;
+    const close    = minutesOf(opening.close);
+    const slots    = [];
+
+    for (let start = minutesOf(opening.open); start + slotMinutes <= close; start += slotMinutes) {
+        const from = timeOf(start);
+        const to   = timeOf(start + slotMinutes);
+        if (zonedDateTime(dateStr, from, hours.timeZone).getTime() < earliest) continue;
+        slots.push({ value: `${from}-${to}`, from, to });
+    }
+    return slots;
+}
+
+/**
+ * Structured description of a requested visit, for the submission payload.
+ * @returns {object|null} null when no slot was chosen
+ */
+function describeVisit({ date, window: slot, urgent = false }, hours = BUSINESS_HOURS) {
+    if (urgent) return { emergency: true, timeZone: hours.timeZone };
+    if (!date || !slot) return null;
+
+    const [from, to] = slot.split('-');
+    return {
+        emergency: false,
+        date,
+        from,
+        to,
+        timeZone: hours.timeZone,
+        startsAt: zonedDateTime(date, from, hours.timeZone).toISOString(),
+        endsAt:   zonedDateTime(date, to, hours.timeZone).toISOString(),
+    };
+}
+
+/**
+ * Human-readable visit, e.g. "Mon, 19 Oct 2026, 08:00–10:00 (UAE time)".
+ */
+function formatVisit(visit) {
+    if (!visit) return '';
+    if (visit.emergency) return t('visit.emergency');
+
+    const date = formatDate(visit.date, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+    return t('visit.slot', { date, from: visit.from, to: visit.to });
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BUSINESS_TIME_ZONE,
+        BUSINESS_HOURS,
+        zonedParts,
+        zonedDateTime,
+        todayIn,
+        addDays,
+        weekdayOf,
+        formatDate,
+        minutesOf,
+        timeOf,
+        formatClock,
+        holidayOn,
+        blackoutOn,
+        scheduleFor,
+        openingHoursOn,
+        hoursCards,
+        nextOpening,
+        businessStatus,
+        statusLabel,
+        visitDateProblem,
+        generateSlots,
+        describeVisit,
+        formatVisit,
+    };
+}
@@ -0,0 +1,1046 @@
+/**
+ * i18n.js
+ * English / Arabic localisation for the Prime Solid site
+ * - Message catalogues with {placeholder} interpolation and English fallback
+ * - Static markup translated through data-i18n attributes
+ * - Language persisted in localStorage; <html lang / dir> set before first paint
+ * - Language switcher in the nav; modules re-render on the 'languagechange' event
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const I18N_STORAGE_KEY   = 'primesolid:lang';
+const I18N_DEFAULT       = 'en';
+const I18N_CHANGE_EVENT  = 'languagechange';
+
+const I18N_LANGUAGES = {
+    en: { name: 'English', short: 'EN', dir: 'ltr', locale: 'en-AE' },
+    ar: { name: 'العربية', short: 'ع',  dir: 'rtl', locale: 'ar-AE' },
+};
+
+/* ============================================================
+   MESSAGE CATALOGUES
+   ============================================================ */
+
+const I18N_MESSAGES = {
+    en: {
+        'lang.label': 'Language',
+
+        'nav.home':      'Home',
+        'nav.services':  'Services',
+        'nav.about':     'About Us',
+        'nav.contact':   'Contact',
+        'nav.openMenu':  'Open menu',
+        'nav.closeMenu': 'Close menu',
+
+        'coverage.label':              'Do you serve my area?',
+        'coverage.placeholder':        'Type your area, e.g. Khalifa City',
+        'coverage.check':              'Check',
+        'coverage.locate':             'Use my location',
+        'coverage.covered':            '✓ Yes, we cover {area}. Expect a visit {regular} ({emergency} for emergencies).',
+        'coverage.surcharge':          'A travel charge of AED {amount} applies.',
+        'coverage.notCovered':         '{area} is outside our regular service area – contact us and we will see what we can do.',
+        'coverage.unknown':            'We could not find “{query}”. Check the spelling, or contact us to ask.',
+        'coverage.locationNotCovered': 'Your location is outside our regular service area – contact us and we will see what we can do.',
+        'coverage.outside':            'outside our service area',
+        'coverage.areas':              'We serve {areas}.',
+        'coverage.locationDenied':     'Location access was declined – type your area instead.',
+        'coverage.locationFailed':     'We could not get your location – type your area instead.',
+
+        'faq.search':       'Search the questions',
+        'faq.categories':   'Question categories',
+        'faq.all':          'All',
+        'faq.resultsOne':   '1 question found',
+        'faq.results':      '{count} questions found',
+        'faq.noResults':    'No questions in this category yet.',
+        'faq.noResultsFor': 'No answers match “{query}”.',
+        'faq.ask':          'Ask us instead',
+        'faq.askMessage':   'Question: {question}',
+
+        'footer.rights':         '© {year} Prime Solid Contracting & General Maintenance. All rights reserved.',
+        'footer.established':    'Established 2022 | Licensed & Certified in Abu Dhabi',
+        'footer.description':    'Your trusted partner for all building maintenance and contracting needs in Abu Dhabi.',
+        'footer.licence':        'License No:',
+        'footer.unifiedLicence': 'Unified License:',
+        'footer.quickLinks':     'Quick Links',
+        'footer.services':       'Our Services',
+        'footer.contactInfo':    'Contact Info',
+        'footer.address':        'Mussafah, Abu Dhabi, UAE',
+        'footer.ac':             'AC Installation & Repair',
+        'footer.plumbing':       'Plumbing Works',
+        'footer.electrical':     'Electrical Services',
+        'footer.painting':       'Painting & Decoration',
+        'footer.carpentry':      'Carpentry Works',
+
+        'home.pageTitle':        'Prime Solid Contracting & General Maintenance - Abu Dhabi',
+        'home.heroMain':         'Professional Building',
+        'home.heroSub':          'Maintenance Solutions',
+        'home.heroText':         "Your trusted partner for all building maintenance needs in Abu Dhabi. From AC installation to electrical repairs, we've got you covered.",
+        'home.getQuote':         'Get Quote',
+        'home.ourServices':      'Our Services',
+        'home.statYears':        'Years Experience',
+        'home.statProjects':     'Projects Done',
+        'home.statSatisfaction': 'Satisfaction',
+        'home.servicesSubtitle': 'What We Offer',
+        'home.servicesTitle':    'Our Expert Services',
+        'home.servicesText':     'Comprehensive building maintenance solutions tailored to your needs',
+        'home.whySubtitle':      'Why Choose Us',
+        'home.whyTitle':         'Excellence in Every Project',
+        'home.whyText':          "Since 2022, Prime Solid has been Abu Dhabi's trusted name in building maintenance and contracting. We combine expertise, reliability, and customer satisfaction to deliver exceptional results.",
+        'home.licensed':         'Licensed & Certified',
+        'home.licensedText':     'Fully licensed by Abu Dhabi authorities (License: CN-4306575)',
+        'home.team':             'Expert Team',
+        'home.teamText':         'Skilled professionals with years of industry experience',
+        'home.support':          '24/7 Support',
+        'home.supportText':      'Emergency services available round the clock',
+        'home.quality':          'Quality Guaranteed',
+        'home.qualityText':      '100% satisfaction guarantee on all our services',
+        'home.teamImage':        'Professional Team',
+        'home.trustedSince':     'Trusted Since 2022',
+        'home.contactSubtitle':  'Get In Touch',
+        'home.contactTitle':     'Contact Us Today',
+        'home.contactText':      "Ready to start your project? We're here to help!",
+        'home.callText':         '24/7 Support Available',
+        'home.emailText':        'Quick Response Guaranteed',
+        'home.address':          'Mussafah, Abu Dhabi',
+        'home.country':          'United Arab Emirates',
+
+        'services.pageTitle':    'Our Services - Prime Solid Contracting & General Maintenance',
+        'services.title':        'Our Services',
+        'services.subtitle':     'Comprehensive Building Maintenance Solutions',
+        'services.introTitle':   'Professional Maintenance Services in Abu Dhabi',
+        'services.introText':    'At Prime Solid Contracting & General Maintenance, we provide a complete range of building maintenance services designed to keep your property in perfect condition. Our team of certified professionals delivers quality workmanship with attention to detail on every project.',
+        'services.ctaTitle':     'Ready to Get Started?',
+        'services.ctaText':      'Contact us today for a free consultation and quote',
+        'services.requestQuote': 'Request a Quote',
+        'services.callNow':      'Call Now',
+
+        'about.pageTitle':        'About Us - Prime Solid Contracting & General Maintenance',
+        'about.subtitle':         'Your Trusted Building Maintenance Partner Since 2022',
+        'about.storySubtitle':    'Our Story',
+        'about.storyTitle':       'Building Excellence in Abu Dhabi',
+        'about.story1':           'Since our establishment in 2022, Prime Solid Contracting & General Maintenance has been committed to delivering top-quality building maintenance and contracting services across Abu Dhabi. What started as a vision to provide reliable, professional maintenance solutions has grown into a trusted name in the industry.',
+        'about.story2':           "We pride ourselves on being a locally-established company that understands the unique challenges of maintaining properties in the UAE's climate. Our team combines international expertise with local knowledge to deliver services that exceed expectations.",
+        'about.story3':           'As a fully licensed and certified company under the Abu Dhabi Department of Economic Development, we operate with complete transparency and adherence to the highest industry standards.',
+        'about.teamImage':        'Our Team',
+        'about.years':            'Years of Excellence',
+        'about.mission':          'Our Mission',
+        'about.missionText':      'To provide exceptional building maintenance and contracting services that enhance the quality, safety, and longevity of properties throughout Abu Dhabi. We strive to build lasting relationships with our clients through reliability, quality workmanship, and outstanding customer service.',
+        'about.vision':           'Our Vision',
+        'about.visionText':       "To be recognized as Abu Dhabi's most trusted and innovative building maintenance company, setting industry standards for quality, professionalism, and customer satisfaction. We envision expanding our services while maintaining the personalized attention that sets us apart.",
+        'about.values':           'Our Values',
+        'about.valuesText':       'Integrity, Excellence, Reliability, and Customer Focus are the cornerstones of everything we do. We believe in honest communication, quality craftsmanship, timely service delivery, and treating every property as if it were our own.',
+        'about.whySubtitle':      'Why Choose Us',
+        'about.whyTitle':         'What Sets Us Apart',
+        'about.whyText':          'We combine expertise, reliability, and customer-focused service to deliver exceptional results',
+        'about.licensed':         'Fully Licensed & Certified',
+        'about.licensedText':     'Operating under official license from Abu Dhabi authorities (License No: CN-4306575), we meet all regulatory requirements and industry standards.',
+        'about.team':             'Expert Team',
+        'about.teamText':         'Our skilled professionals bring years of experience and specialized training in all aspects of building maintenance and contracting.',
+        'about.range':            'Comprehensive Services',
+        'about.rangeText':        'From AC installation to carpentry, we offer a complete range of services, making us your one-stop solution for all maintenance needs.',
+        'about.availability':     '24/7 Availability',
+        'about.availabilityText': "We understand that emergencies don't follow a schedule. Our team is available round the clock to address urgent maintenance issues.",
+        'about.pricing':          'Competitive Pricing',
+        'about.pricingText':      'We offer transparent, competitive pricing without compromising on quality. Get the best value for your investment.',
+        'about.satisfaction':     'Customer Satisfaction',
+        'about.satisfactionText': "Your satisfaction is our priority. We don't consider a job complete until you're completely happy with the results.",
+        'about.detailsSubtitle':  'Company Details',
+        'about.detailsTitle':     'Official Information',
+        'about.companyName':      'Company Name',
+        'about.companyNameText':  'Prime Solid Contracting and General Maintenance - Sole Proprietorship L.L.C.',
+        'about.licenceNumber':    'License Number',
+        'about.unifiedLicence':   'Unified License',
+        'about.established':      'Established',
+        'about.establishedDate':  'January 7, 2022',
+        'about.businessType':     'Business Type',
+        'about.businessTypeText': 'Emerging Economic Establishment',
+        'about.location':         'Location',
+        'about.activities':       'Licensed Activities',
+        'about.activitiesText':   'All Kind Building Projects Contracting & Buildings Maintenance',
+        'about.activitiesNote':   'Certified by the Department of Urban Planning and Municipalities, Abu Dhabi',
+        'about.teamSubtitle':     'Our Team',
+        'about.teamTitle':        'Led by Experience',
+        'about.teamSectionText':  'Dedicated professionals committed to your satisfaction',
+        'about.leadership':       'Professional Leadership',
+        'about.leadershipText':   'Under the ownership of Bimala Dutta Pillai Vijoy Pillai, our company maintains the highest standards of professionalism and service excellence.',
+        'about.technicians':      'Skilled Technicians',
+        'about.techniciansText':  'Our team comprises certified technicians, experienced craftsmen, and dedicated support staff, all committed to delivering quality workmanship.',
+        'about.training':         'Continuous Training',
+        'about.trainingText':     'We invest in ongoing training and development to ensure our team stays updated with the latest techniques and industry best practices.',
+        'about.ctaTitle':         "Let's Work Together",
+        'about.ctaText':          'Experience the Prime Solid difference. Contact us today to discuss your building maintenance needs.',
+        'about.getInTouch':       'Get in Touch',
+        'about.viewServices':     'View Services',
+
+        'contact.pageTitle':           'Contact Us - Prime Solid Contracting & General Maintenance',
+        'contact.title':               'Contact Us',
+        'contact.subtitle':            'Get in Touch With Our Team',
+        'contact.reachSubtitle':       'Reach Out',
+        'contact.reachTitle':          "We're Here to Help",
+        'contact.reachText':           'Have a question or need our services? Contact us through any of the following channels',
+        'contact.callUs':              'Call Us',
+        'contact.emailUs':             'Email Us',
+        'contact.visitUs':             'Visit Us',
+        'contact.whatsapp':            'WhatsApp',
+        'contact.callText':            'Available 24/7 for emergencies',
+        'contact.callHours':           'Mon - Sat: 8:00 AM - 8:00 PM',
+        'contact.emailText':           'Send us your queries anytime',
+        'contact.emailHours':          'Response within 24 hours',
+        'contact.visitArea':           'Mussafah',
+        'contact.visitText':           'Abu Dhabi, United Arab Emirates',
+        'contact.visitHours':          'By appointment',
+        'contact.whatsappText':        'Quick chat support',
+        'contact.whatsappHours':       'Fast response guaranteed',
+        'contact.featureQuote':        'Free consultation and quote',
+        'contact.featureAdvice':       'Professional advice',
+        'contact.featureResponse':     'Quick response time',
+        'contact.featureNoObligation': 'No obligation quote',
+        'contact.emergencyTitle':      'Emergency Services?',
+        'contact.emergencyText':       'For urgent maintenance issues, call us directly at',
+        'contact.locationSubtitle':    'Location',
+        'contact.locationTitle':       'Find Us in Abu Dhabi',
+        'contact.serviceAreas':        'Service Areas',
+        'contact.hoursTitle':          'Business Hours',
+        'contact.hoursText':           "We're available to serve you during the following hours:",
+        'contact.faqSubtitle':         'Common Questions',
+        'contact.faqTitle':            'Frequently Asked Questions',
+
+        'service.other':       'Other / General Inquiry',
+        'service.book':        'Book',
+        'service.bookService': 'Book Service',
+
+        'property.residential': 'Residential - Villa',
+        'property.apartment':   'Residential - Apartment',
+        'property.commercial':  'Commercial Office',
+        'property.retail':      'Retail Space',
+        'property.warehouse':   'Warehouse / Industrial',
+        'property.other':       'Other',
+
+        'form.title':               'Send Us a Message',
+        'form.intro':               'Fill out the form and our team will get back to you within 24 hours.',
+        'form.name':                'Full Name *',
+        'form.namePlaceholder':     'Enter your full name',
+        'form.email':               'Email Address *',
+        'form.emailPlaceholder':    'your.email@example.com',
+        'form.phone':               'Phone Number *',
+        'form.service':             'Service Required *',
+        'form.selectService':       'Select a service',
+        'form.property':            'Property Type',
+        'form.area':                'Area / Community',
+        'form.areaPlaceholder':     'e.g. Al Raha, Mussafah',
+        'form.selectProperty':      'Select property type',
+        'form.visitDate':           'Preferred Visit Date',
+        'form.visitTime':           'Preferred Time',
+        'form.chooseDate':          'Choose a date first',
+        'form.message':             'Your Message *',
+        'form.messagePlaceholder':  'Please describe your requirements in detail...',
+        'form.attachments':         'Photos or Videos (optional)',
+        'form.urgent':              'This is an urgent request',
+        'form.send':                'Send Message',
+        'form.privacy':             'We respect your privacy. Your information will not be shared with third parties.',
+        'form.yourName':            'Your Name',
+        'form.yourEmail':           'Your Email',
+        'form.yourPhone':           'Your Phone',
+        'form.projectPlaceholder':  'Tell us about your project',
+        'form.sending':             'Sending…',
+        'form.sent':                'Sent!',
+
+        'validation.name.required':        'Please enter your full name.',
+        'validation.email.required':       'Email address is required.',
+        'validation.email.invalid':        'Please enter a valid email address.',
+        'validation.phone.required':       'Phone number is required.',
+        'validation.phone.invalid':        'Please enter a valid phone number, including the country code.',
+        'validation.phone.invalidUae':     'Please enter a valid UAE mobile (05X XXX XXXX) or landline number.',
+        'validation.service.required':     'Please select a service.',
+        'validation.message.required':     'Please describe your requirements.',
+        'validation.message.tooShort':     'Message is too short (min {min} characters).',
+        'validation.message.tooLong':      'Message must not exceed {max} characters.',
+        'validation.visitWindow.required': 'Please choose a time window for your visit.',
+        'validation.visitWindow.gone':     'That time window is no longer available. Please choose another one.',
+
+        'toast.fixErrors':     'Please fix the errors before submitting.',
+        'toast.sent':          'Thank you! Your request has been sent. We will contact you soon.',
+        'toast.offlineSaved':  'You appear to be offline. Your request is saved and will be sent automatically.',
+        'toast.sendFailed':    'We could not send your request. Please send it via WhatsApp or email instead.',
+        'toast.messageReady':  'Your message is ready! Choose how to send it below.',
+        'toast.draftRestored': 'Your draft has been restored.',
+        'toast.pendingSent':   'Your pending request has been sent.',
+        'toast.pendingFailed': 'Still unable to send. We will keep trying.',
+
+        'notify.region':  'Notifications',
+        'notify.dismiss': 'Dismiss notification',
+        'notify.retry':   'Retry',
+        'notify.undo':    'Undo',
+
+        'pwa.updateAvailable': 'A new version of this site is available.',
+        'pwa.reload':          'Reload',
+        'pwa.offline':         'You are offline. For an emergency, call or WhatsApp us – we answer 24/7.',
+        'pwa.call':            'Call',
+        'pwa.whatsapp':        'WhatsApp',
+
+        'offline.pageTitle': 'Offline – Prime Solid Contracting',
+        'offline.title':     'You are offline',
+        'offline.text':      'This page is not saved on your device yet. For an emergency, call or WhatsApp us – we answer 24/7.',
+        'offline.call':      'Call us',
+        'offline.whatsapp':  'WhatsApp',
+        'offline.retry':     'Try again',
+        'offline.home':      'Home page',
+
+        'consent.title':            'Your privacy',
+        'consent.text':             'Besides what the site needs to work, we would like to use anonymous analytics, Google Maps and photos from Unsplash. Choose what to allow.',
+        'consent.acceptAll':        'Accept all',
+        'consent.rejectAll':        'Necessary only',
+        'consent.customise':        'Preferences',
+        'consent.manage':           'Cookie preferences',
+        'consent.preferencesTitle': 'Privacy preferences',
+        'consent.preferencesText':  'Choose which optional services we may use. You can change this any time from the footer.',
+        'consent.save':             'Save choices',
+        'consent.necessary':        'Necessary',
+        'consent.necessaryText':    'Your language, form drafts and unsent requests, kept on this device.',
+        'consent.analytics':        'Analytics',
+        'consent.analyticsText':    'Anonymous usage events that show us which services people look for.',
+        'consent.maps':             'Maps',
+        'consent.mapsText':         'Google Maps on the contact page.',
+        'consent.media':            'Photos',
+        'consent.mediaText':        'Project photos served by Unsplash.',
+        'consent.mapNotice':        'This map is provided by Google Maps, which may set cookies.',
+        'consent.loadMap':          'Load map',
+        'consent.alwaysMaps':       'Always load maps',
+
+        'channel.title':    'How would you like to send?',
+        'channel.text':     'Choose your preferred contact channel. We respond to WhatsApp within 30 minutes!',
+        'channel.whatsapp': 'WhatsApp',
+        'channel.email':    'Email',
+        'channel.cancel':   'Cancel',
+
+        'message.subject':        'Service Request – Prime Solid Contracting',
+        'message.urgent':         '🚨 URGENT REQUEST',
+        'message.title':          'New Service Request – Prime Solid Contracting',
+        'message.name':           '👤 Name:',
+        'message.email':          '📧 Email:',
+        'message.phone':          '📞 Phone:',
+        'message.service':        '🔧 Service:',
+        'message.property':       '🏠 Property:',
+        'message.visit':          '📅 Visit:',
+        'message.area':           '📍 Area:',
+        'message.message':        '📝 Message:',
+        'message.notSpecified':   'Not specified',
+        'message.attachmentsOne': '📎 1 photo/video attachment – I will send it separately in this conversation.',
+        'message.attachments':    '📎 {count} photo/video attachments – I will send them separately in this conversation.',
+        'message.footer':         'Sent via PrimeSolid website contact form',
+
+        'hours.open':          'Open now',
+        'hours.closes':        'Closes {time}',
+        'hours.opens':         'Opens {day} {time}',
+        'hours.emergencyOnly': 'Emergency service only',
+        'hours.closed':        'Closed',
+        'hours.closedFor':     'Closed for {holiday}',
+        'hours.today':         'today',
+        'hours.tomorrow':      'tomorrow',
+        'hours.byAppointment': 'By Appointment',
+
+        'visit.invalid':        'Please choose a valid date.',
+        'visit.past':           'Please choose a date from today onwards.',
+        'visit.tooFar':         'Visits can be booked up to {days} days ahead.',
+        'visit.holiday':        "We're closed for {holiday}. Please choose another day.",
+        'visit.blackout':       'No visits can be booked on this day.',
+        'visit.blackoutReason': 'No visits can be booked on this day ({reason}).',
+        'visit.appointment':    '{day} visits are by appointment only – please call us to arrange one.',
+        'visit.closed':         "We're closed on this day. Please choose another one.",
+        'visit.full':           'No visit windows are left today. Please choose another day.',
+        'visit.emergency':      'ASAP – emergency call-out',
+        'visit.slot':           '{date}, {from}–{to} (UAE time)',
+
+        'slots.select':         'Select a time window',
+        'slots.none':           'No time windows available',
+        'slots.optional':       'Optional – pick a day and we will confirm the visit with you.',
+        'slots.timeZone':       'Times are in UAE time (GST, UTC+4).',
+        'slots.emergencyTitle': 'Emergency request:',
+        'slots.emergencyText':  'no appointment needed – our team is available 24/7 and will dispatch a technician as soon as possible.',
+        'slots.emergencyCall':  'For the fastest response call',
+
+        'phone.notUae':  'Not a UAE number?',
+        'phone.country': 'Phone number country',
+
+        'attach.drop':          'Drag photos or videos here, or',
+        'attach.browse':        'browse',
+        'attach.limits':        'Up to {count} files · photos {image} · videos {video}',
+        'attach.camera':        'Take a photo or video',
+        'attach.remove':        'Remove {name}',
+        'attach.unsupported':   '“{name}” is not a supported photo or video (JPEG, PNG, WebP, HEIC, MP4, MOV, WebM).',
+        'attach.imageTooLarge': '“{name}” is too large (max {size} per photo).',
+        'attach.videoTooLarge': '“{name}” is too large (max {size} per video).',
+        'attach.tooMany':       'You can attach up to {count} files.',
+        'attach.tooLarge':      "Attachments can't exceed {size} in total.",
+        'attach.kb':            '{size} KB',
+        'attach.mb':            '{size} MB',
+
+        'draft.unsent':  'You have an unsent message from',
+        'draft.restore': 'Restore your previous draft?',
+        'draft.yes':     'Restore',
+        'draft.no':      'Discard',
+
+        'outbox.pendingOne':     '1 request pending',
+        'outbox.pending':        '{count} requests pending',
+        'outbox.retryAll':       'Retry all now',
+        'outbox.retry':          'Retry',
+        'outbox.delete':         'Delete',
+        'outbox.request':        'Request',
+        'outbox.status.pending': 'pending',
+        'outbox.status.sending': 'sending',
+        'outbox.status.failed':  'failed',
+
+        'estimate.toggle':        'Get an instant estimate',
+        'estimate.job':           'Job',
+        'estimate.quantity':      'Quantity ({unit})',
+        'estimate.property':      'Property type',
+        'estimate.urgent':        'Urgent / same-day',
+        'estimate.enterQuantity': 'Enter a quantity to see a price range',
+        'estimate.note':          'Ballpark only – the final price is confirmed after a free inspection.',
+        'estimate.request':       'Request this job',
+        'estimate.rate':          '{job}: {quantity} {unit} × {min}–{max}',
+        'estimate.minCharge':     'Minimum charge of {amount} applies',
+        'estimate.adjustment':    '{label} ({percent})',
+        'estimate.summary':       '💰 Estimate: {min} – {max} (website ballpark)',
+        'estimate.quoteFor':      "I'd like a quote for: {job} ({quantity} {unit}).",
+        'estimate.yours':         'Your estimate:',
+        'estimate.remove':        'Remove estimate',
+
+        'unit.m2One':       'm²',
+        'unit.m2':          'm²',
+        'unit.metreOne':    'metre',
+        'unit.metre':       'metres',
+        'unit.unitOne':     'unit',
+        'unit.unit':        'units',
+        'unit.pointOne':    'point',
+        'unit.point':       'points',
+        'unit.doorOne':     'door',
+        'unit.door':        'doors',
+        'unit.tileOne':     'tile',
+        'unit.tile':        'tiles',
+        'unit.roomOne':     'room',
+        'unit.room':        'rooms',
+        'unit.itemOne':     'item',
+        'unit.item':        'items',
+        'unit.hourOne':     'hour',
+        'unit.hour':        'hours',
+        'unit.visitOne':    'visit',
+        'unit.visit':       'visits',
+        'unit.contractOne': 'contract',
+        'unit.contract':    'contracts',
+    },
+
+    ar: {
+        'lang.label': 'اللغة',
+
+        'nav.home':      'الرئيسية',
+        'nav.services':  'خدماتنا',
+        'nav.about':     'من نحن',
+        'nav.contact':   'اتصل بنا',
+        'nav.openMenu':  'فتح القائمة',
+        'nav.closeMenu': 'إغلاق القائمة',
+
+        'coverage.label':              'هل تخدمون منطقتي؟',
+        'coverage.placeholder':        'اكتب منطقتك، مثل مدينة خليفة',
+        'coverage.check':              'تحقق',
+        'coverage.locate':             'استخدم موقعي',
+        'coverage.covered':            '✓ نعم، نغطي {area}. توقع الزيارة {regular} ({emergency} للحالات الطارئة).',
+        'coverage.surcharge':          'تُضاف رسوم تنقل بقيمة {amount} درهم.',
+        'coverage.notCovered':         '{area} خارج نطاق خدمتنا المعتاد – تواصل معنا وسنرى ما يمكننا فعله.',
+        'coverage.unknown':            'لم نجد «{query}». تحقق من الإملاء أو تواصل معنا للسؤال.',
+        'coverage.locationNotCovered': 'موقعك خارج نطاق خدمتنا المعتاد – تواصل معنا وسنرى ما يمكننا فعله.',
+        'coverage.outside':            'خارج نطاق خدمتنا',
+        'coverage.areas':              'نخدم {areas}.',
+        'coverage.locationDenied':     'تم رفض الوصول إلى الموقع – اكتب منطقتك بدلاً من ذلك.',
+        'coverage.locationFailed':     'تعذر تحديد موقعك – اكتب منطقتك بدلاً من ذلك.',
+
+        'faq.search':       'ابحث في الأسئلة',
+        'faq.categories':   'فئات الأسئلة',
+        'faq.all':          'الكل',
+        'faq.resultsOne':   'تم العثور على سؤال واحد',
+        'faq.results':      'تم العثور على {count} أسئلة',
+        'faq.noResults':    'لا توجد أسئلة في هذه الفئة بعد.',
+        'faq.noResultsFor': 'لا توجد إجابات تطابق «{query}».',
+        'faq.ask':          'اسألنا مباشرة',
+        'faq.askMessage':   'سؤال: {question}',
+
+        'footer.rights':         '© {year} برايم سوليد للمقاولات والصيانة العامة. جميع الحقوق محفوظة.',
+        'footer.established':    'تأسست عام 2022 | مرخصة ومعتمدة في أبوظبي',
+        'footer.description':    'شريكك الموثوق لجميع احتياجات صيانة المباني والمقاولات في أبوظبي.',
+        'footer.licence':        'رقم الرخصة:',
+        'footer.unifiedLicence': 'الرخصة الموحدة:',
+        'footer.quickLinks':     'روابط سريعة',
+        'footer.services':       'خدماتنا',
+        'footer.contactInfo':    'معلومات التواصل',
+        'footer.address':        'مصفح، أبوظبي، الإمارات',
+        'footer.ac':             'تركيب وإصلاح المكيفات',
+        'footer.plumbing':       'أعمال السباكة',
+        'footer.electrical':     'الخدمات الكهربائية',
+        'footer.painting':       'الدهان والديكور',
+        'footer.carpentry':      'أعمال النجارة',
+
+        'home.pageTitle':        'برايم سوليد للمقاولات والصيانة العامة - أبوظبي',
+        'home.heroMain':         'حلول احترافية',
+        'home.heroSub':          'لصيانة المباني',
+        'home.heroText':         'شريكك الموثوق لجميع احتياجات صيانة المباني في أبوظبي. من تركيب المكيفات إلى الإصلاحات الكهربائية، نحن في خدمتك.',
+        'home.getQuote':         'اطلب عرض سعر',
+        'home.ourServices':      'خدماتنا',
+        'home.statYears':        'سنوات من الخبرة',
+        'home.statProjects':     'مشروع منجز',
+        'home.statSatisfaction': 'رضا العملاء',
+        'home.servicesSubtitle': 'ما نقدمه',
+        'home.servicesTitle':    'خدماتنا المتخصصة',
+        'home.servicesText':     'حلول شاملة لصيانة المباني مصممة حسب احتياجاتك',
+        'home.whySubtitle':      'لماذا تختارنا',
+        'home.whyTitle':         'التميز في كل مشروع',
+        'home.whyText':          'منذ عام 2022، أصبحت برايم سوليد اسماً موثوقاً في صيانة المباني والمقاولات في أبوظبي. نجمع بين الخبرة والموثوقية ورضا العملاء لنقدم نتائج استثنائية.',
+        'home.licensed':         'مرخصة ومعتمدة',
+        'home.licensedText':     'مرخصة بالكامل من الجهات المختصة في أبوظبي (رقم الرخصة: CN-4306575)',
+        'home.team':             'فريق خبير',
+        'home.teamText':         'محترفون مهرة يتمتعون بسنوات من الخبرة في المجال',
+        'home.support':          'دعم على مدار الساعة',
+        'home.supportText':      'خدمات الطوارئ متاحة ليلاً ونهاراً',
+        'home.quality':          'جودة مضمونة',
+        'home.qualityText':      'ضمان رضا بنسبة 100% على جميع خدماتنا',
+        'home.teamImage':        'فريق محترف',
+        'home.trustedSince':     'موثوقون منذ 2022',
+        'home.contactSubtitle':  'تواصل معنا',
+        'home.contactTitle':     'اتصل بنا اليوم',
+        'home.contactText':      'هل أنت مستعد لبدء مشروعك؟ نحن هنا للمساعدة!',
+        'home.callText':         'دعم متاح على مدار الساعة',
+        'home.emailText':        'رد سريع مضمون',
+        'home.address':          'مصفح، أبوظبي',
+        'home.country':          'الإمارات العربية المتحدة',
+
+        'services.pageTitle':    'خدماتنا - برايم سوليد للمقاولات والصيانة العامة',
+        'services.title':        'خدماتنا',
+        'services.subtitle':     'حلول شاملة لصيانة المباني',
+        'services.introTitle':   'خدمات صيانة احترافية في أبوظبي',
+        'services.introText':    'في برايم سوليد للمقاولات والصيانة العامة، نقدم مجموعة متكاملة من خدمات صيانة المباني للحفاظ على عقارك في أفضل حال. يقدم فريقنا من المحترفين المعتمدين عملاً عالي الجودة مع الاهتمام بأدق التفاصيل في كل مشروع.',
+        'services.ctaTitle':     'هل أنت مستعد للبدء؟',
+        'services.ctaText':      'تواصل معنا اليوم للحصول على استشارة وعرض سعر مجانيين',
+        'services.requestQuote': 'اطلب عرض سعر',
+        'services.callNow':      'اتصل الآن',
+
+        'about.pageTitle':        'من نحن - برايم سوليد للمقاولات والصيانة العامة',
+        'about.subtitle':         'شريكك الموثوق في صيانة المباني منذ 2022',
+        'about.storySubtitle':    'قصتنا',
+        'about.storyTitle':       'نبني التميز في أبوظبي',
+        'about.story1':           'منذ تأسيسها عام 2022، تلتزم برايم سوليد للمقاولات والصيانة العامة بتقديم أفضل خدمات صيانة المباني والمقاولات في جميع أنحاء أبوظبي. ما بدأ كرؤية لتقديم حلول صيانة احترافية وموثوقة أصبح اسماً موثوقاً في هذا المجال.',
+        'about.story2':           'نفخر بكوننا شركة محلية تدرك التحديات الخاصة لصيانة العقارات في مناخ الإمارات. يجمع فريقنا بين الخبرة الدولية والمعرفة المحلية لتقديم خدمات تفوق التوقعات.',
+        'about.story3':           'بصفتنا شركة مرخصة ومعتمدة بالكامل من دائرة التنمية الاقتصادية في أبوظبي، نعمل بشفافية تامة ووفق أعلى معايير المجال.',
+        'about.teamImage':        'فريقنا',
+        'about.years':            'سنوات من التميز',
+        'about.mission':          'مهمتنا',
+        'about.missionText':      'تقديم خدمات استثنائية في صيانة المباني والمقاولات تعزز جودة العقارات وسلامتها وعمرها في جميع أنحاء أبوظبي. نسعى لبناء علاقات دائمة مع عملائنا من خلال الموثوقية وجودة العمل وخدمة العملاء المتميزة.',
+        'about.vision':           'رؤيتنا',
+        'about.visionText':       'أن نكون شركة صيانة المباني الأكثر ثقة وابتكاراً في أبوظبي، ونضع معايير المجال في الجودة والاحترافية ورضا العملاء. نتطلع إلى توسيع خدماتنا مع الحفاظ على الاهتمام الشخصي الذي يميزنا.',
+        'about.values':           'قيمنا',
+        'about.valuesText':       'النزاهة والتميز والموثوقية والتركيز على العميل هي أساس كل ما نقوم به. نؤمن بالتواصل الصادق وإتقان العمل والالتزام بالمواعيد، ونعامل كل عقار كما لو كان ملكنا.',
+        'about.whySubtitle':      'لماذا تختارنا',
+        'about.whyTitle':         'ما يميزنا',
+        'about.whyText':          'نجمع بين الخبرة والموثوقية والخدمة التي تضع العميل أولاً لنقدم نتائج استثنائية',
+        'about.licensed':         'مرخصة ومعتمدة بالكامل',
+        'about.licensedText':     'نعمل بموجب رخصة رسمية من الجهات المختصة في أبوظبي (رقم الرخصة: CN-4306575)، ونستوفي جميع المتطلبات التنظيمية ومعايير المجال.',
+        'about.team':             'فريق خبير',
+        'about.teamText':         'يتمتع محترفونا المهرة بسنوات من الخبرة والتدريب المتخصص في جميع جوانب صيانة المباني والمقاولات.',
+        'about.range':            'خدمات شاملة',
+        'about.rangeText':        'من تركيب المكيفات إلى النجارة، نقدم مجموعة متكاملة من الخدمات لنكون وجهتك الواحدة لجميع احتياجات الصيانة.',
+        'about.availability':     'متاحون على مدار الساعة',
+        'about.availabilityText': 'ندرك أن حالات الطوارئ لا تلتزم بموعد. فريقنا متاح ليلاً ونهاراً لمعالجة أعمال الصيانة العاجلة.',
+        'about.pricing':          'أسعار تنافسية',
+        'about.pricingText':      'نقدم أسعاراً شفافة وتنافسية دون التنازل عن الجودة. احصل على أفضل قيمة مقابل استثمارك.',
+        'about.satisfaction':     'رضا العملاء',
+        'about.satisfactionText': 'رضاك أولويتنا. لا نعتبر العمل منتهياً حتى تكون راضياً تماماً عن النتيجة.',
+        'about.detailsSubtitle':  'تفاصيل الشركة',
+        'about.detailsTitle':     'المعلومات الرسمية',
+        'about.companyName':      'اسم الشركة',
+        'about.companyNameText':  'برايم سوليد للمقاولات والصيانة العامة - شركة الشخص الواحد ذ.م.م',
+        'about.licenceNumber':    'رقم الرخصة',
+        'about.unifiedLicence':   'الرخصة الموحدة',
+        'about.established':      'تاريخ التأسيس',
+        'about.establishedDate':  '7 يناير 2022',
+        'about.businessType':     'نوع النشاط',
+        'about.businessTypeText': 'منشأة اقتصادية ناشئة',
+        'about.location':         'الموقع',
+        'about.activities':       'الأنشطة المرخصة',
+        'about.activitiesText':   'مقاولات مشاريع المباني بجميع أنواعها وصيانة المباني',
+        'about.activitiesNote':   'معتمدة من دائرة التخطيط العمراني والبلديات في أبوظبي',
+        'about.teamSubtitle':     'فريقنا',
+        'about.teamTitle':        'بقيادة الخبرة',
+        'about.teamSectionText':  'محترفون ملتزمون بتحقيق رضاك',
+        'about.leadership':       'قيادة احترافية',
+        'about.leadershipText':   'تحت ملكية Bimala Dutta Pillai Vijoy Pillai، تحافظ شركتنا على أعلى معايير الاحترافية والتميز في الخدمة.',
+        'about.technicians':      'فنيون مهرة',
+        'about.techniciansText':  'يضم فريقنا فنيين معتمدين وحرفيين ذوي خبرة وموظفي دعم متفانين، جميعهم ملتزمون بتقديم عمل عالي الجودة.',
+        'about.training':         'تدريب مستمر',
+        'about.trainingText':     'نستثمر في التدريب والتطوير المستمرين ليبقى فريقنا مطلعاً على أحدث التقنيات وأفضل الممارسات في المجال.',
+        'about.ctaTitle':         'لنعمل معاً',
+        'about.ctaText':          'جرّب الفرق مع برايم سوليد. تواصل معنا اليوم لمناقشة احتياجات صيانة مبناك.',
+        'about.getInTouch':       'تواصل معنا',
+        'about.viewServices':     'عرض الخدمات',
+
+        'contact.pageTitle':           'اتصل بنا - برايم سوليد للمقاولات والصيانة العامة',
+        'contact.title':               'اتصل بنا',
+        'contact.subtitle':            'تواصل مع فريقنا',
+        'contact.reachSubtitle':       'تواصل معنا',
+        'contact.reachTitle':          'نحن هنا لمساعدتك',
+        'contact.reachText':           'لديك سؤال أو تحتاج إلى خدماتنا؟ تواصل معنا عبر أي من القنوات التالية',
+        'contact.callUs':              'اتصل بنا',
+        'contact.emailUs':             'راسلنا بالبريد',
+        'contact.visitUs':             'زورونا',
+        'contact.whatsapp':            'واتساب',
+        'contact.callText':            'متاحون على مدار الساعة للطوارئ',
+        'contact.callHours':           'الإثنين - السبت: 8:00 ص - 8:00 م',
+        'contact.emailText':           'أرسل استفساراتك في أي وقت',
+        'contact.emailHours':          'نرد خلال 24 ساعة',
+        'contact.visitArea':           'مصفح',
+        'contact.visitText':           'أبوظبي، الإمارات العربية المتحدة',
+        'contact.visitHours':          'بموعد مسبق',
+        'contact.whatsappText':        'دردشة سريعة للدعم',
+        'contact.whatsappHours':       'رد سريع مضمون',
+        'contact.featureQuote':        'استشارة وعرض سعر مجانيان',
+        'contact.featureAdvice':       'نصائح احترافية',
+        'contact.featureResponse':     'استجابة سريعة',
+        'contact.featureNoObligation': 'عرض سعر دون أي التزام',
+        'contact.emergencyTitle':      'خدمات الطوارئ؟',
+        'contact.emergencyText':       'لأعمال الصيانة العاجلة، اتصل بنا مباشرة على',
+        'contact.locationSubtitle':    'الموقع',
+        'contact.locationTitle':       'تجدنا في أبوظبي',
+        'contact.serviceAreas':        'مناطق الخدمة',
+        'contact.hoursTitle':          'ساعات العمل',
+        'contact.hoursText':           'نحن متاحون لخدمتك خلال الساعات التالية:',
+        'contact.faqSubtitle':         'أسئلة شائعة',
+        'contact.faqTitle':            'الأسئلة الشائعة',
+
+        'service.other':       'أخرى / استفسار عام',
+        'service.book':        'احجز',
+        'service.bookService': 'احجز الخدمة',
+
+        'property.residential': 'سكني - فيلا',
+        'property.apartment':   'سكني - شقة',
+        'property.commercial':  'مكتب تجاري',
+        'property.retail':      'محل تجاري',
+        'property.warehouse':   'مستودع / منشأة صناعية',
+        'property.other':       'أخرى',
+
+        'form.title':               'أرسل لنا رسالة',
+        'form.intro':               'املأ النموذج وسيتواصل معك فريقنا خلال 24 ساعة.',
+        'form.name':                'الاسم الكامل *',
+        'form.namePlaceholder':     'أدخل اسمك الكامل',
+        'form.email':               'البريد الإلكتروني *',
+        'form.emailPlaceholder':    'your.email@example.com',
+        'form.phone':               'رقم الهاتف *',
+        'form.service':             'الخدمة المطلوبة *',
+        'form.selectService':       'اختر الخدمة',
+        'form.property':            'نوع العقار',
+        'form.area':                'المنطقة / الحي',
+        'form.areaPlaceholder':     'مثل الراحة، مصفح',
+        'form.selectProperty':      'اختر نوع العقار',
+        'form.visitDate':           'تاريخ الزيارة المفضل',
+        'form.visitTime':           'الوقت المفضل',
+        'form.chooseDate':          'اختر التاريخ أولاً',
+        'form.message':             'رسالتك *',
+        'form.messagePlaceholder':  'يرجى وصف متطلباتك بالتفصيل...',
+        'form.attachments':         'صور أو فيديوهات (اختياري)',
+        'form.urgent':              'هذا طلب عاجل',
+        'form.send':                'إرسال الرسالة',
+        'form.privacy':             'نحترم خصوصيتك. لن تتم مشاركة معلوماتك مع أي طرف ثالث.',
+        'form.yourName':            'اسمك',
+        'form.yourEmail':           'بريدك الإلكتروني',
+        'form.yourPhone':           'رقم هاتفك',
+        'form.projectPlaceholder':  'أخبرنا عن مشروعك',
+        'form.sending':             'جارٍ الإرسال…',
+        'form.sent':                'تم الإرسال!',
+
+        'validation.name.required':        'يرجى إدخال اسمك الكامل.',
+        'validation.email.required':       'البريد الإلكتروني مطلوب.',
+        'validation.email.invalid':        'يرجى إدخال بريد إلكتروني صحيح.',
+        'validation.phone.required':       'رقم الهاتف مطلوب.',
+        'validation.phone.invalid':        'يرجى إدخال رقم هاتف صحيح مع رمز الدولة.',
+        'validation.phone.invalidUae':     'يرجى إدخال رقم جوال إماراتي صحيح (05X XXX XXXX) أو رقم هاتف أرضي.',
+        'validation.service.required':     'يرجى اختيار الخدمة.',
+        'validation.message.required':     'يرجى وصف متطلباتك.',
+        'validation.message.tooShort':     'الرسالة قصيرة جداً (الحد الأدنى {min} أحرف).',
+        'validation.message.tooLong':      'يجب ألا تتجاوز الرسالة {max} حرف.',
+        'validation.visitWindow.required': 'يرجى اختيار فترة زمنية للزيارة.',
+        'validation.visitWindow.gone':     'هذه الفترة الزمنية لم تعد متاحة. يرجى اختيار فترة أخرى.',
+
+        'toast.fixErrors':     'يرجى تصحيح الأخطاء قبل الإرسال.',
+        'toast.sent':          'شكراً لك! تم إرسال طلبك وسنتواصل معك قريباً.',
+        'toast.offlineSaved':  'يبدو أنك غير متصل بالإنترنت. تم حفظ طلبك وسيُرسل تلقائياً.',
+        'toast.sendFailed':    'تعذّر إرسال طلبك. يرجى إرساله عبر واتساب أو البريد الإلكتروني.',
+        'toast.messageReady':  'رسالتك جاهزة! اختر طريقة إرسالها أدناه.',
+        'toast.draftRestored': 'تمت استعادة المسودة.',
+        'toast.pendingSent':   'تم إرسال طلبك المعلّق.',
+        'toast.pendingFailed': 'لا يزال الإرسال متعذراً. سنواصل المحاولة.',
+
+        'notify.region':  'الإشعارات',
+        'notify.dismiss': 'إغلاق الإشعار',
+        'notify.retry':   'إعادة المحاولة',
+        'notify.undo':    'تراجع',
+
+        'pwa.updateAvailable': 'يتوفر إصدار جديد من الموقع.',
+        'pwa.reload':          'إعادة التحميل',
+        'pwa.offline':         'أنت غير متصل بالإنترنت. في حالات الطوارئ، اتصل بنا أو راسلنا عبر واتساب – نرد على مدار الساعة.',
+        'pwa.call':            'اتصال',
+        'pwa.whatsapp':        'واتساب',
+
+        'offline.pageTitle': 'غير متصل – برايم سوليد للمقاولات',
+        'offline.title':     'أنت غير متصل بالإنترنت',
+        'offline.text':      'هذه الصفحة غير محفوظة على جهازك بعد. في حالات الطوارئ، اتصل بنا أو راسلنا عبر واتساب – نرد على مدار الساعة.',
+        'offline.call':      'اتصل بنا',
+        'offline.whatsapp':  'واتساب',
+        'offline.retry':     'إعادة المحاولة',
+        'offline.home':      'الصفحة الرئيسية',
+
+        'consent.title':            'خصوصيتك',
+        'consent.text':             'إلى جانب ما يحتاجه الموقع ليعمل، نود استخدام إحصاءات مجهولة الهوية وخرائط Google وصوراً من Unsplash. اختر ما تسمح به.',
+        'consent.acceptAll':        'قبول الكل',
+        'consent.rejectAll':        'الضروري فقط',
+        'consent.customise':        'التفضيلات',
+        'consent.manage':           'تفضيلات ملفات تعريف الارتباط',
+        'consent.preferencesTitle': 'تفضيلات الخصوصية',
+        'consent.preferencesText':  'اختر الخدمات الاختيارية التي يمكننا استخدامها. يمكنك تغيير ذلك في أي وقت من تذييل الصفحة.',
+        'consent.save':             'حفظ الاختيارات',
+        'consent.necessary':        'ضروري',
+        'consent.necessaryText':    'لغتك ومسودات النماذج والطلبات غير المرسلة، محفوظة على هذا الجهاز.',
+        'consent.analytics':        'الإحصاءات',
+        'consent.analyticsText':    'أحداث استخدام مجهولة الهوية توضح لنا الخدمات التي يبحث عنها الزوار.',
+        'consent.maps':             'الخرائط',
+        'consent.mapsText':         'خرائط Google في صفحة التواصل.',
+        'consent.media':            'الصور',
+        'consent.mediaText':        'صور المشاريع المقدمة من Unsplash.',
+        'consent.mapNotice':        'هذه الخريطة مقدمة من خرائط Google، وقد تستخدم ملفات تعريف الارتباط.',
+        'consent.loadMap':          'تحميل الخريطة',
+        'consent.alwaysMaps':       'تحميل الخرائط دائماً',
+
+        'channel.title':    'كيف تفضّل الإرسال؟',
+        'channel.text':     'اختر وسيلة التواصل المفضلة لديك. نرد على واتساب خلال 30 دقيقة!',
+        'channel.whatsapp': 'واتساب',
+        'channel.email':    'البريد الإلكتروني',
+        'channel.cancel':   'إلغاء',
+
+        'message.subject':        'طلب خدمة – برايم سوليد للمقاولات',
+        'message.urgent':         '🚨 طلب عاجل',
+        'message.title':          'طلب خدمة جديد – برايم سوليد للمقاولات',
+        'message.name':           '👤 الاسم:',
+        'message.email':          '📧 البريد:',
+        'message.phone':          '📞 الهاتف:',
+        'message.service':        '🔧 الخدمة:',
+        'message.property':       '🏠 العقار:',
+        'message.visit':          '📅 الزيارة:',
+        'message.area':           '📍 المنطقة:',
+        'message.message':        '📝 الرسالة:',
+        'message.notSpecified':   'غير محدد',
+        'message.attachmentsOne': '📎 مرفق واحد (صورة/فيديو) – سأرسله بشكل منفصل في هذه المحادثة.',
+        'message.attachments':    '📎 {count} مرفقات (صور/فيديو) – سأرسلها بشكل منفصل في هذه المحادثة.',
+        'message.footer':         'أُرسلت عبر نموذج التواصل في موقع برايم سوليد',
+
+        'hours.open':          'مفتوح الآن',
+        'hours.closes':        'يغلق {time}',
+        'hours.opens':         'يفتح {day} {time}',
+        'hours.emergencyOnly': 'خدمة الطوارئ فقط',
+        'hours.closed':        'مغلق',
+        'hours.closedFor':     'مغلق بمناسبة {holiday}',
+        'hours.today':         'اليوم',
+        'hours.tomorrow':      'غداً',
+        'hours.byAppointment': 'بموعد مسبق',
+
+        'visit.invalid':        'يرجى اختيار تاريخ صحيح.',
+        'visit.past':           'يرجى اختيار تاريخ من اليوم فصاعداً.',
+        'visit.tooFar':         'يمكن حجز الزيارات قبل {days} يوماً كحد أقصى.',
+        'visit.holiday':        'نحن مغلقون بمناسبة {holiday}. يرجى اختيار يوم آخر.',
+        'visit.blackout':       'لا يمكن حجز زيارات في هذا اليوم.',
+        'visit.blackoutReason': 'لا يمكن حجز زيارات في هذا اليوم ({reason}).',
+        'visit.appointment':    'الزيارات يوم {day} بموعد مسبق فقط – يرجى الاتصال بنا لترتيب موعد.',
+        'visit.closed':         'نحن مغلقون في هذا اليوم. يرجى اختيار يوم آخر.',
+        'visit.full':           'لم تعد هناك فترات زيارة متاحة اليوم. يرجى اختيار يوم آخر.',
+        'visit.emergency':      'في أقرب وقت – زيارة طوارئ',
+        'visit.slot':           '{date}، {from}–{to} (بتوقيت الإمارات)',
+
+        'slots.select':         'اختر الفترة الزمنية',
+        'slots.none':           'لا توجد فترات زمنية متاحة',
+        'slots.optional':       'اختياري – اختر يوماً وسنؤكد الزيارة معك.',
+        'slots.timeZone':       'الأوقات بتوقيت الإمارات (GST، UTC+4).',
+        'slots.emergencyTitle': 'طلب طوارئ:',
+        'slots.emergencyText':  'لا حاجة إلى موعد – فريقنا متاح على مدار الساعة وسيرسل فنياً في أسرع وقت ممكن.',
+        'slots.emergencyCall':  'للحصول على أسرع استجابة اتصل على',
+
+        'phone.notUae':  'ليس رقماً إماراتياً؟',
+        'phone.country': 'دولة رقم الهاتف',
+
+        'attach.drop':          'اسحب الصور أو الفيديوهات إلى هنا، أو',
+        'attach.browse':        'تصفّح',
+        'attach.limits':        'حتى {count} ملفات · الصور {image} · الفيديوهات {video}',
+        'attach.camera':        'التقط صورة أو فيديو',
+        'attach.remove':        'إزالة {name}',
+        'attach.unsupported':   '«{name}» ليس صورة أو فيديو مدعوماً (JPEG، PNG، WebP، HEIC، MP4، MOV، WebM).',
+        'attach.imageTooLarge': '«{name}» كبير جداً (الحد الأقصى {size} للصورة).',
+        'attach.videoTooLarge': '«{name}» كبير جداً (الحد الأقصى {size} للفيديو).',
+        'attach.tooMany':       'يمكنك إرفاق {count} ملفات كحد أقصى.',
+        'attach.tooLarge':      'لا يمكن أن يتجاوز حجم المرفقات {size} إجمالاً.',
+        'attach.kb':            '{size} ك.ب',
+        'attach.mb':            '{size} م.ب',
+
+        'draft.unsent':  'لديك رسالة غير مرسلة من',
+        'draft.restore': 'هل تريد استعادة المسودة السابقة؟',
+        'draft.yes':     'استعادة',
+        'draft.no':      'تجاهل',
+
+        'outbox.pendingOne':     'طلب واحد قيد الانتظار',
+        'outbox.pending':        '{count} طلبات قيد الانتظار',
+        'outbox.retryAll':       'إعادة محاولة الكل الآن',
+        'outbox.retry':          'إعادة المحاولة',
+        'outbox.delete':         'حذف',
+        'outbox.request':        'طلب',
+        'outbox.status.pending': 'قيد الانتظار',
+        'outbox.status.sending': 'جارٍ الإرسال',
+        'outbox.status.failed':  'فشل',
+
+        'estimate.toggle':        'احصل على تقدير فوري',
+        'estimate.job':           'العمل',
+        'estimate.quantity':      'الكمية ({unit})',
+        'estimate.property':      'نوع العقار',
+        'estimate.urgent':        'عاجل / في نفس اليوم',
+        'estimate.enterQuantity': 'أدخل الكمية لعرض نطاق السعر',
+        'estimate.note':          'تقدير تقريبي فقط – يُؤكَّد السعر النهائي بعد معاينة مجانية.',
+        'estimate.request':       'اطلب هذا العمل',
+        'estimate.rate':          '{job}: {quantity} {unit} × {min}–{max}',
+        'estimate.minCharge':     'يُطبَّق حد أدنى للرسوم قدره {amount}',
+        'estimate.adjustment':    '{label} ({percent})',
+        'estimate.summary':       '💰 التقدير: {min} – {max} (تقدير تقريبي من الموقع)',
+        'estimate.quoteFor':      'أرغب في عرض سعر لـ: {job} ({quantity} {unit}).',
+        'estimate.yours':         'تقديرك:',
+        'estimate.remove':        'إزالة التقدير',
+
+        'unit.m2One':       'م²',
+        'unit.m2':          'م²',
+        'unit.metreOne':    'متر',
+        'unit.metre':       'أمتار',
+        'unit.unitOne':     'وحدة',
+        'unit.unit':        'وحدات',
+        'unit.pointOne':    'نقطة',
+        'unit.point':       'نقاط',
+        'unit.doorOne':     'باب',
+        'unit.door':        'أبواب',
+        'unit.tileOne':     'بلاطة',
+        'unit.tile':        'بلاطات',
+        'unit.roomOne':     'غرفة',
+        'unit.room':        'غرف',
+        'unit.itemOne':     'قطعة',
+        'unit.item':        'قطع',
+        'unit.hourOne':     'ساعة',
+        'unit.hour':        'ساعات',
+        'unit.visitOne':    'زيارة',
+        'unit.visit':       'زيارات',
+        'unit.contractOne': 'عقد',
+        'unit.contract':    'عقود',
+    },
+};
+
+/* ============================================================
+   LANGUAGE STATE
+   ============================================================ */
+
+function readStoredLanguage() {
+    try {
+        return localStorage.getItem(I18N_STORAGE_KEY);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Saved choice first, then the browser's preference, then English (always,
+ * outside a browser).
+ */
+function detectLanguage() {
+    if (typeof navigator === 'undefined') return I18N_DEFAULT;
+
+    const stored = readStoredLanguage();
+    if (stored && I18N_LANGUAGES[stored]) return stored;
+
+    const preferred = (navigator.languages ?? [navigator.language ?? ''])
+        .map(tag => String(tag).slice(0, 2).toLowerCase())
+        .find(code => I18N_LANGUAGES[code]);
+    return preferred ?? I18N_DEFAULT;
+}
+
+let currentLanguage = detectLanguage();
+
+function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * BCP 47 locale for number / date formatting in the current language.
+ */
+function getLocale() {
+    return I18N_LANGUAGES[currentLanguage].locale;
+}
+
+function isRtl() {
+    return I18N_LANGUAGES[currentLanguage].dir === 'rtl';
+}
+
+/**
+ * Looks up a message in the current language, falling back to English,
+ * then to the key itself. {name} placeholders are filled from `params`.
+ */
+function t(key, params = {}) {
+    const template = I18N_MESSAGES[currentLanguage]?.[key] ?? I18N_MESSAGES[I18N_DEFAULT][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Picks the current language from an inline { en, ar } text; plain strings pass through.
+ * For data that carries its own translations, like the service catalogue.
+ */
+function localize(text) {
+    if (typeof text === 'string') return text;
+    return text?.[currentLanguage] ?? text?.[I18N_DEFAULT] ?? '';
+}
+
+/**
+ * A value → label map whose labels follow the current language.
+ * Enumerable getters, so Object.entries() and lookups always read fresh text.
+ * @param {string}   prefix  catalogue prefix, e.g. 'service'
+ * @param {string[]} keys
+ */
+function localizedLabels(prefix, keys) {
+    const labels = {};
+    keys.forEach(key => {
+        Object.defineProperty(labels, key, { enumerable: true, get: () => t(`${prefix}.${key}`) });
+    });
+    return labels;
+}
+
+function applyDocumentLanguage() {
+    const root = document.documentElement;
+    root.lang = currentLanguage;
+    root.dir  = I18N_LANGUAGES[currentLanguage].dir;
+}
+
+/* ============================================================
+   MARKUP TRANSLATION
+   ============================================================ */
+
+// data-i18n-<attr>="key" translates an attribute; data-i18n="key" the text
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title', 'alt'];
+
+/**
+ * Translates every data-i18n element under `root`.
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    I18N_ATTRIBUTES.forEach(attr => {
+        root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+            el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+        });
+    });
+}
+
+/**
+ * Switches language, persists the choice and tells the page to re-render.
+ */
+function setLanguage(lang) {
+    if (!I18N_LANGUAGES[lang] || lang === currentLanguage) return;
+
+    currentLanguage = lang;
+    try {
+        localStorage.setItem(I18N_STORAGE_KEY, lang);
+    } catch {
+        // Private mode – the choice lasts for this page only
+    }
+
+    applyDocumentLanguage();
+    translatePage();
+    document.dispatchEvent(new CustomEvent(I18N_CHANGE_EVENT, { detail: { lang } }));
+}
+
+/**
+ * Calls `fn` after every language switch.
+ * @returns {Function} unsubscribe
+ */
+function onLanguageChange(fn) {
+    document.addEventListener(I18N_CHANGE_EVENT, fn);
+    return () => document.removeEventListener(I18N_CHANGE_EVENT, fn);
+}
+
+/* ============================================================
+   LANGUAGE SWITCHER
+   ============================================================ */
+
+/**
+ * Adds a button to the nav that toggles to the other language.
+ */
+function attachLanguageSwitcher(nav) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'lang-switch';
+
+    const render = () => {
+        const [other] = Object.keys(I18N_LANGUAGES).filter(code => code !== currentLanguage);
+        button.dataset.lang = other;
+        button.lang = other;
+        button.textContent = I18N_LANGUAGES[other].name;
+        button.setAttribute('aria-label', `${t('lang.label')}: ${I18N_LANGUAGES[other].name}`);
+    };
+
+    button.addEventListener('click', () => setLanguage(button.dataset.lang));
+    onLanguageChange(render);
+    render();
+
+    nav.insertBefore(button, nav.querySelector('.nav__toggle'));
+    return button;
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+function initI18n() {
+    translatePage();
+    const nav = document.querySelector('.header .nav');
+    if (nav) attachLanguageSwitcher(nav);
+}
+
+// In the browser only – Node tooling (dev/render-services.js) loads the catalogues too
+if (typeof document !== 'undefined') {
+    // Before the body is parsed, so RTL pages never flash in LTR
+    applyDocumentLanguage();
+
+    // Run after the DOM is fully loaded
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initI18n);
+    } else {
+        initI18n();
+    }
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        I18N_LANGUAGES,
+        I18N_MESSAGES,
+        t,
+        localize,
+        getLanguage,
+        getLocale,
+        isRtl,
+        setLanguage,
+        onLanguageChange,
+        localizedLabels,
+        translatePage,
+    };
+}
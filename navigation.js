@@ -0,0 +1,229 @@
+/**
+ * navigation.js
+ * Site navigation state for the Prime Solid pages
+ * - Nav links to the current page get aria-current="page"; a link to the
+ *   section being read gets aria-current="location" (both are .active)
+ * - Scroll-spy over page sections and nested anchors ([data-spy], e.g. the
+ *   services.html detail blocks); the address bar follows via history.replaceState
+ * - In-page links and deep links (services.html#gypsum-work) scroll the target
+ *   clear of the fixed header, measured rather than assumed
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const NAV_LINK_SELECTOR = '.nav__link';
+const NAV_SPY_SELECTOR  = 'section[id], [data-spy][id]';
+const NAV_SPY_MARGIN    = 20;      // px below the header where a section counts as "being read"
+
+/* ============================================================
+   HELPERS
+   ============================================================ */
+
+/**
+ * Height of the fixed header, i.e. how far in-page targets must clear.
+ */
+function headerOffset() {
+    const header = document.getElementById('header');
+    if (!header || !['fixed', 'sticky'].includes(getComputedStyle(header).position)) return 0;
+    return header.getBoundingClientRect().height;
+}
+
+/**
+ * Scrolls so `target` sits just below the fixed header.
+ */
+function scrollToTarget(target, { behavior = scrollBehavior() } = {}) {
+    const top = target.getBoundingClientRect().top + window.scrollY - headerOffset();
+    window.scrollTo({ top: Math.max(0, top), behavior });
+}
+
+/**
+ * Normalised path of a URL, so '/' and '/index.html' are the same page.
+ */
+function pagePath(url) {
+    return url.pathname.replace(/\/index\.html$/, '/');
+}
+
+/**
+ * The id a #hash names; '' for a malformed escape such as #%E0.
+ */
+function hashId(hash) {
+    try {
+        return decodeURIComponent(hash.slice(1));
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * The element a same-page link points at, or null for other pages, '#' and unknown ids.
+ */
+function samePageTarget(link) {
+    const href = link.getAttribute('href');
+    if (!href || href === '#') return null;
+
+    const url = new URL(link.href, window.location.href);
+    if (pagePath(url) !== pagePath(window.location) || url.search !== window.location.search || !url.hash) return null;
+
+    return document.getElementById(hashId(url.hash));
+}
+
+/**
+ * Makes a scrolled-to target the reading position for keyboard and screen reader users.
+ */
+function focusTarget(target) {
+    if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+}
+
+/* ============================================================
+   SCROLL-SPY
+   ============================================================ */
+
+/**
+ * Tracks which section is being read and reflects it in the nav and the URL.
+ * @returns {{ refresh: Function }}
+ */
+function createScrollSpy() {
+    const here      = pagePath(window.location);
+    const pageLinks = [...document.querySelectorAll(NAV_LINK_SELECTOR)]
+        .filter(link => pagePath(new URL(link.href, window.location.href)) === here);
+
+    let sections = [];            // { id, top, bottom }, measured on layout changes
+    let current  = null;
+    let userHasScrolled = false;
+
+    function measure() {
+        const y = window.scrollY;
+        sections = [...document.querySelectorAll(NAV_SPY_SELECTOR)].map(el => {
+            const rect = el.getBoundingClientRect();
+            return { id: el.id, top: rect.top + y, bottom: rect.bottom + y };
+        });
+    }
+
+    /**
+     * The innermost section under the reading line; later (nested) sections win ties.
+     */
+    function sectionAt(y) {
+        const line = y + headerOffset() + NAV_SPY_MARGIN;
+        return sections
+            .filter(section => section.top <= line && section.bottom > line)
+            .reduce((best, section) => (!best || section.top >= best.top ? section : best), null)?.id ?? null;
+    }
+
+    function render() {
+        pageLinks.forEach(link => {
+            const hash      = new URL(link.href, window.location.href).hash.slice(1);
+            const atSection = Boolean(hash) && hash === current;
+            link.classList.add('active');
+            link.setAttribute('aria-current', atSection ? 'location' : 'page');
+        });
+        document.querySelectorAll(NAV_LINK_SELECTOR).forEach(link => {
+            if (pageLinks.includes(link)) return;
+            link.classList.remove('active');
+            link.removeAttribute('aria-current');
+        });
+    }
+
+    function update({ y }) {
+        const next = sectionAt(y);
+        if (next === current) return;
+        current = next;
+        render();
+
+        // Keep the address bar on the section, without adding history entries;
+        // the first pass after load leaves the URL (and any deep link) alone
+        if (!userHasScrolled) return;
+        const url = `${window.location.pathname}${window.location.search}${current ? `#${current}` : ''}`;
+        history.replaceState(history.state, '', url);
+    }
+
+    window.addEventListener('scroll', () => { userHasScrolled = true; }, { passive: true, once: true });
+    onLayoutChange(measure);
+    onScrollFrame(update);
+    render();
+
+    return {
+        refresh: measureLayout,
+    };
+}
+
+/* ============================================================
+   LINKS & DEEP LINKS
+   ============================================================ */
+
+function initInPageLinks() {
+    document.addEventListener('click', e => {
+        const link = e.target.closest('a[href]');
+        if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const target = samePageTarget(link);
+        if (!target) return;
+
+        e.preventDefault();
+        scrollToTarget(target);
+        focusTarget(target);
+        history.replaceState(history.state, '', `#${target.id}`);
+    });
+
+    window.addEventListener('hashchange', () => {
+        const target = document.getElementById(hashId(window.location.hash));
+        if (target) scrollToTarget(target);
+    });
+}
+
+/**
+ * Lands a deep link on its target once the page has rendered; sections drawn
+ * by scripts (the services.html details) do not exist when the browser jumps.
+ */
+function initDeepLink() {
+    const id = hashId(window.location.hash);
+    if (!id) return;
+
+    let userHasScrolled = false;
+    const land = () => {
+        const target = document.getElementById(id);
+        if (!target || userHasScrolled) return;
+        scrollToTarget(target, { behavior: 'auto' });
+    };
+
+    // Once after the content is rendered, and again when images have settled the layout
+    requestAnimationFrame(() => {
+        land();
+        window.addEventListener('wheel',      () => { userHasScrolled = true; }, { passive: true, once: true });
+        window.addEventListener('touchstart', () => { userHasScrolled = true; }, { passive: true, once: true });
+        window.addEventListener('keydown',    () => { userHasScrolled = true; }, { once: true });
+    });
+    if (document.readyState === 'complete') land();
+    else window.addEventListener('load', land, { once: true });
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+// The page's scroll-spy ({ refresh })
+let navigationSpy = null;
+
+function initNavigation() {
+    navigationSpy = createScrollSpy();
+    initInPageLinks();
+    initDeepLink();
+}
+
+// Run after the DOM is fully loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initNavigation);
+} else {
+    initNavigation();
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { headerOffset, scrollToTarget, samePageTarget, createScrollSpy };
+}
@@ -0,0 +1,220 @@
+/**
+ * notifications.js
+ * One notification centre for every page of the Prime Solid site
+ * - Stacked toasts (success / error / info / warning), queued beyond a visible limit
+ * - Optional action buttons ("Retry", "Undo", …) and a dismiss button
+ * - Auto-dismiss with per-type durations, paused while hovered or focused
+ * - Announced through an ARIA live region; messages are rendered as text, never HTML
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const NOTIFY_TYPES = ['success', 'error', 'info', 'warning'];
+
+// Auto-dismiss after (ms); 0 keeps a notification until it is dismissed
+const NOTIFY_DURATIONS = {
+    success: 4000,
+    info:    5000,
+    warning: 6000,
+    error:   7000,
+};
+const NOTIFY_ACTION_DURATION = 8000;    // time to reach an action button
+
+const NOTIFY_MAX_VISIBLE = 3;
+const NOTIFY_EXIT_MS     = 300;         // matches the notifyOut animation
+
+const NOTIFY_ICONS = {
+    success: 'fas fa-check-circle',
+    error:   'fas fa-times-circle',
+    info:    'fas fa-info-circle',
+    warning: 'fas fa-exclamation-triangle',
+};
+
+/* ============================================================
+   NOTIFICATION CENTRE
+   ============================================================ */
+
+/**
+ * Creates a notification stack. The stack element (the live region) is added
+ * to the page on the first notification.
+ * @param {object} [options]
+ * @param {number} [options.maxVisible] notifications on screen at once; the rest wait their turn
+ * @param {Function} [options.now]      clock in ms, for the pause-on-hover timers
+ * @returns {{ show: Function, dismiss: Function, clear: Function }}
+ */
+function createNotificationCentre({ maxVisible = NOTIFY_MAX_VISIBLE, now = Date.now } = {}) {
+    let stack   = null;
+    let nextId  = 1;
+    const shown = new Map();    // id → live notification
+    const queue = [];           // { id, message, options } waiting for room
+
+    function ensureStack() {
+        if (stack?.isConnected) return stack;
+
+        stack = document.createElement('div');
+        stack.className = 'notify-stack';
+        stack.setAttribute('role', 'region');
+        stack.setAttribute('aria-live', 'polite');
+        stack.setAttribute('aria-label', t('notify.region'));
+        document.body.appendChild(stack);
+        return stack;
+    }
+
+    function render(id, message, { type, duration, actions }) {
+        const el = document.createElement('div');
+        el.className = `notify notify--${type}`;
+        // Errors interrupt the screen reader; everything else waits its turn
+        el.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+        const icon = document.createElement('i');
+        icon.className = `notify__icon ${NOTIFY_ICONS[type]}`;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const body = document.createElement('div');
+        body.className = 'notify__body';
+
+        const text = document.createElement('p');
+        text.className = 'notify__message';
+        text.textContent = message;
+        body.appendChild(text);
+
+        if (actions.length) {
+            const row = document.createElement('div');
+            row.className = 'notify__actions';
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'notify__action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    action.onClick?.();
+                    if (action.dismiss !== false) dismiss(id);
+                });
+                row.appendChild(button);
+            });
+            body.appendChild(row);
+        }
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'notify__close';
+        close.setAttribute('aria-label', t('notify.dismiss'));
+        close.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+        close.addEventListener('click', () => dismiss(id));
+
+        el.append(icon, body, close);
+
+        // Auto-dismiss timer that stops while the visitor is reading or reaching for a button
+        let remaining = duration;
+        let startedAt = 0;
+        let timer     = null;
+        let hovered   = false;
+        let focused   = false;
+
+        const resume = () => {
+            if (!duration || timer || hovered || focused) return;
+            startedAt = now();
+            timer = setTimeout(() => dismiss(id), remaining);
+        };
+        const pause = () => {
+            if (!timer) return;
+            clearTimeout(timer);
+            timer = null;
+            remaining = Math.max(0, remaining - (now() - startedAt));
+        };
+
+        el.addEventListener('mouseenter', () => { hovered = true;  pause(); });
+        el.addEventListener('mouseleave', () => { hovered = false; resume(); });
+        el.addEventListener('focusin',    () => { focused = true;  pause(); });
+        el.addEventListener('focusout',   e => {
+            if (el.contains(e.relatedTarget)) return;
+            focused = false;
+            resume();
+        });
+
+        ensureStack().appendChild(el);
+        shown.set(id, { el, stop: () => clearTimeout(timer) });
+        resume();
+    }
+
+    /**
+     * Shows a notification, or queues it when the stack is full.
+     * @param {string} message  plain text
+     * @param {object} [options]
+     * @param {'success'|'error'|'info'|'warning'} [options.type]
+     * @param {number} [options.duration] ms before it goes away; 0 to keep it until dismissed
+     * @param {{ label: string, onClick?: Function, dismiss?: boolean }[]} [options.actions]
+     * @returns {{ id: number, dismiss: Function }}
+     */
+    function show(message, { type = 'info', duration, actions = [] } = {}) {
+        if (!NOTIFY_TYPES.includes(type)) type = 'info';
+        const options = {
+            type,
+            actions,
+            duration: duration ?? (actions.length ? NOTIFY_ACTION_DURATION : NOTIFY_DURATIONS[type]),
+        };
+
+        const id = nextId++;
+        if (shown.size < maxVisible) render(id, String(message), options);
+        else queue.push({ id, message: String(message), options });
+
+        return { id, dismiss: () => dismiss(id) };
+    }
+
+    /**
+     * Removes a notification (shown or still queued) and lets the next one in.
+     */
+    function dismiss(id) {
+        const queued = queue.findIndex(item => item.id === id);
+        if (queued !== -1) {
+            queue.splice(queued, 1);
+            return;
+        }
+
+        const entry = shown.get(id);
+        if (!entry) return;
+        shown.delete(id);
+        entry.stop();
+
+        entry.el.classList.add('notify--leaving');
+        setTimeout(() => entry.el.remove(), NOTIFY_EXIT_MS);
+
+        const next = queue.shift();
+        if (next) render(next.id, next.message, next.options);
+    }
+
+    function clear() {
+        queue.length = 0;
+        [...shown.keys()].forEach(dismiss);
+    }
+
+    return { show, dismiss, clear };
+}
+
+/* ============================================================
+   SHARED CENTRE
+   ============================================================ */
+
+// The page's notification centre, created on first use
+let notifications = null;
+
+/**
+ * Shows a notification in the page's shared centre.
+ * @param {string} message
+ * @param {string|object} [options] a type, or the options of show()
+ */
+function notify(message, options = {}) {
+    notifications ??= createNotificationCentre();
+    return notifications.show(message, typeof options === 'string' ? { type: options } : options);
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NOTIFY_DURATIONS, createNotificationCentre, notify };
+}
@@ -0,0 +1,376 @@
+/**
+ * outbox.js
+ * Offline outbox for Prime Solid contact form submissions
+ * - Persists every submission to IndexedDB before it is sent
+ * - Tracks status per record: pending → sending → (deleted once sent) | failed
+ * - Replays pending records on the `online` event with exponential backoff
+ * - Renders a small "N requests pending" indicator with retry / delete actions
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const OUTBOX_DB_NAME      = 'primesolid-outbox';
+const OUTBOX_DB_VERSION   = 1;
+const OUTBOX_STORE        = 'submissions';
+const OUTBOX_BACKOFF_BASE = 5 * 1000;        // first retry after ~5 s
+const OUTBOX_BACKOFF_MAX  = 15 * 60 * 1000;  // never wait more than 15 min
+const OUTBOX_MAX_ATTEMPTS = 8;               // then park the record as 'failed'
+
+/* ============================================================
+   INDEXEDDB HELPERS
+   ============================================================ */
+
+function isOutboxSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror   = () => reject(request.error);
+    });
+}
+
+function openOutboxDb(dbName = OUTBOX_DB_NAME) {
+    const request = indexedDB.open(dbName, OUTBOX_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('status', 'status');
+    };
+    return idbRequest(request);
+}
+
+/* ============================================================
+   BACKOFF
+   ============================================================ */
+
+/**
+ * Delay before the next attempt: base · 2^(attempts-1), capped, with ±20 % jitter
+ * so several tabs coming back online don't retry in lock-step.
+ */
+function outboxBackoff(attempts, { base = OUTBOX_BACKOFF_BASE, max = OUTBOX_BACKOFF_MAX, random = Math.random } = {}) {
+    const delay  = Math.min(base * 2 ** Math.max(attempts - 1, 0), max);
+    const jitter = delay * 0.2 * (random() * 2 - 1);
+    return Math.round(delay + jitter);
+}
+
+/**
+ * Network problems and 5xx/429 responses are worth retrying; other 4xx are not.
+ */
+function isRetryableError(err) {
+    if (err?.kind === 'network' || err?.kind === 'timeout') return true;
+    if (err?.kind === 'http') return err.status >= 500 || err.status === 429;
+    return false;
+}
+
+/* ============================================================
+   OUTBOX
+   ============================================================ */
+
+/**
+ * Creates an outbox backed by IndexedDB.
+ * @param {object}   options
+ * @param {Function} options.send      async ({ endpoint, payload, files }) => void – throws a TransportError on failure
+ * @param {Function} [options.onChange] called with the current record list after every change
+ * @param {string}   [options.dbName]
+ */
+function createOutbox({ send, onChange = () => {}, dbName = OUTBOX_DB_NAME, now = Date.now } = {}) {
+    let dbPromise  = null;
+    let retryTimer = null;
+    let flushing   = null;     // the run in progress
+    let flushScope = null;     // the filter it is sending with
+    let requested  = null;     // a wider filter asked for meanwhile, run next
+
+    function db() {
+        dbPromise ??= openOutboxDb(dbName);
+        return dbPromise;
+    }
+
+    async function withStore(mode, fn) {
+        const tx   = (await db()).transaction(OUTBOX_STORE, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror    = () => reject(tx.error);
+            tx.onabort    = () => reject(tx.error);
+        });
+        const result = await fn(tx.objectStore(OUTBOX_STORE));
+        await done;
+        return result;
+    }
+
+    async function list() {
+        const records = await withStore('readonly', store => idbRequest(store.getAll()));
+        return records.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async function notify() {
+        onChange(await list());
+    }
+
+    // Timers and connectivity events have no caller to hand a failure to
+    function reportFailure(err) {
+        console.warn('Outbox:', err);
+    }
+
+    async function get(id) {
+        return withStore('readonly', store => idbRequest(store.get(id)));
+    }
+
+    async function update(id, changes) {
+        const record = await get(id);
+        if (!record) return null;
+        const updated = { ...record, ...changes, updatedAt: now() };
+        await withStore('readwrite', store => idbRequest(store.put(updated)));
+        return updated;
+    }
+
+    /**
+     * Stores a new submission. It starts as 'sending' because the caller is
+     * expected to attempt delivery straight away via `deliver()`.
+     */
+    async function enqueue(endpoint, payload, files = []) {
+        const record = {
+            endpoint,
+            payload,
+            files,             // File / Blob objects survive IndexedDB's structured clone
+            status:        'sending',
+            attempts:      0,
+            lastError:     '',
+            createdAt:     now(),
+            updatedAt:     now(),
+            nextAttemptAt: now(),
+        };
+        record.id = await withStore('readwrite', store => idbRequest(store.add(record)));
+        await notify();
+        return record;
+    }
+
+    async function remove(id) {
+        await withStore('readwrite', store => idbRequest(store.delete(id)));
+        await notify();
+    }
+
+    /**
+     * Attempts delivery of a single record and updates its status.
+     * Resolves with the record on success (it is removed from the store);
+     * rethrows the transport error otherwise.
+     */
+    async function deliver(record) {
+        await update(record.id, { status: 'sending' });
+        try {
+            await send(record);
+        } catch (err) {
+            const attempts  = record.attempts + 1;
+            const retryable = isRetryableError(err) && attempts < OUTBOX_MAX_ATTEMPTS;
+            await update(record.id, {
+                status:        retryable ? 'pending' : 'failed',
+                attempts,
+                lastError:     err?.message ?? String(err),
+                nextAttemptAt: now() + outboxBackoff(attempts),
+            });
+            await notify();
+            scheduleRetry().catch(reportFailure);
+            throw err;
+        }
+        await remove(record.id);
+        return record;
+    }
+
+    // Narrowest first – each one selects everything the previous one does
+    const FLUSH_FILTERS = {
+        due:     r => r.status === 'pending' && r.nextAttemptAt <= now(),   // backoff timer
+        pending: r => r.status === 'pending',                                // back online
+        all:     r => r.status !== 'sending',                                // manual "retry all"
+    };
+    const FLUSH_SCOPES = Object.keys(FLUSH_FILTERS);
+
+    function widest(a, b) {
+        return FLUSH_SCOPES.indexOf(a) >= FLUSH_SCOPES.indexOf(b) ? a : b;
+    }
+
+    async function sendQueued(which) {
+        const queued = (await list()).filter(FLUSH_FILTERS[which]);
+        for (const record of queued) {
+            try {
+                await deliver(record);
+            } catch (err) {
+                // Still offline – no point hammering the rest of the queue
+                if (err?.kind === 'network') break;
+            }
+        }
+    }
+
+    /**
+     * Sends queued records one by one, selected by `which` (see FLUSH_FILTERS).
+     * A call during a run shares it when the run's filter covers its own;
+     * a wider one (e.g. "retry all" during a timer flush) runs straight after.
+     */
+    function flush(which = 'due') {
+        if (flushing && widest(flushScope, which) === flushScope) return flushing;
+
+        requested = requested ? widest(requested, which) : which;
+        flushing ??= (async () => {
+            try {
+                while (requested) {
+                    flushScope = requested;
+                    requested  = null;
+                    await sendQueued(flushScope);
+                }
+            } finally {
+                flushing   = null;
+                flushScope = null;
+                requested  = null;
+            }
+        })();
+        return flushing;
+    }
+
+    async function retry(id) {
+        const record = await get(id);
+        if (record) await deliver(record);
+    }
+
+    /**
+     * Arms a single timer for the earliest pending record.
+     */
+    async function scheduleRetry() {
+        clearTimeout(retryTimer);
+        const pending = (await list()).filter(r => r.status === 'pending');
+        if (!pending.length) return;
+
+        const nextAt = Math.min(...pending.map(r => r.nextAttemptAt));
+        retryTimer = setTimeout(() => {
+            if (navigator.onLine !== false) flush('due').catch(reportFailure);
+        }, Math.max(nextAt - now(), 0));
+    }
+
+    /**
+     * Recovers records left as 'sending' by a closed tab, then starts listening
+     * for connectivity changes.
+     */
+    async function start() {
+        for (const record of await list()) {
+            if (record.status === 'sending') await update(record.id, { status: 'pending' });
+        }
+        window.addEventListener('online', () => flush('pending').catch(reportFailure));
+        await notify();
+        if (navigator.onLine !== false) await flush('pending');
+        await scheduleRetry();
+    }
+
+    return { enqueue, deliver, flush, retry, remove, list, start };
+}
+
+/* ============================================================
+   PENDING INDICATOR
+   ============================================================ */
+
+/**
+ * Renders the "N requests pending" pill after `anchor` and keeps it in sync.
+ * Returns an `update(records)` function to pass as the outbox's onChange.
+ * The pill is relabelled when the page language changes.
+ * @param {HTMLElement} anchor
+ * @param {object}   options
+ * @param {Function} options.onRetry    (id) → void
+ * @param {Function} options.onDelete   (id) → void
+ * @param {Function} options.onRetryAll () → void
+ * @param {Function} [options.label]    (record) → what the request is called in the list
+ */
+function createOutboxIndicator(anchor, { onRetry, onDelete, onRetryAll, label: labelOf = () => t('outbox.request') }) {
+    const wrap = document.createElement('div');
+    wrap.className = 'outbox-indicator';
+    wrap.hidden = true;
+    wrap.setAttribute('role', 'status');
+    wrap.setAttribute('aria-live', 'polite');
+
+    const summary = document.createElement('button');
+    summary.type = 'button';
+    summary.className = 'outbox-indicator__summary';
+    summary.setAttribute('aria-expanded', 'false');
+
+    const list = document.createElement('ul');
+    list.className = 'outbox-indicator__list';
+    list.hidden = true;
+
+    const retryAll = document.createElement('button');
+    retryAll.type = 'button';
+    retryAll.className = 'outbox-indicator__retry-all';
+    retryAll.innerHTML = '<i class="fas fa-redo"></i> <span data-i18n="outbox.retryAll"></span>';
+    translatePage(retryAll);
+    retryAll.addEventListener('click', () => onRetryAll());
+
+    summary.addEventListener('click', () => {
+        const open = list.hidden;
+        list.hidden = !open;
+        summary.setAttribute('aria-expanded', String(open));
+    });
+
+    wrap.append(summary, list);
+    anchor.insertAdjacentElement('afterend', wrap);
+
+    function renderItem(record) {
+        const item = document.createElement('li');
+        item.className = `outbox-indicator__item outbox-indicator__item--${record.status}`;
+
+        const label = document.createElement('span');
+        const when  = new Date(record.createdAt).toLocaleString(getLocale());
+        label.textContent = `${labelOf(record)} – ${when} (${t(`outbox.status.${record.status}`)})`;
+        if (record.lastError) label.title = record.lastError;
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.textContent = t('outbox.retry');
+        retry.disabled = record.status === 'sending';
+        retry.addEventListener('click', () => onRetry(record.id));
+
+        const del = document.createElement('button');
+        del.type = 'button';
+        del.textContent = t('outbox.delete');
+        del.addEventListener('click', () => onDelete(record.id));
+
+        item.append(label, retry, del);
+        return item;
+    }
+
+    let shown = [];     // the records last rendered, for a language switch
+    onLanguageChange(() => update(shown));
+
+    function update(records) {
+        shown = records;
+        const waiting = records.filter(r => r.status !== 'sending' || r.attempts > 0);
+        wrap.hidden = waiting.length === 0;
+
+        const n = waiting.length;
+        summary.innerHTML = '<i class="fas fa-cloud-upload-alt"></i> ';
+        summary.append(n === 1 ? t('outbox.pendingOne') : t('outbox.pending', { count: n }));
+
+        list.replaceChildren(...waiting.map(renderItem));
+        if (n > 1) {
+            const item = document.createElement('li');
+            item.appendChild(retryAll);
+            list.appendChild(item);
+        }
+    }
+
+    return update;
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OUTBOX_MAX_ATTEMPTS,
+        createOutbox,
+        outboxBackoff,
+        isRetryableError,
+        isOutboxSupported,
+    };
+}
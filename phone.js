@@ -0,0 +1,311 @@
+/**
+ * phone.js
+ * Phone number handling for Prime Solid forms (UAE first, international fallback)
+ * - Parses local (05x / 0x), national (5x), 00971 and +971 forms
+ * - Validates UAE mobile (50/52/54/55/56/58) and landline (2/3/4/6/7/9) prefixes
+ * - Normalises to E.164 (+9715XXXXXXXX) and formats as the visitor types
+ * - Country selector for numbers outside the UAE
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const UAE_DIAL_CODE = '971';
+
+// National significant numbers (without trunk 0 / country code)
+const UAE_MOBILE_RE   = /^5[024568]\d{7}$/;   // 050, 052, 054, 055, 056, 058
+const UAE_LANDLINE_RE = /^[234679]\d{7}$/;    // 02 Abu Dhabi, 03 Al Ain, 04 Dubai, 06 Sharjah/Ajman/UAQ, 07 RAK, 09 Fujairah
+
+// Countries offered in the selector; UAE first, then where most of our customers come from
+const PHONE_COUNTRIES = [
+    { code: 'AE', name: { en: 'United Arab Emirates',   ar: 'الإمارات العربية المتحدة' }, dial: '971' },
+    { code: 'SA', name: { en: 'Saudi Arabia',           ar: 'المملكة العربية السعودية' }, dial: '966' },
+    { code: 'OM', name: { en: 'Oman',                   ar: 'عُمان' },                    dial: '968' },
+    { code: 'QA', name: { en: 'Qatar',                  ar: 'قطر' },                      dial: '974' },
+    { code: 'KW', name: { en: 'Kuwait',                 ar: 'الكويت' },                   dial: '965' },
+    { code: 'BH', name: { en: 'Bahrain',                ar: 'البحرين' },                  dial: '973' },
+    { code: 'EG', name: { en: 'Egypt',                  ar: 'مصر' },                      dial: '20'  },
+    { code: 'JO', name: { en: 'Jordan',                 ar: 'الأردن' },                   dial: '962' },
+    { code: 'LB', name: { en: 'Lebanon',                ar: 'لبنان' },                    dial: '961' },
+    { code: 'IN', name: { en: 'India',                  ar: 'الهند' },                    dial: '91'  },
+    { code: 'PK', name: { en: 'Pakistan',               ar: 'باكستان' },                  dial: '92'  },
+    { code: 'BD', name: { en: 'Bangladesh',             ar: 'بنغلاديش' },                 dial: '880' },
+    { code: 'PH', name: { en: 'Philippines',            ar: 'الفلبين' },                  dial: '63'  },
+    { code: 'GB', name: { en: 'United Kingdom',         ar: 'المملكة المتحدة' },          dial: '44'  },
+    { code: 'US', name: { en: 'United States / Canada', ar: 'الولايات المتحدة / كندا' },  dial: '1'   },
+];
+
+// E.164 allows at most 15 digits including the country code
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+/* ============================================================
+   PARSING
+   ============================================================ */
+
+function countryByCode(code) {
+    return PHONE_COUNTRIES.find(c => c.code === code) ?? null;
+}
+
+/**
+ * Finds the country whose dial code prefixes `digits` (longest match wins).
+ */
+function countryByDialPrefix(digits) {
+    return PHONE_COUNTRIES
+        .filter(c => digits.startsWith(c.dial))
+        .sort((a, b) => b.dial.length - a.dial.length)[0] ?? null;
+}
+
+/**
+ * Splits raw input into { international, digits }.
+ * '+' and '00' both mark an international number; everything but digits is dropped.
+ */
+function splitPhoneInput(input) {
+    const raw = String(input ?? '').trim();
+    const digits = raw.replace(/\D/g, '');
+
+    if (raw.startsWith('+'))    return { international: true, digits };
+    if (digits.startsWith('00')) return { international: true, digits: digits.slice(2) };
+    return { international: false, digits };
+}
+
+/**
+ * Parses a phone number.
+ * @param {string} input
+ * @param {string} [country] ISO code used for numbers typed without a country code
+ * @returns {{ valid: boolean, e164: string|null, country: string|null, type: 'mobile'|'landline'|'other'|null, nsn: string, error: string|null }}
+ *   error is one of 'empty' | 'invalid-uae' | 'invalid'
+ */
+function parsePhone(input, country = 'AE') {
+    const { international, digits } = splitPhoneInput(input);
+    const result = { valid: false, e164: null, country: null, type: null, nsn: '', error: null };
+
+    if (!digits) return { ...result, error: 'empty' };
+
+    let dial;
+    let nsn;
+
+    if (international) {
+        const match = countryByDialPrefix(digits);
+        dial    = match?.dial ?? null;
+        nsn     = match ? digits.slice(match.dial.length) : digits;
+        result.country = match?.code ?? null;
+    } else if (country === 'AE' && digits.startsWith(UAE_DIAL_CODE) && digits.length >= 11) {
+        // "971501234567" typed without '+'
+        dial = UAE_DIAL_CODE;
+        nsn  = digits.slice(UAE_DIAL_CODE.length);
+        result.country = 'AE';
+    } else {
+        dial = countryByCode(country)?.dial ?? UAE_DIAL_CODE;
+        nsn  = digits;
+        result.country = country;
+    }
+
+    // Drop the trunk prefix: 050… → 50…, and the "+971 (0)50…" habit
+    nsn = nsn.replace(/^0+/, '');
+    result.nsn = nsn;
+
+    if (dial === UAE_DIAL_CODE) {
+        if (UAE_MOBILE_RE.test(nsn))   return { ...result, valid: true, type: 'mobile',   e164: `+${dial}${nsn}` };
+        if (UAE_LANDLINE_RE.test(nsn)) return { ...result, valid: true, type: 'landline', e164: `+${dial}${nsn}` };
+        return { ...result, error: 'invalid-uae' };
+    }
+
+    // Outside the UAE we only check the overall E.164 length
+    const full = dial ? dial + nsn : nsn;
+    if (full.length < E164_MIN_DIGITS || full.length > E164_MAX_DIGITS || (!dial && !international)) {
+        return { ...result, error: 'invalid' };
+    }
+    return { ...result, valid: true, type: 'other', e164: `+${full}` };
+}
+
+/**
+ * Returns the E.164 form of a number, or null when it is not valid.
+ */
+function toE164(input, country = 'AE') {
+    return parsePhone(input, country).e164;
+}
+
+/**
+ * E.164 without the leading '+', as wa.me links expect.
+ */
+function toWhatsAppNumber(input, country = 'AE') {
+    return toE164(input, country)?.slice(1) ?? String(input).replace(/\D/g, '');
+}
+
+/* ============================================================
+   VALIDATION RULE
+   ============================================================ */
+
+/**
+ * Validator for validation.js schemas: { rule: 'phone', countryField, messages }.
+ * `countryField` names the value holding the selected country (defaults to UAE);
+ * `messages` may map a parse error ('invalid-uae' | 'invalid') to its own text
+ * (a string, or a function returning one).
+ * Empty values pass – pair it with 'required'.
+ */
+function phoneRule(value, rule, values = {}) {
+    const country = (rule.countryField && values[rule.countryField]) || 'AE';
+    const { valid, error } = parsePhone(value, country);
+    if (valid || error === 'empty') return true;
+
+    const message = rule.messages?.[error];
+    return (typeof message === 'function' ? message(value, rule) : message) ?? false;
+}
+
+/* ============================================================
+   FORMATTING
+   ============================================================ */
+
+/**
+ * Splits `digits` into groups of the given sizes; the last group takes the rest.
+ */
+function groupDigits(digits, sizes) {
+    const groups = [];
+    let rest = digits;
+    for (const size of sizes) {
+        if (!rest) break;
+        groups.push(rest.slice(0, size));
+        rest = rest.slice(size);
+    }
+    if (rest) groups[groups.length - 1] += rest;
+    return groups;
+}
+
+/**
+ * Formats a (possibly partial) number the way it is written in the UAE:
+ *   050 123 4567 · 02 123 4567 · +971 50 123 4567 · 00971 2 123 4567
+ * Numbers from other countries keep their digits, grouped 3-3-4 after the code.
+ */
+function formatPhone(input, country = 'AE') {
+    const raw = String(input ?? '').trim();
+    const { international, digits } = splitPhoneInput(raw);
+    if (!digits) return raw.startsWith('+') ? '+' : '';
+
+    const prefix = raw.startsWith('+') ? '+' : (international ? '00' : '');
+
+    if (international || (country === 'AE' && digits.startsWith(UAE_DIAL_CODE) && digits.length > 3)) {
+        const match = countryByDialPrefix(digits);
+        if (!match) return prefix + digits;
+
+        const nsn   = digits.slice(match.dial.length).replace(/^0+/, '');
+        const sizes = match.dial === UAE_DIAL_CODE ? (nsn.startsWith('5') ? [2, 3, 4] : [1, 3, 4]) : [3, 3, 4];
+        return [prefix + match.dial, ...groupDigits(nsn, sizes)].join(' ');
+    }
+
+    if (country !== 'AE') return groupDigits(digits, [3, 3, 4]).join(' ');
+
+    // Local UAE number, with or without the trunk 0
+    const trunk = digits.startsWith('0') ? '0' : '';
+    const nsn   = digits.slice(trunk.length);
+    const sizes = nsn.startsWith('5') ? [2, 3, 4] : [1, 3, 4];
+    const [first = '', ...rest] = groupDigits(nsn, sizes);
+    return [trunk + first, ...rest].join(' ');
+}
+
+/* ============================================================
+   INPUT ENHANCEMENT
+   ============================================================ */
+
+/**
+ * Adds as-you-type formatting and a country selector to a tel input.
+ * The selector stays collapsed behind a "Not a UAE number?" link until it is
+ * needed, and opens by itself when an international number is typed.
+ * @param {HTMLInputElement} input
+ * @param {object}   [options]
+ * @param {Function} [options.revalidate] () → void, re-checks the number after a country change
+ * @returns {{ select: HTMLSelectElement, country: () => string }}
+ */
+function attachPhoneInput(input, { revalidate = () => {} } = {}) {
+    const wrap = document.createElement('div');
+    wrap.className = 'phone-country';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'phone-country__toggle';
+    toggle.dataset.i18n = 'phone.notUae';
+
+    const select = document.createElement('select');
+    select.id = `${input.id}Country`;
+    select.className = 'phone-country__select';
+    select.dataset.i18nAriaLabel = 'phone.country';
+    select.hidden = true;
+
+    // Country names follow the page language; the selection survives a switch
+    const renderCountries = () => {
+        const selected = select.value || 'AE';
+        select.replaceChildren(...PHONE_COUNTRIES.map(({ code, name, dial }) => new Option(`${localize(name)} (+${dial})`, code)));
+        select.value = selected;
+    };
+    renderCountries();
+    onLanguageChange(renderCountries);
+
+    const reveal = () => {
+        select.hidden = false;
+        toggle.hidden = true;
+    };
+    toggle.addEventListener('click', () => {
+        reveal();
+        select.focus();
+    });
+
+    wrap.append(toggle, select);
+    translatePage(wrap);
+    input.insertAdjacentElement('afterend', wrap);
+
+    /**
+     * Reformats while keeping the caret after the same number of digits.
+     */
+    function reformat() {
+        const caret        = input.selectionStart ?? input.value.length;
+        const digitsBefore = input.value.slice(0, caret).replace(/\D/g, '').length;
+        const formatted    = formatPhone(input.value, select.value);
+        if (formatted === input.value) return;
+
+        input.value = formatted;
+
+        let pos = 0;
+        for (let seen = 0; pos < formatted.length && seen < digitsBefore; pos++) {
+            if (/\d/.test(formatted[pos])) seen++;
+        }
+        input.setSelectionRange?.(pos, pos);
+    }
+
+    input.addEventListener('input', e => {
+        // Let deletions through untouched so backspacing over a space works
+        if (e.inputType?.startsWith('delete')) return;
+
+        const { international, digits } = splitPhoneInput(input.value);
+        const match = international && countryByDialPrefix(digits);
+        if (match && match.code !== select.value) {
+            select.value = match.code;
+            if (match.code !== 'AE') reveal();
+        }
+        reformat();
+    });
+
+    select.addEventListener('change', () => {
+        reformat();
+        revalidate();       // the number is checked against the new country
+    });
+
+    return { select, country: () => select.value };
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PHONE_COUNTRIES,
+        parsePhone,
+        phoneRule,
+        toE164,
+        toWhatsAppNumber,
+        formatPhone,
+        attachPhoneInput,
+    };
+}
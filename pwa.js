@@ -0,0 +1,145 @@
+/**
+ * pwa.js
+ * Installable, offline-capable site (manifest.webmanifest + sw.js)
+ * - Registers the service worker once the page has loaded
+ * - "New version available – Reload" notification when a new worker is
+ *   waiting or a cached file was refreshed behind the visitor's back
+ * - While the connection is down, a notification that stays until it is back,
+ *   with buttons to call or WhatsApp us
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const SW_URL = 'sw.js';
+
+/* ============================================================
+   UPDATES
+   ============================================================ */
+
+let swRegistration = null;
+let updatePrompt   = null;
+let reloading      = false;     // set once the visitor chose to reload
+
+/**
+ * Reloads into the new version – activating the waiting worker first, if
+ * there is one (the reload follows on 'controllerchange').
+ */
+function applyUpdate() {
+    const waiting = swRegistration?.waiting;
+    if (!waiting) {
+        window.location.reload();
+        return;
+    }
+    reloading = true;
+    waiting.postMessage({ type: 'skip-waiting' });
+}
+
+/**
+ * Offers the reload, once per page.
+ */
+function promptUpdate() {
+    if (updatePrompt) return;
+    updatePrompt = notify(t('pwa.updateAvailable'), {
+        type:     'info',
+        duration: 0,
+        actions:  [{ label: t('pwa.reload'), onClick: applyUpdate }],
+    });
+}
+
+/**
+ * Watches a registration for a new worker that finished installing. The
+ * first install has no controller yet – nothing to update from.
+ */
+function watchForUpdates(registration) {
+    swRegistration = registration;
+    if (registration.waiting && navigator.serviceWorker.controller) promptUpdate();
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) promptUpdate();
+        });
+    });
+}
+
+async function registerServiceWorker() {
+    try {
+        watchForUpdates(await navigator.serviceWorker.register(SW_URL));
+    } catch (error) {
+        // The site works without it – just not offline
+        console.warn('[pwa] Service worker registration failed:', error);
+    }
+}
+
+/* ============================================================
+   OFFLINE NOTICE
+   ============================================================ */
+
+let offlineNotice = null;
+
+function showOfflineNotice() {
+    if (offlineNotice) return;
+    offlineNotice = notify(t('pwa.offline'), {
+        type:     'warning',
+        duration: 0,
+        actions:  [
+            {
+                label:   t('pwa.call'),
+                onClick: () => { window.location.href = businessLink('tel'); },
+                dismiss: false,
+            },
+            {
+                label:   t('pwa.whatsapp'),
+                onClick: () => window.open(businessLink('whatsapp'), '_blank', 'noopener'),
+                dismiss: false,
+            },
+        ],
+    });
+}
+
+function hideOfflineNotice() {
+    offlineNotice?.dismiss();
+    offlineNotice = null;
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+function initPwa() {
+    if (!navigator.onLine) showOfflineNotice();
+    window.addEventListener('offline', showOfflineNotice);
+    window.addEventListener('online', hideOfflineNotice);
+
+    // Only on https (or localhost), in browsers that have it
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', e => {
+        if (e.data?.type === 'content-updated') promptUpdate();
+    });
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) window.location.reload();
+    });
+
+    // Precaching waits until the page itself has finished loading
+    if (document.readyState === 'complete') registerServiceWorker();
+    else window.addEventListener('load', registerServiceWorker, { once: true });
+}
+
+// Run after the DOM is fully loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initPwa);
+} else {
+    initPwa();
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { promptUpdate, showOfflineNotice, hideOfflineNotice };
+}
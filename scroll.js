@@ -0,0 +1,82 @@
+/**
+ * scroll.js
+ * Shared scroll plumbing for every page
+ * - One requestAnimationFrame-throttled pass per frame for all scroll effects
+ * - Layout measured up front (load, resize, content changes), not on every scroll
+ * - The visitor's reduced-motion preference
+ */
+
+'use strict';
+
+/* ============================================================
+   REDUCED MOTION
+   ============================================================ */
+
+// Parallax, counters, reveals and smooth scrolling are skipped for visitors who ask for it
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+function prefersReducedMotion() {
+    return reducedMotion.matches;
+}
+
+/**
+ * 'smooth', unless the visitor prefers reduced motion.
+ */
+function scrollBehavior() {
+    return prefersReducedMotion() ? 'auto' : 'smooth';
+}
+
+/* ============================================================
+   SCROLL SCHEDULER
+   ============================================================ */
+
+const scrollTasks = [];
+const layoutTasks = [];
+let scrollFrame = 0;
+
+/**
+ * Runs `task({ y, height })` once per animation frame while the page scrolls.
+ */
+function onScrollFrame(task) {
+    scrollTasks.push(task);
+}
+
+/**
+ * Runs `task()` whenever positions may have moved; measure layout here.
+ */
+function onLayoutChange(task) {
+    layoutTasks.push(task);
+}
+
+function runScrollTasks() {
+    scrollFrame = 0;
+    const view = { y: window.scrollY, height: window.innerHeight };
+    scrollTasks.forEach(task => task(view));
+}
+
+function scheduleScroll() {
+    if (!scrollFrame) scrollFrame = requestAnimationFrame(runScrollTasks);
+}
+
+/**
+ * Re-measures the layout and runs the scroll tasks on the next frame.
+ * Call after rendering content that moves things around.
+ */
+function measureLayout() {
+    layoutTasks.forEach(task => task());
+    scheduleScroll();
+}
+
+window.addEventListener('scroll', scheduleScroll, { passive: true });
+window.addEventListener('resize', measureLayout);
+window.addEventListener('load', measureLayout);
+// After every DOMContentLoaded handler, so content rendered there is measured too
+document.addEventListener('DOMContentLoaded', () => requestAnimationFrame(measureLayout));
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { prefersReducedMotion, scrollBehavior, onScrollFrame, onLayoutChange, measureLayout };
+}
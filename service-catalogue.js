@@ -0,0 +1,666 @@
+/**
+ * service-catalogue.js
+ * The one list of Prime Solid services, and everything rendered from it
+ * - Service data: id, icon, image and every visitor-facing text in English
+ *   and Arabic – name, title, tagline, description, offerings, features
+ * - Home page .service-card grid, services.html detail sections and the
+ *   service <select>s of every contact form; the cards and sections are
+ *   also generated into the pages (dev/render-services.js)
+ * - SERVICE_LABELS-style value → label maps for messages, and the property
+ *   types (PROPERTY_LABELS) shared by the forms and the estimator
+ * - Booking deep links (contact.html?service=plumbing&property=villa&urgent=1)
+ *   that prefill the contact forms
+ * Adding a service is one entry in SERVICE_CATALOGUE, then
+ * `node dev/render-services.js` to refresh the pages.
+ */
+
+'use strict';
+
+/* ============================================================
+   CATALOGUE
+   ============================================================ */
+
+/**
+ * In display order. `id` is the value submitted by the forms, `anchor` the
+ * id of the detail section on services.html. `card` puts the service on
+ * the home page grid. Every visitor-facing text is an { en, ar } pair;
+ * offerings and features are [title, text] / [icon, label].
+ */
+const SERVICE_CATALOGUE = [
+    {
+        id:       'tiles',
+        anchor:   'tiles-work',
+        name:     { en: 'Tiles Work', ar: 'أعمال البلاط' },
+        icon:     'fas fa-th-large',
+        title:    { en: 'Tiles Work Services', ar: 'خدمات أعمال البلاط' },
+        tagline:  { en: 'Precision Finishing, Lasting Beauty', ar: 'تشطيب دقيق وجمال يدوم' },
+        description: {
+            en: 'Enhance your space with professional tile installation, repair, and cleaning services. We deliver high-quality workmanship for residential and commercial properties.',
+            ar: 'جدّد مساحتك مع خدماتنا الاحترافية لتركيب البلاط وإصلاحه وتنظيفه. نقدّم أعمالاً عالية الجودة للعقارات السكنية والتجارية.',
+        },
+        offeringsHeading: { en: 'What We Offer:', ar: 'ما نقدّمه:' },
+        offerings: [
+            [{ en: 'Tile Installation', ar: 'تركيب البلاط' }, { en: 'Expert installation of ceramic, porcelain, marble, granite, and mosaic tiles for floors and walls', ar: 'تركيب احترافي لبلاط السيراميك والبورسلان والرخام والجرانيت والموزاييك للأرضيات والجدران' }],
+            [{ en: 'Tile Repair', ar: 'إصلاح البلاط' }, { en: 'Fixing cracked, loose, or damaged tiles with precise color and pattern matching', ar: 'إصلاح البلاط المتشقق أو المفكوك أو التالف مع مطابقة دقيقة للون والنقشة' }],
+            [{ en: 'Grout Repair & Replacement', ar: 'إصلاح الترويب واستبداله' }, { en: 'Re-grouting services to restore strength and appearance', ar: 'إعادة الترويب لاستعادة المتانة والمظهر' }],
+            [{ en: 'Tile Cleaning', ar: 'تنظيف البلاط' }, { en: 'Deep cleaning to remove stains, dirt, and mold from tiles and grout lines', ar: 'تنظيف عميق لإزالة البقع والأوساخ والعفن من البلاط وخطوط الترويب' }],
+            [{ en: 'Polishing & Finishing', ar: 'التلميع والتشطيب' }, { en: 'Surface polishing for marble and natural stone tiles', ar: 'تلميع أسطح الرخام وبلاط الحجر الطبيعي' }],
+        ],
+        features: [
+            ['fas fa-certificate', { en: 'Skilled Craftsmen', ar: 'حرفيون مهرة' }],
+            ['fas fa-ruler-combined', { en: 'Precision Work', ar: 'عمل دقيق' }],
+            ['fas fa-clock', { en: 'On-Time Completion', ar: 'إنجاز في الموعد' }],
+        ],
+        image: {
+            src: 'https://plus.unsplash.com/premium_photo-1664301210513-76167b070179?q=80',
+            alt: { en: 'Tiles Work Services', ar: 'خدمات أعمال البلاط' },
+        },
+    },
+    {
+        id:       'aluminum',
+        anchor:   'aluminum-door-services',
+        name:     { en: 'Aluminum Doors', ar: 'أبواب الألمنيوم' },
+        icon:     'fas fa-door-open',
+        title:    { en: 'Aluminum Door Services', ar: 'خدمات أبواب الألمنيوم' },
+        tagline:  { en: 'Durable, Modern & Secure Solutions', ar: 'حلول متينة وعصرية وآمنة' },
+        description: {
+            en: 'We provide professional aluminum door installation, repair, and maintenance services for residential and commercial properties. Our solutions combine durability, modern design, and long-lasting performance.',
+            ar: 'نقدّم خدمات احترافية لتركيب أبواب الألمنيوم وإصلاحها وصيانتها للعقارات السكنية والتجارية. تجمع حلولنا بين المتانة والتصميم العصري والأداء الذي يدوم.',
+        },
+        offeringsHeading: { en: 'Aluminum Door Services We Provide:', ar: 'خدمات أبواب الألمنيوم التي نقدّمها:' },
+        offerings: [
+            [{ en: 'Door Installation', ar: 'تركيب الأبواب' }, { en: 'Custom installation of aluminum doors for homes, offices, shops, and commercial spaces', ar: 'تركيب أبواب ألمنيوم حسب الطلب للمنازل والمكاتب والمحلات والمساحات التجارية' }],
+            [{ en: 'Door Repair', ar: 'إصلاح الأبواب' }, { en: 'Fixing damaged frames, hinges, handles, locks, and alignment issues', ar: 'إصلاح الإطارات والمفصلات والمقابض والأقفال التالفة ومشاكل الاستقامة' }],
+            [{ en: 'Sliding Door Systems', ar: 'أنظمة الأبواب المنزلقة' }, { en: 'Installation and repair of aluminum sliding doors', ar: 'تركيب وإصلاح أبواب الألمنيوم المنزلقة' }],
+            [{ en: 'Glass Replacement', ar: 'استبدال الزجاج' }, { en: 'Replacement of broken or cracked glass panels in aluminum doors', ar: 'استبدال ألواح الزجاج المكسورة أو المتشققة في أبواب الألمنيوم' }],
+            [{ en: 'Lock & Hardware Upgrades', ar: 'ترقية الأقفال والإكسسوارات' }, { en: 'Installation of secure locking systems and accessories', ar: 'تركيب أنظمة قفل آمنة وإكسسواراتها' }],
+            [{ en: 'Maintenance Services', ar: 'خدمات الصيانة' }, { en: 'Regular servicing to ensure smooth operation and extended lifespan', ar: 'صيانة دورية لضمان سلاسة التشغيل وإطالة العمر' }],
+        ],
+        features: [
+            ['fas fa-shield-alt', { en: 'Strong & Secure', ar: 'قوية وآمنة' }],
+            ['fas fa-ruler-combined', { en: 'Custom Fit Designs', ar: 'تصاميم حسب المقاس' }],
+            ['fas fa-tools', { en: 'Professional Installation', ar: 'تركيب احترافي' }],
+        ],
+        image: {
+            src: 'https://images.unsplash.com/photo-1600585154340-be6161a56a0c?w=600',
+            alt: { en: 'Aluminum Door Services', ar: 'خدمات أبواب الألمنيوم' },
+        },
+    },
+    {
+        id:       'ac',
+        anchor:   'ac-services',
+        name:     { en: 'AC Installation & Repair', ar: 'تركيب وإصلاح المكيفات' },
+        icon:     'fas fa-wind',
+        title:    { en: 'Air Conditioning Services', ar: 'خدمات التكييف' },
+        tagline:  { en: 'Keep Cool, Stay Comfortable', ar: 'أجواء باردة وراحة دائمة' },
+        description: {
+            en: 'Beat the Abu Dhabi heat with our comprehensive AC services. From installation to maintenance, we ensure your cooling system runs efficiently year-round.',
+            ar: 'تغلّب على حرارة أبوظبي مع خدمات التكييف الشاملة لدينا. من التركيب إلى الصيانة، نضمن عمل نظام التبريد لديك بكفاءة طوال العام.',
+        },
+        offeringsHeading: { en: 'What We Offer:', ar: 'ما نقدّمه:' },
+        offerings: [
+            [{ en: 'AC Installation', ar: 'تركيب المكيفات' }, { en: 'Expert installation of all AC types - split, central, window, and ducted systems', ar: 'تركيب احترافي لجميع أنواع المكيفات - السبليت والمركزي والشباك والمخفي' }],
+            [{ en: 'AC Repair', ar: 'إصلاح المكيفات' }, { en: 'Fast diagnosis and repair of all AC issues including cooling problems, refrigerant leaks, and electrical faults', ar: 'تشخيص وإصلاح سريع لجميع أعطال المكيفات بما فيها ضعف التبريد وتسرب الغاز والأعطال الكهربائية' }],
+            [{ en: 'Regular Maintenance', ar: 'الصيانة الدورية' }, { en: 'Preventive maintenance packages to extend AC lifespan and reduce energy costs', ar: 'باقات صيانة وقائية لإطالة عمر المكيف وخفض تكاليف الطاقة' }],
+            [{ en: 'Duct Cleaning', ar: 'تنظيف مجاري الهواء' }, { en: 'Professional cleaning to improve air quality and system efficiency', ar: 'تنظيف احترافي لتحسين جودة الهواء وكفاءة النظام' }],
+            [{ en: 'Emergency Services', ar: 'خدمات الطوارئ' }, { en: '24/7 availability for urgent AC breakdowns', ar: 'متاحون على مدار الساعة لأعطال المكيفات العاجلة' }],
+        ],
+        features: [
+            ['fas fa-certificate', { en: 'Certified Technicians', ar: 'فنيون معتمدون' }],
+            ['fas fa-tools', { en: 'Modern Equipment', ar: 'معدات حديثة' }],
+            ['fas fa-clock', { en: 'Quick Response', ar: 'استجابة سريعة' }],
+        ],
+        image: {
+            src: 'https://images.unsplash.com/photo-1621905251918-48416bd8575a?w=600',
+            alt: { en: 'AC Services', ar: 'خدمات التكييف' },
+        },
+        card: {
+            summary: {
+                en: 'Professional AC installation, repair, and maintenance. Keep your space cool and comfortable year-round.',
+                ar: 'تركيب وإصلاح وصيانة احترافية للمكيفات. حافظ على مساحتك باردة ومريحة طوال العام.',
+            },
+            highlights: [
+                { en: 'Installation & Setup', ar: 'التركيب والتشغيل' },
+                { en: 'Repair & Troubleshooting', ar: 'الإصلاح وتشخيص الأعطال' },
+                { en: 'Regular Maintenance', ar: 'الصيانة الدورية' },
+                { en: 'Duct Cleaning', ar: 'تنظيف مجاري الهواء' },
+            ],
+        },
+    },
+    {
+        id:       'plumbing',
+        anchor:   'plumbing-services',
+        name:     { en: 'Plumbing Works', ar: 'أعمال السباكة' },
+        icon:     'fas fa-faucet',
+        title:    { en: 'Plumbing Works', ar: 'أعمال السباكة' },
+        tagline:  { en: 'Expert Solutions for All Plumbing Needs', ar: 'حلول احترافية لكل احتياجات السباكة' },
+        description: {
+            en: 'From minor leaks to major installations, our experienced plumbers handle all your plumbing requirements with precision and care.',
+            ar: 'من التسريبات البسيطة إلى التركيبات الكبيرة، يتولى سبّاكونا ذوو الخبرة جميع متطلبات السباكة لديك بدقة وعناية.',
+        },
+        offeringsHeading: { en: 'Our Plumbing Services Include:', ar: 'تشمل خدمات السباكة لدينا:' },
+        offerings: [
+            [{ en: 'Pipe Installation & Repair', ar: 'تركيب الأنابيب وإصلاحها' }, { en: 'New installations, repairs, and replacements for all pipe types', ar: 'تركيبات جديدة وإصلاح واستبدال لجميع أنواع الأنابيب' }],
+            [{ en: 'Leak Detection & Fixing', ar: 'كشف التسربات وإصلاحها' }, { en: 'Advanced leak detection and professional repairs', ar: 'كشف متطور للتسربات وإصلاح احترافي' }],
+            [{ en: 'Bathroom Fixtures', ar: 'تجهيزات الحمامات' }, { en: 'Installation and repair of sinks, toilets, showers, and bathtubs', ar: 'تركيب وإصلاح المغاسل والمراحيض والدشات وأحواض الاستحمام' }],
+            [{ en: 'Water Heaters', ar: 'سخانات المياه' }, { en: 'Installation, maintenance, and repair of all water heater types', ar: 'تركيب وصيانة وإصلاح جميع أنواع سخانات المياه' }],
+            [{ en: 'Drain Cleaning', ar: 'تسليك المجاري' }, { en: 'Professional cleaning of clogged drains and sewage lines', ar: 'تسليك احترافي للمجاري المسدودة وخطوط الصرف' }],
+            [{ en: 'Kitchen Plumbing', ar: 'سباكة المطابخ' }, { en: 'Sink installations, dishwasher connections, and garbage disposal units', ar: 'تركيب المغاسل وتوصيل غسالات الصحون ووحدات طحن النفايات' }],
+        ],
+        features: [
+            ['fas fa-shield-alt', { en: 'Quality Materials', ar: 'مواد عالية الجودة' }],
+            ['fas fa-user-check', { en: 'Licensed Plumbers', ar: 'سبّاكون مرخّصون' }],
+            ['fas fa-phone-volume', { en: 'Emergency Available', ar: 'متاحون للطوارئ' }],
+        ],
+        image: {
+            src: 'https://images.unsplash.com/photo-1607472586893-edb57bdc0e39?w=600',
+            alt: { en: 'Plumbing Services', ar: 'خدمات السباكة' },
+        },
+        card: {
+            summary: {
+                en: 'Expert plumbing solutions for all your residential and commercial needs. Fast and reliable service.',
+                ar: 'حلول سباكة احترافية لجميع احتياجاتك السكنية والتجارية. خدمة سريعة وموثوقة.',
+            },
+            highlights: [
+                { en: 'Pipe Installation', ar: 'تركيب الأنابيب' },
+                { en: 'Leak Repairs', ar: 'إصلاح التسربات' },
+                { en: 'Bathroom Fixtures', ar: 'تجهيزات الحمامات' },
+                { en: 'Water Heaters', ar: 'سخانات المياه' },
+            ],
+        },
+    },
+    {
+        id:       'electrical',
+        anchor:   'electrical-services',
+        name:     { en: 'Electrical Works', ar: 'الأعمال الكهربائية' },
+        icon:     'fas fa-bolt',
+        title:    { en: 'Electrical Works', ar: 'الأعمال الكهربائية' },
+        tagline:  { en: 'Safe & Efficient Electrical Solutions', ar: 'حلول كهربائية آمنة وفعّالة' },
+        description: {
+            en: 'Our certified electricians provide safe, reliable electrical services for residential and commercial properties, ensuring compliance with all safety standards.',
+            ar: 'يقدّم كهربائيونا المعتمدون خدمات كهربائية آمنة وموثوقة للعقارات السكنية والتجارية، مع الالتزام بجميع معايير السلامة.',
+        },
+        offeringsHeading: { en: 'Electrical Services We Provide:', ar: 'الخدمات الكهربائية التي نقدّمها:' },
+        offerings: [
+            [{ en: 'Wiring & Rewiring', ar: 'التمديدات وإعادة التمديد' }, { en: 'Complete electrical wiring for new constructions and rewiring for renovations', ar: 'تمديدات كهربائية كاملة للمباني الجديدة وإعادة تمديد عند التجديد' }],
+            [{ en: 'Lighting Solutions', ar: 'حلول الإضاءة' }, { en: 'Indoor and outdoor lighting installation including LED upgrades', ar: 'تركيب الإضاءة الداخلية والخارجية بما في ذلك الترقية إلى LED' }],
+            [{ en: 'Power Outlets & Switches', ar: 'المقابس والمفاتيح' }, { en: 'Installation and repair of electrical outlets and switches', ar: 'تركيب وإصلاح المقابس والمفاتيح الكهربائية' }],
+            [{ en: 'Circuit Breakers', ar: 'قواطع الدوائر' }, { en: 'Installation, testing, and replacement of circuit breakers and fuse boxes', ar: 'تركيب وفحص واستبدال القواطع ولوحات التوزيع' }],
+            [{ en: 'Electrical Repairs', ar: 'الإصلاحات الكهربائية' }, { en: 'Troubleshooting and fixing all electrical issues', ar: 'تشخيص جميع الأعطال الكهربائية وإصلاحها' }],
+            [{ en: 'Safety Inspections', ar: 'فحوصات السلامة' }, { en: 'Comprehensive electrical safety audits', ar: 'تدقيق شامل للسلامة الكهربائية' }],
+        ],
+        features: [
+            ['fas fa-hard-hat', { en: 'Safety First', ar: 'السلامة أولاً' }],
+            ['fas fa-certificate', { en: 'Certified Electricians', ar: 'كهربائيون معتمدون' }],
+            ['fas fa-check-double', { en: 'Code Compliant', ar: 'مطابق للأنظمة' }],
+        ],
+        image: {
+            src: 'https://images.unsplash.com/photo-1621905252507-b35492cc74b4?w=600',
+            alt: { en: 'Electrical Services', ar: 'الخدمات الكهربائية' },
+        },
+        card: {
+            summary: {
+                en: 'Certified electricians for safe and efficient electrical installations and repairs.',
+                ar: 'كهربائيون معتمدون لتركيبات وإصلاحات كهربائية آمنة وفعّالة.',
+            },
+            highlights: [
+                { en: 'Wiring & Rewiring', ar: 'التمديدات وإعادة التمديد' },
+                { en: 'Lighting Solutions', ar: 'حلول الإضاءة' },
+                { en: 'Power Outlets', ar: 'المقابس الكهربائية' },
+                { en: 'Circuit Breakers', ar: 'قواطع الدوائر' },
+            ],
+        },
+    },
+    {
+        id:       'painting',
+        anchor:   'painting-services',
+        name:     { en: 'Painting Services', ar: 'خدمات الدهان' },
+        icon:     'fas fa-paint-roller',
+        title:    { en: 'Painting Services', ar: 'خدمات الدهان' },
+        tagline:  { en: 'Transform Your Space with Color', ar: 'غيّر مساحتك بالألوان' },
+        description: {
+            en: 'Give your property a fresh new look with our professional painting services. We use premium quality paints and deliver flawless finishes.',
+            ar: 'امنح عقارك مظهراً جديداً مع خدمات الدهان الاحترافية لدينا. نستخدم دهانات فاخرة ونقدّم تشطيبات خالية من العيوب.',
+        },
+        offeringsHeading: { en: 'Painting Solutions:', ar: 'حلول الدهان:' },
+        offerings: [
+            [{ en: 'Interior Painting', ar: 'الدهان الداخلي' }, { en: 'Complete interior painting for homes and offices with premium finishes', ar: 'دهان داخلي كامل للمنازل والمكاتب بتشطيبات فاخرة' }],
+            [{ en: 'Exterior Painting', ar: 'الدهان الخارجي' }, { en: 'Weather-resistant exterior painting to protect and beautify buildings', ar: 'دهان خارجي مقاوم للعوامل الجوية لحماية المباني وتجميلها' }],
+            [{ en: 'Texture Coating', ar: 'الدهانات المحبّبة' }, { en: 'Decorative texture finishes for walls and ceilings', ar: 'تشطيبات زخرفية محبّبة للجدران والأسقف' }],
+            [{ en: 'Wallpaper Installation', ar: 'تركيب ورق الجدران' }, { en: 'Professional wallpaper application and removal', ar: 'تركيب ورق الجدران وإزالته باحترافية' }],
+            [{ en: 'Wood Staining & Varnishing', ar: 'صبغ الخشب وتلميعه' }, { en: 'Expert finishing for wooden surfaces', ar: 'تشطيب احترافي للأسطح الخشبية' }],
+            [{ en: 'Color Consultation', ar: 'استشارات الألوان' }, { en: 'Free color advice to match your style', ar: 'نصائح مجانية لاختيار الألوان المناسبة لذوقك' }],
+        ],
+        features: [
+            ['fas fa-paint-brush', { en: 'Quality Paints', ar: 'دهانات عالية الجودة' }],
+            ['fas fa-users', { en: 'Skilled Painters', ar: 'دهّانون مهرة' }],
+            ['fas fa-broom', { en: 'Clean Finish', ar: 'تشطيب نظيف' }],
+        ],
+        image: {
+            src: 'https://images.unsplash.com/photo-1562259949-e8e7689d7828?w=600',
+            alt: { en: 'Painting Services', ar: 'خدمات الدهان' },
+        },
+        card: {
+            summary: {
+                en: 'Transform your space with our professional painting services. Quality finishes guaranteed.',
+                ar: 'غيّر مساحتك مع خدمات الدهان الاحترافية لدينا. تشطيبات عالية الجودة مضمونة.',
+            },
+            highlights: [
+                { en: 'Interior Painting', ar: 'الدهان الداخلي' },
+                { en: 'Exterior Painting', ar: 'الدهان الخارجي' },
+                { en: 'Texture Coating', ar: 'الدهانات المحبّبة' },
+                { en: 'Wallpaper Installation', ar: 'تركيب ورق الجدران' },
+            ],
+        },
+    },
+    {
+        id:       'carpentry',
+        anchor:   'carpentry-services',
+        name:     { en: 'Carpentry Works', ar: 'أعمال النجارة' },
+        icon:     'fas fa-hammer',
+        title:    { en: 'Carpentry Works', ar: 'أعمال النجارة' },
+        tagline:  { en: 'Craftsmanship That Lasts', ar: 'حرفية تدوم' },
+        description: {
+            en: 'Our skilled carpenters create custom woodwork solutions tailored to your needs, combining traditional craftsmanship with modern techniques.',
+            ar: 'يصنع نجّارونا المهرة أعمالاً خشبية مصممة حسب احتياجاتك، تجمع بين الحرفية التقليدية والتقنيات الحديثة.',
+        },
+        offeringsHeading: { en: 'Carpentry Services:', ar: 'خدمات النجارة:' },
+        offerings: [
+            [{ en: 'Custom Furniture', ar: 'أثاث حسب الطلب' }, { en: 'Bespoke furniture design and construction for any space', ar: 'تصميم وتصنيع أثاث حسب الطلب لأي مساحة' }],
+            [{ en: 'Kitchen Cabinets', ar: 'خزائن المطابخ' }, { en: 'Custom kitchen cabinetry with modern designs', ar: 'خزائن مطابخ حسب الطلب بتصاميم عصرية' }],
+            [{ en: 'Doors & Windows', ar: 'الأبواب والنوافذ' }, { en: 'Installation and repair of wooden doors and window frames', ar: 'تركيب وإصلاح الأبواب الخشبية وإطارات النوافذ' }],
+            [{ en: 'Shelving Solutions', ar: 'حلول الرفوف' }, { en: 'Built-in shelves and storage solutions', ar: 'رفوف مدمجة وحلول تخزين' }],
+            [{ en: 'Wardrobes', ar: 'خزائن الملابس' }, { en: 'Custom-built wardrobes and closet systems', ar: 'خزائن ملابس وأنظمة دواليب حسب الطلب' }],
+            [{ en: 'Furniture Repair', ar: 'إصلاح الأثاث' }, { en: 'Restoration and repair of wooden furniture', ar: 'ترميم الأثاث الخشبي وإصلاحه' }],
+            [{ en: 'Deep Cleaning', ar: 'التنظيف العميق' }, { en: 'Deep clening of your premises.', ar: 'تنظيف عميق لمنشأتك.' }],
+        ],
+        features: [
+            ['fas fa-tree', { en: 'Premium Wood', ar: 'خشب فاخر' }],
+            ['fas fa-ruler-combined', { en: 'Precise Measurements', ar: 'قياسات دقيقة' }],
+            ['fas fa-star', { en: 'Custom Designs', ar: 'تصاميم حسب الطلب' }],
+        ],
+        image: {
+            src: 'https://images.unsplash.com/photo-1586023492125-27b2c045efd7?w=600',
+            alt: { en: 'Carpentry Services', ar: 'خدمات النجارة' },
+        },
+        card: {
+            summary: {
+                en: 'Custom carpentry solutions from skilled craftsmen. Built to last and designed to impress.',
+                ar: 'حلول نجارة حسب الطلب من حرفيين مهرة. مصنوعة لتدوم ومصممة لتبهر.',
+            },
+            highlights: [
+                { en: 'Custom Furniture', ar: 'أثاث حسب الطلب' },
+                { en: 'Kitchen Cabinets', ar: 'خزائن المطابخ' },
+                { en: 'Doors & Windows', ar: 'الأبواب والنوافذ' },
+                { en: 'Shelving Solutions', ar: 'حلول الرفوف' },
+            ],
+        },
+    },
+    {
+        id:       'maintenance',
+        anchor:   'maintenance-services',
+        name:     { en: 'Building Maintenance', ar: 'صيانة المباني' },
+        icon:     'fas fa-building',
+        title:    { en: 'Building Maintenance', ar: 'صيانة المباني' },
+        tagline:  { en: 'Complete Facility Management', ar: 'إدارة متكاملة للمرافق' },
+        description: {
+            en: 'Keep your property in pristine condition with our comprehensive building maintenance packages designed for residential and commercial properties.',
+            ar: 'حافظ على عقارك في أفضل حال مع باقات صيانة المباني الشاملة لدينا، المصممة للعقارات السكنية والتجارية.',
+        },
+        offeringsHeading: { en: 'Maintenance Services:', ar: 'خدمات الصيانة:' },
+        offerings: [
+            [{ en: 'Regular Inspections', ar: 'الفحوصات الدورية' }, { en: 'Scheduled property inspections to identify issues early', ar: 'فحوصات مجدولة للعقار لاكتشاف المشاكل مبكراً' }],
+            [{ en: 'Preventive Maintenance', ar: 'الصيانة الوقائية' }, { en: 'Planned maintenance to prevent costly repairs', ar: 'صيانة مخططة لتجنّب الإصلاحات المكلفة' }],
+            [{ en: 'Emergency Repairs', ar: 'إصلاحات الطوارئ' }, { en: '24/7 response for urgent maintenance issues', ar: 'استجابة على مدار الساعة لأعمال الصيانة العاجلة' }],
+            [{ en: 'Facility Management', ar: 'إدارة المرافق' }, { en: 'Complete building management solutions', ar: 'حلول متكاملة لإدارة المباني' }],
+            [{ en: 'General Repairs', ar: 'الإصلاحات العامة' }, { en: 'All types of building repairs and fixes', ar: 'جميع أنواع إصلاحات المباني' }],
+            [{ en: 'Maintenance Contracts', ar: 'عقود الصيانة' }, { en: 'Flexible annual maintenance agreements', ar: 'عقود صيانة سنوية مرنة' }],
+            [{ en: 'Tiles Work', ar: 'أعمال البلاط' }, { en: 'New installation or repiar of old brocken tiles', ar: 'تركيب بلاط جديد أو إصلاح البلاط القديم المكسور' }],
+        ],
+        features: [
+            ['fas fa-calendar-check', { en: 'Scheduled Service', ar: 'خدمة مجدولة' }],
+            ['fas fa-headset', { en: '24/7 Support', ar: 'دعم على مدار الساعة' }],
+            ['fas fa-file-contract', { en: 'AMC Available', ar: 'عقود صيانة سنوية' }],
+        ],
+        image: {
+            src: 'https://images.unsplash.com/photo-1581578731548-c64695cc6952?w=600',
+            alt: { en: 'Building Maintenance', ar: 'صيانة المباني' },
+        },
+        card: {
+            summary: {
+                en: 'Comprehensive building maintenance packages to keep your property in pristine condition.',
+                ar: 'باقات صيانة شاملة للمباني تحافظ على عقارك في أفضل حال.',
+            },
+            highlights: [
+                { en: 'Regular Inspections', ar: 'الفحوصات الدورية' },
+                { en: 'Preventive Maintenance', ar: 'الصيانة الوقائية' },
+                { en: 'Emergency Repairs', ar: 'إصلاحات الطوارئ' },
+                { en: 'Facility Management', ar: 'إدارة المرافق' },
+            ],
+        },
+    },
+    {
+        id:       'gypsum',
+        anchor:   'gypsum-work',
+        name:     { en: 'Gypsum Work', ar: 'أعمال الجبس' },
+        icon:     'fas fa-layer-group',
+        title:    { en: 'Gypsum Work Services', ar: 'خدمات أعمال الجبس' },
+        tagline:  { en: 'Elegant Designs & Flawless Finishing', ar: 'تصاميم أنيقة وتشطيب متقن' },
+        description: {
+            en: 'Transform your interiors with professional gypsum work solutions. We specialize in modern ceiling designs, partitions, and decorative finishes for residential and commercial spaces.',
+            ar: 'جدّد مساحاتك الداخلية مع حلول الجبس الاحترافية. نتخصص في تصاميم الأسقف العصرية والقواطع والتشطيبات الزخرفية للمساحات السكنية والتجارية.',
+        },
+        offeringsHeading: { en: 'Gypsum Services We Provide:', ar: 'خدمات الجبس التي نقدّمها:' },
+        offerings: [
+            [{ en: 'False Ceiling Installation', ar: 'تركيب الأسقف المستعارة' }, { en: 'Custom gypsum ceiling designs with lighting integration', ar: 'تصاميم أسقف جبسية حسب الطلب مع دمج الإضاءة' }],
+            [{ en: 'Gypsum Partitions', ar: 'القواطع الجبسية' }, { en: 'Durable and smooth partition walls for offices and homes', ar: 'جدران فاصلة متينة وناعمة للمكاتب والمنازل' }],
+            [{ en: 'Ceiling Repair', ar: 'إصلاح الأسقف' }, { en: 'Fixing cracks, water damage, and sagging ceilings', ar: 'إصلاح التشققات وأضرار المياه والأسقف المترهلة' }],
+            [{ en: 'Decorative Designs', ar: 'التصاميم الزخرفية' }, { en: 'Modern patterns, cornices, and customized gypsum features', ar: 'نقوش عصرية وكرانيش وعناصر جبسية حسب الطلب' }],
+            [{ en: 'Lighting Cut-Outs', ar: 'فتحات الإضاءة' }, { en: 'Precision openings for spotlights, LED strips, and chandeliers', ar: 'فتحات دقيقة للسبوت لايت وشرائط LED والثريات' }],
+            [{ en: 'Maintenance & Finishing', ar: 'الصيانة والتشطيب' }, { en: 'Smooth plastering, sanding, and finishing for a premium look', ar: 'لياسة ناعمة وصنفرة وتشطيب لمظهر فاخر' }],
+        ],
+        features: [
+            ['fas fa-pencil-ruler', { en: 'Custom Designs', ar: 'تصاميم حسب الطلب' }],
+            ['fas fa-tools', { en: 'Precision Work', ar: 'عمل دقيق' }],
+            ['fas fa-clock', { en: 'Timely Completion', ar: 'إنجاز في الوقت المحدد' }],
+        ],
+        image: {
+            src: 'https://plus.unsplash.com/premium_photo-1683121023018-067bccddcb63?q=80',
+            alt: { en: 'Gypsum Work Services', ar: 'خدمات أعمال الجبس' },
+        },
+    },
+];
+
+// Offered in every service select after the catalogue entries
+const OTHER_SERVICE_ID = 'other';
+
+// Property types of the contact forms and the estimator, labelled in the current language
+const PROPERTY_LABELS = localizedLabels('property', ['residential', 'apartment', 'commercial', 'retail', 'warehouse', 'other']);
+
+// Where "Book" links go by default: the full contact form
+const BOOKING_PAGE   = 'contact.html';
+const BOOKING_ANCHOR = 'contactFormMain';
+
+// Everyday words accepted for ?property=, mapped to the form's values
+const PROPERTY_ALIASES = {
+    villa:      'residential',
+    house:      'residential',
+    townhouse:  'residential',
+    flat:       'apartment',
+    office:     'commercial',
+    shop:       'retail',
+    store:      'retail',
+    industrial: 'warehouse',
+};
+
+const BOOKING_TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+
+/* ============================================================
+   LOOKUPS
+   ============================================================ */
+
+function serviceById(id) {
+    return SERVICE_CATALOGUE.find(service => service.id === id) ?? null;
+}
+
+function serviceByAnchor(anchor) {
+    return SERVICE_CATALOGUE.find(service => service.anchor === anchor) ?? null;
+}
+
+/**
+ * Service name in the current language.
+ */
+function serviceName(service) {
+    return localize(service.name);
+}
+
+/**
+ * Value → label map of every service plus "Other", in the current language.
+ * Enumerable getters, like localizedLabels() in i18n.js.
+ */
+function serviceLabels(catalogue = SERVICE_CATALOGUE) {
+    const labels = {};
+    catalogue.forEach(service => {
+        Object.defineProperty(labels, service.id, { enumerable: true, get: () => serviceName(service) });
+    });
+    Object.defineProperty(labels, OTHER_SERVICE_ID, { enumerable: true, get: () => t('service.other') });
+    return labels;
+}
+
+/* ============================================================
+   BOOKING LINKS
+   ============================================================ */
+
+/**
+ * Link that opens a contact form with the service (and optionally the
+ * property type and urgency) preselected. An empty `page` links to the
+ * current page, e.g. '?service=ac#contact'.
+ * @param {{ service?: string, property?: string, urgent?: boolean }} booking
+ * @param {{ page?: string, anchor?: string }} [target]
+ */
+function bookingHref({ service, property, urgent } = {}, { page = BOOKING_PAGE, anchor = BOOKING_ANCHOR } = {}) {
+    const params = new URLSearchParams();
+    if (service)  params.set('service', service);
+    if (property) params.set('property', property);
+    if (urgent)   params.set('urgent', '1');
+
+    const query = params.toString();
+    return `${page}${query ? `?${query}` : ''}${anchor ? `#${anchor}` : ''}`;
+}
+
+/**
+ * Reads booking parameters from a query string (or a hash such as
+ * '#contact?service=ac'). Unknown services are dropped, property aliases
+ * are resolved; whether the form offers a value is left to the form.
+ * @returns {{ service?: string, property?: string, urgent?: boolean }|null}
+ *          null when the URL carries no booking parameters
+ */
+function readBookingLink(search = window.location.search) {
+    const params = new URLSearchParams(String(search).replace(/^[^?]*\?/, ''));
+    const booking = {};
+
+    const service = params.get('service')?.trim().toLowerCase();
+    if (service && (serviceById(service) || service === OTHER_SERVICE_ID)) booking.service = service;
+
+    const property = params.get('property')?.trim().toLowerCase();
+    if (property) booking.property = PROPERTY_ALIASES[property] ?? property;
+
+    if (params.has('urgent')) booking.urgent = BOOKING_TRUE_VALUES.includes(params.get('urgent').trim().toLowerCase());
+
+    return Object.keys(booking).length ? booking : null;
+}
+
+/* ============================================================
+   RENDERING
+   ============================================================ */
+
+/**
+ * A catalogue text in `lang`, or in the current language.
+ */
+function serviceText(text, lang) {
+    return lang ? text[lang] ?? text[I18N_DEFAULT] : localize(text);
+}
+
+/**
+ * The value at a dotted path of a service, e.g. 'offerings.2.0'.
+ */
+function serviceField(service, path) {
+    return path.split('.').reduce((value, key) => value?.[key], service);
+}
+
+/**
+ * Fills a service <select>, keeping its leading placeholder option and current value.
+ */
+function renderServiceOptions(select, catalogue = SERVICE_CATALOGUE) {
+    const placeholder = select.querySelector('option[value=""]');
+    const selected    = select.value;
+
+    select.replaceChildren(
+        ...(placeholder ? [placeholder] : []),
+        ...catalogue.map(service => new Option(serviceName(service), service.id)),
+        new Option(t('service.other'), OTHER_SERVICE_ID)
+    );
+    select.value = selected;
+}
+
+/*
+ * The card and detail markup is also written into index.html and
+ * services.html by dev/render-services.js, so both have content before
+ * (and without) JavaScript. Texts carry data-service-text="<path>" so a
+ * language switch can relabel them in place.
+ */
+
+/**
+ * Home page cards for the services that have a `card`.
+ * @param {object} [options]
+ * @param {{ page?: string, anchor?: string }} [options.booking] where "Book Service" links to;
+ *        by default the contact form on the same page
+ * @param {string} [options.lang] defaults to the current language
+ * @returns {string} HTML
+ */
+function serviceCardsHtml({ catalogue = SERVICE_CATALOGUE, booking = { page: '', anchor: 'contact' }, lang } = {}) {
+    const text = value => serviceText(value, lang);
+
+    // Cards fade in left to right, three to a row
+    return catalogue.filter(service => service.card).map((service, index) => `
+                <div class="service-card" data-service="${service.id}" data-aos="fade-up"${index % 3 ? ` data-aos-delay="${(index % 3) * 100}"` : ''}>
+                    <div class="service-card__icon">
+                        <i class="${service.icon}"></i>
+                    </div>
+                    <h3 class="service-card__title" data-service-text="name">${text(service.name)}</h3>
+                    <p class="service-card__description" data-service-text="card.summary">${text(service.card.summary)}</p>
+                    <ul class="service-card__list">
+                        ${service.card.highlights.map((item, i) => `<li><i class="fas fa-check"></i> <span data-service-text="card.highlights.${i}">${text(item)}</span></li>`).join('\n                        ')}
+                    </ul>
+                    <a href="${bookingHref({ service: service.id }, booking)}" class="service-card__link" data-booking-link data-track="cta_click" data-track-service="${service.id}" data-track-placement="card"><span data-i18n="service.bookService">${t('service.bookService')}</span> <i class="fas fa-arrow-right"></i></a>
+                </div>`).join('');
+}
+
+/**
+ * services.html detail sections; every other section shows its image first.
+ * @param {object} [options]
+ * @param {string} [options.lang]            defaults to the current language
+ * @param {string} [options.imageAttribute]  'src', or 'data-consent-src' until photos are allowed (consent.js)
+ * @returns {string} HTML
+ */
+function serviceDetailsHtml({ catalogue = SERVICE_CATALOGUE, lang, imageAttribute = 'data-consent-src' } = {}) {
+    const text = value => serviceText(value, lang);
+
+    return catalogue.map((service, index) => {
+        const reverse = index % 2 === 1;
+        const image = `
+                    <div class="service-detail__image">
+                        <img ${imageAttribute}="${service.image.src}" alt="${text(service.image.alt)}" data-service-alt="image.alt" loading="lazy">
+                    </div>`;
+        const body = `
+                    <div class="service-detail__text">
+                        <p data-service-text="description">${text(service.description)}</p>
+
+                        <h3 data-service-text="offeringsHeading">${text(service.offeringsHeading)}</h3>
+                        <ul class="service-detail__list">
+                            ${service.offerings.map(([title, detail], i) => `<li><i class="fas fa-check-circle"></i> <strong data-service-text="offerings.${i}.0">${text(title)}</strong>: <span data-service-text="offerings.${i}.1">${text(detail)}</span></li>`).join('\n                            ')}
+                        </ul>
+
+                        <div class="service-features">
+                            ${service.features.map(([icon, label], i) => `
+                            <div class="service-feature-item">
+                                <i class="${icon}"></i>
+                                <span data-service-text="features.${i}.1">${text(label)}</span>
+                            </div>`).join('')}
+                        </div>
+
+                        <a href="${bookingHref({ service: service.id })}" class="btn btn-primary service-detail__book" data-booking-link
+                           data-track="cta_click" data-track-service="${service.id}" data-track-placement="detail">
+                            <i class="fas fa-calendar-check"></i> <span data-i18n="service.book">${t('service.book')}</span> <span data-service-text="name">${text(service.name)}</span>
+                        </a>
+                    </div>`;
+
+        return `
+            <div class="service-detail${reverse ? ' reverse' : ''}" id="${service.anchor}" data-service="${service.id}" data-spy>
+                <div class="service-detail__header">
+                    <div class="service-detail__icon">
+                        <i class="${service.icon}"></i>
+                    </div>
+                    <div>
+                        <h2 data-service-text="title">${text(service.title)}</h2>
+                        <p class="service-detail__tagline" data-service-text="tagline">${text(service.tagline)}</p>
+                    </div>
+                </div>
+                <div class="service-detail__content">${reverse ? image + body : body + image}
+                </div>
+            </div>`;
+    }).join('');
+}
+
+function renderServiceCards(grid, options) {
+    grid.innerHTML = serviceCardsHtml(options);
+}
+
+function renderServiceDetails(container, options) {
+    container.innerHTML = serviceDetailsHtml({ imageAttribute: getConsent('media') ? 'src' : 'data-consent-src', ...options });
+}
+
+/**
+ * Labels everything rendered from the catalogue in the current language.
+ */
+function relabelServices(root = document) {
+    root.querySelectorAll('[data-service] [data-service-text]').forEach(el => {
+        const service = serviceById(el.closest('[data-service]').dataset.service);
+        const text    = service && serviceField(service, el.dataset.serviceText);
+        if (text) el.textContent = localize(text);
+    });
+    root.querySelectorAll('[data-service] [data-service-alt]').forEach(img => {
+        const service = serviceById(img.closest('[data-service]').dataset.service);
+        const text    = service && serviceField(service, img.dataset.serviceAlt);
+        if (text) img.alt = localize(text);
+    });
+    root.querySelectorAll('select[data-service-options]').forEach(select => renderServiceOptions(select));
+}
+
+/* ============================================================
+   INIT
+   ============================================================ */
+
+function initServiceCatalogue() {
+    // The pages ship the generated markup; render only where it is missing
+    document.querySelectorAll('[data-service-cards]').forEach(grid => grid.children.length || renderServiceCards(grid));
+    document.querySelectorAll('[data-service-details]').forEach(container => container.children.length || renderServiceDetails(container));
+    // The generated markup is in English
+    relabelServices();
+    onLanguageChange(() => relabelServices());
+}
+
+// In the browser only – dev/render-services.js loads the catalogue in Node
+if (typeof document !== 'undefined') {
+    // Run after the DOM is fully loaded – before the form and estimator scripts,
+    // which expect the options and sections to exist
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initServiceCatalogue);
+    } else {
+        initServiceCatalogue();
+    }
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SERVICE_CATALOGUE,
+        OTHER_SERVICE_ID,
+        PROPERTY_ALIASES,
+        PROPERTY_LABELS,
+        serviceById,
+        serviceByAnchor,
+        serviceName,
+        serviceLabels,
+        bookingHref,
+        readBookingLink,
+        renderServiceOptions,
+        serviceCardsHtml,
+        serviceDetailsHtml,
+        renderServiceCards,
+        renderServiceDetails,
+    };
+}
@@ -0,0 +1,114 @@
+/**
+ * slot-picker.js
+ * Preferred visit date / time-window picker for Prime Solid contact forms
+ * - Date limits and time windows come from the business hours model (hours.js)
+ * - Holidays, blackouts, by-appointment days and past windows can't be picked
+ * - Urgent requests switch to the 24/7 emergency flow instead of a slot,
+ *   with the business phone number (business.js) to call
+ * - Hints and time windows follow the page language
+ */
+
+'use strict';
+
+/* ============================================================
+   SLOT PICKER
+   ============================================================ */
+
+/**
+ * Wires a date input and a time-window select to the business hours.
+ * @param {object}           options
+ * @param {HTMLInputElement} options.dateInput
+ * @param {HTMLSelectElement} options.windowSelect
+ * @param {HTMLInputElement} [options.urgentInput] checkbox that switches to the emergency flow
+ * @param {object}           [options.hours]       defaults to BUSINESS_HOURS
+ * @param {Function}         [options.now]         clock, for testing
+ * @returns {{ refresh: Function, isEmergency: () => boolean }}
+ */
+function attachSlotPicker({ dateInput, windowSelect, urgentInput, hours = BUSINESS_HOURS, now = () => new Date() }) {
+    const container = dateInput.closest('.slot-picker') ?? dateInput.parentElement;
+
+    const hint = document.createElement('p');
+    hint.className = 'slot-picker__hint';
+    hint.setAttribute('aria-live', 'polite');
+    container.insertAdjacentElement('afterend', hint);
+
+    const emergency = document.createElement('div');
+    emergency.className = 'slot-picker__emergency';
+    emergency.hidden = true;
+    emergency.innerHTML = `
+        <i class="fas fa-exclamation-triangle"></i>
+        <p><strong data-i18n="slots.emergencyTitle"></strong> <span data-i18n="slots.emergencyText"></span>
+        <span data-i18n="slots.emergencyCall"></span> <a data-business-link="tel" data-business-number dir="ltr"></a>.</p>
+    `;
+    translatePage(emergency);
+    applyBusinessLinks(emergency);
+    hint.insertAdjacentElement('afterend', emergency);
+
+    function setLimits() {
+        const today = todayIn(hours.timeZone, now());
+        dateInput.min = today;
+        dateInput.max = addDays(today, BOOKING_HORIZON_DAYS);
+    }
+
+    function setOptions(placeholder, slots = []) {
+        const previous = windowSelect.value;
+        windowSelect.replaceChildren(
+            new Option(placeholder, ''),
+            ...slots.map(({ value, from, to }) => new Option(`${formatClock(from)} – ${formatClock(to)}`, value))
+        );
+        windowSelect.disabled = slots.length === 0;
+        // Keep the visitor's choice when it is still available
+        if (slots.some(s => s.value === previous)) windowSelect.value = previous;
+    }
+
+    function setEmergency(on) {
+        container.hidden = on;
+        hint.hidden = on;
+        emergency.hidden = !on;
+    }
+
+    /**
+     * Re-reads the inputs: date limits, windows for the chosen date and the urgent state.
+     */
+    function refresh() {
+        setLimits();
+        setEmergency(Boolean(urgentInput?.checked));
+
+        const date = dateInput.value;
+        if (!date) {
+            setOptions(t('form.chooseDate'));
+            hint.textContent = t('slots.optional');
+            return;
+        }
+
+        const problem = visitDateProblem(date, { hours, now: now() });
+        if (problem) {
+            setOptions(t('slots.none'));
+            hint.textContent = '';
+            return;
+        }
+
+        setOptions(t('slots.select'), generateSlots(date, { hours, now: now() }));
+        hint.textContent = t('slots.timeZone');
+    }
+
+    dateInput.addEventListener('change', refresh);
+    dateInput.addEventListener('focus', setLimits);     // the page may have been open since yesterday
+    urgentInput?.addEventListener('change', () => setEmergency(urgentInput.checked));
+    onLanguageChange(refresh);
+
+    refresh();
+
+    return {
+        refresh,
+        isEmergency: () => Boolean(urgentInput?.checked),
+    };
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { attachSlotPicker };
+}
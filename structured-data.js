@@ -0,0 +1,275 @@
+/**
+ * structured-data.js
+ * schema.org JSON-LD for search engines, built from the site's own data
+ * - HomeAndConstructionBusiness (a LocalBusiness) from the business profile
+ *   (business.js), with its OpeningHoursSpecification from hours.js
+ * - A Service per catalogue entry (service-catalogue.js) on pages showing services
+ * - FAQPage from the FAQ items (faq.js) on the page that shows them
+ * Injected as one <script type="application/ld+json"> @graph in <head>, in the
+ * page language.
+ * The builders take their data and language as arguments and touch no DOM or
+ * page globals, so Node can require this file (test/structured-data.test.js).
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+const STRUCTURED_DATA_ID = 'structured-data';
+
+const SCHEMA_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const SCHEMA_DEFAULT_LANGUAGE = 'en';
+
+/* ============================================================
+   BUILDERS
+   ============================================================ */
+
+/**
+ * An { en, ar } text in `lang`, falling back to English; plain strings pass through.
+ */
+function schemaText(text, lang = SCHEMA_DEFAULT_LANGUAGE) {
+    if (typeof text === 'string') return text;
+    return text?.[lang] ?? text?.[SCHEMA_DEFAULT_LANGUAGE] ?? '';
+}
+
+/**
+ * Weekly opening hours, plus holidays as closed days. Appointment-only days
+ * are left out – they are not regular opening hours.
+ * @param {object} hours  BUSINESS_HOURS
+ * @param {{ lang?: string }} [options]
+ */
+function openingHoursJsonLd(hours, { lang } = {}) {
+    const weekly = hours.weekly.filter(entry => !entry.byAppointment).map(entry => ({
+        '@type':   'OpeningHoursSpecification',
+        dayOfWeek: entry.days.map(day => SCHEMA_DAYS[day]),
+        opens:     entry.open,
+        closes:    entry.close,
+    }));
+
+    // schema.org marks a closed day with opens = closes = 00:00
+    const holidays = hours.holidays.map(({ date, name }) => ({
+        '@type':      'OpeningHoursSpecification',
+        name:         schemaText(name, lang),
+        validFrom:    date,
+        validThrough: date,
+        opens:        '00:00',
+        closes:       '00:00',
+    }));
+
+    return { weekly, holidays };
+}
+
+/**
+ * The business itself.
+ * @param {object} profile  BUSINESS_PROFILE
+ * @param {object} options
+ * @param {string} options.baseUrl   site root, ending in '/'
+ * @param {object} options.hours     BUSINESS_HOURS
+ * @param {object[]} [options.services] catalogue entries offered
+ * @param {string} [options.lang]
+ */
+function businessJsonLd(profile, { baseUrl, hours, services = [], lang }) {
+    const { weekly, holidays } = openingHoursJsonLd(hours, { lang });
+    const business = {
+        '@type':        'HomeAndConstructionBusiness',
+        '@id':          `${baseUrl}#business`,
+        name:           profile.name,
+        alternateName:  [profile.shortName, profile.nameAr],
+        description:    profile.description,
+        slogan:         profile.slogan,
+        url:            baseUrl,
+        logo:           new URL(profile.logo, baseUrl).href,
+        image:          new URL(profile.logo, baseUrl).href,
+        telephone:      profile.phone,
+        email:          profile.email,
+        foundingDate:   profile.founded,
+        identifier: {
+            '@type':    'PropertyValue',
+            propertyID: 'Trade Licence',
+            value:      profile.licence,
+        },
+        address: {
+            '@type':         'PostalAddress',
+            streetAddress:   profile.address.street,
+            addressLocality: profile.address.locality,
+            addressRegion:   profile.address.region,
+            addressCountry:  profile.address.country,
+        },
+        geo: {
+            '@type':   'GeoCoordinates',
+            latitude:  profile.geo.latitude,
+            longitude: profile.geo.longitude,
+        },
+        areaServed: { '@type': 'City', name: profile.areaServed },
+        openingHoursSpecification: weekly,
+        contactPoint: {
+            '@type':           'ContactPoint',
+            contactType:       'customer service',
+            telephone:         profile.phone,
+            email:             profile.email,
+            availableLanguage: profile.languages,
+        },
+        sameAs: [`https://wa.me/${profile.whatsapp}`],
+    };
+
+    if (holidays.length) business.specialOpeningHoursSpecification = holidays;
+
+    if (services.length) {
+        business.hasOfferCatalog = {
+            '@type':         'OfferCatalog',
+            name:            'Building maintenance services',
+            itemListElement: services.map(service => ({
+                '@type':     'Offer',
+                itemOffered: { '@id': serviceId(service, baseUrl) },
+            })),
+        };
+    }
+
+    return business;
+}
+
+function serviceId(service, baseUrl) {
+    return `${baseUrl}services.html#${service.anchor}`;
+}
+
+/**
+ * One catalogue service, provided by the business.
+ */
+function serviceJsonLd(service, profile, { baseUrl, lang }) {
+    return {
+        '@type':     'Service',
+        '@id':       serviceId(service, baseUrl),
+        name:        schemaText(service.title, lang),
+        serviceType: service.name.en,
+        description: schemaText(service.description, lang),
+        url:         serviceId(service, baseUrl),
+        image:       service.image?.src,
+        provider:    { '@id': `${baseUrl}#business` },
+        areaServed:  { '@type': 'City', name: profile.areaServed },
+        hasOfferCatalog: {
+            '@type':         'OfferCatalog',
+            name:            schemaText(service.title, lang),
+            itemListElement: service.offerings.map(([title, text]) => ({
+                '@type':     'Offer',
+                itemOffered: { '@type': 'Service', name: schemaText(title, lang), description: schemaText(text, lang) },
+            })),
+        },
+    };
+}
+
+/**
+ * The FAQ as question / answer pairs.
+ * @param {object[]} items
+ * @param {object}   options
+ * @param {string}   options.pageUrl
+ * @param {string}   options.hashPrefix  FAQ_HASH_PREFIX – each answer's link is #<prefix><id>
+ * @param {string}   [options.lang]
+ */
+function faqJsonLd(items, { pageUrl, hashPrefix, lang }) {
+    return {
+        '@type':    'FAQPage',
+        '@id':      `${pageUrl}#faq`,
+        mainEntity: items.map(item => ({
+            '@type':        'Question',
+            '@id':          `${pageUrl}#${hashPrefix}${item.id}`,
+            name:           schemaText(item.question, lang),
+            acceptedAnswer: { '@type': 'Answer', text: schemaText(item.answer, lang) },
+        })),
+    };
+}
+
+/**
+ * Everything for one page, as a single JSON-LD document.
+ * @param {object}   options
+ * @param {string}   options.baseUrl
+ * @param {string}   options.pageUrl   the page, without query or hash
+ * @param {object}   options.profile   BUSINESS_PROFILE
+ * @param {object}   options.hours     BUSINESS_HOURS
+ * @param {object[]} [options.services] services to describe (none on pages without them)
+ * @param {object[]} [options.faq]      FAQ items shown on the page
+ * @param {string}   [options.faqHashPrefix] FAQ_HASH_PREFIX, when there is a FAQ
+ * @param {string}   [options.lang]     'en' unless given
+ */
+function buildStructuredData({ baseUrl, pageUrl, profile, hours, services = [], faq = [], faqHashPrefix = '', lang }) {
+    const graph = [
+        businessJsonLd(profile, { baseUrl, hours, services, lang }),
+        ...services.map(service => serviceJsonLd(service, profile, { baseUrl, lang })),
+    ];
+    if (faq.length) graph.push(faqJsonLd(faq, { pageUrl, hashPrefix: faqHashPrefix, lang }));
+
+    return { '@context': SCHEMA_CONTEXT, '@graph': graph };
+}
+
+/* ============================================================
+   INJECTION
+   ============================================================ */
+
+/**
+ * Writes (or replaces) the page's JSON-LD block in <head>.
+ */
+function injectStructuredData(data) {
+    let script = document.getElementById(STRUCTURED_DATA_ID);
+    if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = STRUCTURED_DATA_ID;
+        document.head.appendChild(script);
+    }
+    // "</script>" inside a string must not end the element
+    script.textContent = JSON.stringify(data).replace(/</g, '\\u003c');
+    return script;
+}
+
+function initStructuredData() {
+    const pageUrl = `${window.location.origin}${window.location.pathname}`;
+    const baseUrl = new URL('./', pageUrl).href;
+
+    // Services and questions are described where the page shows them
+    const catalogue = typeof SERVICE_CATALOGUE !== 'undefined' ? SERVICE_CATALOGUE : [];
+    let services = [];
+    if (document.querySelector('[data-service-details]')) services = catalogue;
+    else if (document.querySelector('[data-service-cards]')) services = catalogue.filter(service => service.card);
+
+    const hasFaq = document.querySelector('[data-faq]') && typeof FAQ_ITEMS !== 'undefined';
+
+    injectStructuredData(buildStructuredData({
+        baseUrl,
+        pageUrl,
+        profile:       BUSINESS_PROFILE,
+        hours:         BUSINESS_HOURS,
+        services,
+        faq:           hasFaq ? FAQ_ITEMS : [],
+        faqHashPrefix: hasFaq ? FAQ_HASH_PREFIX : '',
+        lang:          getLanguage(),
+    }));
+}
+
+// In the browser only – test/structured-data.test.js requires the builders in Node
+if (typeof document !== 'undefined') {
+    // Run after the DOM is fully loaded
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initStructuredData);
+    } else {
+        initStructuredData();
+    }
+    // The text follows the page language
+    onLanguageChange(initStructuredData);
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        openingHoursJsonLd,
+        businessJsonLd,
+        serviceJsonLd,
+        faqJsonLd,
+        buildStructuredData,
+    };
+}
@@ -0,0 +1,170 @@
+/**
+ * sw.js
+ * Service worker – keeps the site usable on a poor or missing connection
+ * - Precaches the pages, the stylesheet, the scripts and the icon on install
+ * - Same-origin GETs are stale-while-revalidate: answered from the cache at
+ *   once, then refreshed from the network for the next visit
+ * - A refreshed file that differs from the cached one is reported to the open
+ *   pages ('content-updated'), which offer a reload (pwa.js)
+ * - A page that is neither cached nor reachable gets offline.html, with the
+ *   phone and WhatsApp buttons
+ * - A new version of this worker waits until a page sends 'skip-waiting'
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+
+// Bump when the precache list or this file's logic changes
+const SW_VERSION   = 'v3';
+const CACHE_PREFIX = 'primesolid-';
+const CACHE_NAME   = `${CACHE_PREFIX}${SW_VERSION}`;
+
+const OFFLINE_URL = 'offline.html';
+
+// Relative to this file, so the site works from any base path.
+// Installed visitors only fetch these again under a new cache: bump SW_VERSION
+// whenever one of these files changes, not just when the list does.
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'services.html',
+    'about.html',
+    'contact.html',
+    OFFLINE_URL,
+    'styles.css',
+    // Self-hosted icon font – only the solid and brand styles are in use
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'icon.png',
+    'icon-192.png',
+    'icon-512.png',
+    'icon-maskable-512.png',
+    'manifest.webmanifest',
+    'i18n.js',
+    'business.js',
+    'notifications.js',
+    'dialog.js',
+    'drawer.js',
+    'consent.js',
+    'analytics.js',
+    'scroll.js',
+    'navigation.js',
+    'pwa.js',
+    'transport.js',
+    'outbox.js',
+    'draft.js',
+    'validation.js',
+    'phone.js',
+    'attachments.js',
+    'hours.js',
+    'slot-picker.js',
+    'hours-status.js',
+    'counters.js',
+    'service-catalogue.js',
+    'estimator.js',
+    'contact.js',
+    'faq.js',
+    'coverage.js',
+    'structured-data.js',
+    'script.js',
+];
+
+// Submissions and analytics always go to the network
+const BYPASS_PATHS = ['/api/'];
+
+/* ============================================================
+   LIFECYCLE
+   ============================================================ */
+
+self.addEventListener('install', event => {
+    // Straight from the server – not from a possibly stale HTTP cache
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        // Pages opened before the first install work offline too
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', event => {
+    if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+/* ============================================================
+   FETCH
+   ============================================================ */
+
+function handles(request) {
+    const url = new URL(request.url);
+    return request.method === 'GET'
+        && url.origin === self.location.origin
+        && !BYPASS_PATHS.some(prefix => url.pathname.startsWith(prefix));
+}
+
+/**
+ * Whether a fresh response differs from the cached one. Compares validators
+ * when the server sends them, the bodies otherwise.
+ */
+async function hasChanged(cached, fresh) {
+    for (const header of ['ETag', 'Last-Modified']) {
+        const before = cached.headers.get(header);
+        const after  = fresh.headers.get(header);
+        if (before && after) return before !== after;
+    }
+    const [a, b] = await Promise.all([cached.clone().text(), fresh.clone().text()]);
+    return a !== b;
+}
+
+async function announceUpdate(url) {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage({ type: 'content-updated', url }));
+}
+
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const navigation = request.mode === 'navigate';
+    const cache = await caches.open(CACHE_NAME);
+
+    // A page is the same document whatever its query (services.html?service=ac)
+    const cached   = await cache.match(request, { ignoreSearch: navigation });
+    const previous = cached?.clone();    // the cached copy's body goes to the page
+    const key      = navigation ? new URL(request.url).pathname : request;
+
+    const refresh = fetch(request).then(async response => {
+        if (response.ok && response.type === 'basic') {
+            if (previous && await hasChanged(previous, response)) await announceUpdate(request.url);
+            await cache.put(key, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        // Offline or not, the cached copy has already been served
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await refresh;
+    } catch {
+        if (navigation) return (await cache.match(OFFLINE_URL)) ?? Response.error();
+        return Response.error();
+    }
+}
+
+self.addEventListener('fetch', event => {
+    if (handles(event.request)) event.respondWith(staleWhileRevalidate(event));
+});
@@ -0,0 +1,118 @@
+/**
+ * coverage.test.js
+ * Checks the service-area lookup: how typed area names are matched, which
+ * travel zone a location falls in, and that the area data agrees with the
+ * zone outlines
+ *
+ *   node --test test/
+ *
+ * The lookups are required as they are; the messages and widgets use the
+ * page's i18n helpers and are left to the browser.
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    COVERAGE_ZONES,
+    COVERAGE_AREAS,
+    normalizeAreaName,
+    findArea,
+    pointInOutline,
+    zoneAt,
+    checkCoverage,
+    coverageAt,
+} = require('../coverage.js');
+
+test('area names are compared without case, punctuation or the article', () => {
+    assert.equal(normalizeAreaName('  Al-Raha  Beach! '), 'raha beach');
+    assert.equal(normalizeAreaName('El Falah'), 'falah');
+    assert.equal(normalizeAreaName('الراحة'), normalizeAreaName('راحة'));
+    assert.equal(normalizeAreaName('أبوظبي'), normalizeAreaName('ابوظبي'));
+});
+
+test('findArea knows an area by its English or Arabic name and its aliases', () => {
+    assert.equal(findArea('Mussafah').id, 'mussafah');
+    assert.equal(findArea('musaffah').id, 'mussafah');
+    assert.equal(findArea('مصفح الصناعية').id, 'mussafah');
+    assert.equal(findArea('الراحة').id, 'al-raha');
+    assert.equal(findArea('Raha').id, 'al-raha');
+    assert.equal(findArea('MBZ').id, 'mbz-city');
+    assert.equal(findArea('KCB').id, 'shakhbout-city');
+});
+
+test('findArea completes the start of a name only when one area fits', () => {
+    assert.equal(findArea('sham').id, 'al-shamkha');
+    // Khalifa City, Khalifa City A and Khalifa City B (Shakhbout City)
+    assert.equal(findArea('khalifa'), null);
+    assert.equal(findArea('Khalifa City').id, 'khalifa-city');
+});
+
+test('findArea finds nothing for blank or unknown text', () => {
+    assert.equal(findArea(''), null);
+    assert.equal(findArea('  '), null);
+    assert.equal(findArea('Sharjah'), null);
+});
+
+test('findArea searches the areas it is given', () => {
+    const areas = [{ id: 'test', zone: 'core', at: [0, 0], name: { en: 'Testville', ar: 'تست' }, aliases: [] }];
+
+    assert.equal(findArea('testville', areas).id, 'test');
+    assert.equal(findArea('Mussafah', areas), null);
+});
+
+test('pointInOutline tells inside from outside', () => {
+    const square = [[0, 0], [0, 10], [10, 10], [10, 0]];
+
+    assert.equal(pointInOutline([5, 5], square), true);
+    assert.equal(pointInOutline([15, 5], square), false);
+    assert.equal(pointInOutline([5, -1], square), false);
+});
+
+test('zoneAt puts a point in the innermost zone containing it', () => {
+    // Mussafah lies inside the Greater Abu Dhabi outline too
+    assert.equal(pointInOutline([24.35, 54.50], COVERAGE_ZONES.outer.outline), true);
+    assert.equal(zoneAt([24.35, 54.50]), 'core');
+    assert.equal(zoneAt([24.47, 54.37]), 'city');
+    assert.equal(zoneAt([24.39, 54.71]), 'outer');
+});
+
+test('zoneAt is null outside every zone', () => {
+    assert.equal(zoneAt([25.20, 55.27]), null);    // Dubai
+    assert.equal(zoneAt([24.21, 55.74]), null);    // Al Ain
+});
+
+test('every known area lies in the zone it is listed under', () => {
+    COVERAGE_AREAS.forEach(area => {
+        assert.equal(zoneAt(area.at), area.zone, area.id);
+    });
+});
+
+test('area ids are unique and zones exist', () => {
+    assert.equal(new Set(COVERAGE_AREAS.map(area => area.id)).size, COVERAGE_AREAS.length);
+    COVERAGE_AREAS.forEach(area => {
+        assert.ok(area.zone === null || area.zone in COVERAGE_ZONES, area.id);
+    });
+});
+
+test('checkCoverage tells served, unserved and unknown areas apart', () => {
+    const yas = checkCoverage(' Yas ');
+    assert.deepEqual({ ...yas, area: yas.area.id }, { query: 'Yas', area: 'yas-island', zone: 'city', covered: true });
+
+    const dubai = checkCoverage('Dubai');
+    assert.equal(dubai.covered, false);
+    assert.equal(dubai.area.id, 'dubai');
+
+    assert.deepEqual(checkCoverage('Atlantis'), { query: 'Atlantis', area: null, zone: null, covered: null });
+});
+
+test('coverageAt names the nearest area in the zone of a position', () => {
+    const inMussafah = coverageAt({ latitude: 24.36, longitude: 54.49 });
+    assert.equal(inMussafah.zone, 'core');
+    assert.equal(inMussafah.covered, true);
+    assert.equal(inMussafah.area.id, 'mussafah');
+
+    assert.deepEqual(coverageAt({ latitude: 25.20, longitude: 55.27 }), { query: '', area: null, zone: null, covered: false });
+});
@@ -0,0 +1,139 @@
+/**
+ * hours.test.js
+ * Checks the live "open now / emergency only / closed" status against
+ * Dubai time, with the clock injected so every case is a fixed instant
+ *
+ *   node --test test/
+ *
+ * hours.js is required as it is; statusLabel() uses the page's i18n helpers,
+ * so – like test/structured-data.test.js – the labels run in one shared context.
+ * Asia/Dubai is UTC+4 all year, so 06:00Z is 10:00 in business time.
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+
+const { BUSINESS_HOURS, zonedParts, zonedDateTime, nextOpening, businessStatus } = require('../hours.js');
+
+/**
+ * Runs page scripts in one context and returns its global scope.
+ */
+function loadPageScripts(files) {
+    const context = vm.createContext({ console, URLSearchParams });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(SITE_ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+const page = loadPageScripts(['i18n.js', 'hours.js']);
+
+/**
+ * The badge text at an instant, built inside the page context.
+ */
+function labelAt(iso) {
+    const now = new Date(iso);
+    return { ...page.statusLabel(page.businessStatus(now), now) };
+}
+
+const clock = time => page.formatClock(time);
+
+// 2026-10-19 is a Monday; 2026-12-01 … 03 are holidays in BUSINESS_HOURS
+const MONDAY_10AM = '2026-10-19T06:00:00Z';
+
+test('zonedParts reads the calendar in Dubai, not in UTC', () => {
+    assert.deepEqual(zonedParts(new Date('2026-10-19T22:30:00Z')), {
+        year: 2026, month: 10, day: 20, hour: 2, minute: 30, weekday: 2, date: '2026-10-20', time: '02:30',
+    });
+});
+
+test('zonedDateTime is the instant of a Dubai wall time', () => {
+    assert.equal(zonedDateTime('2026-10-19', '08:00').toISOString(), '2026-10-19T04:00:00.000Z');
+    assert.equal(zonedDateTime('2026-10-19', '00:30').toISOString(), '2026-10-18T20:30:00.000Z');
+});
+
+test('open during regular hours, closing at the end of the day', () => {
+    const status = businessStatus(new Date(MONDAY_10AM));
+
+    assert.equal(status.state, 'open');
+    assert.equal(status.opensAt, null);
+    assert.equal(status.closesAt.date, '2026-10-19');
+    assert.equal(status.closesAt.time, '20:00');
+    assert.equal(status.closesAt.at.toISOString(), '2026-10-19T16:00:00.000Z');
+});
+
+test('closing time itself is no longer open', () => {
+    assert.equal(businessStatus(new Date('2026-10-19T15:59:00Z')).state, 'open');
+
+    const status = businessStatus(new Date('2026-10-19T16:00:00Z'));
+    assert.equal(status.state, 'emergency');
+    assert.equal(status.closesAt, null);
+    assert.deepEqual({ date: status.opensAt.date, time: status.opensAt.time }, { date: '2026-10-20', time: '08:00' });
+});
+
+test('before opening, the next opening is later the same day', () => {
+    const status = businessStatus(new Date('2026-10-19T03:30:00Z'));
+
+    assert.equal(status.state, 'emergency');
+    assert.equal(status.opensAt.date, '2026-10-19');
+    assert.equal(status.opensAt.at.toISOString(), '2026-10-19T04:00:00.000Z');
+});
+
+test('the by-appointment Sunday is skipped when looking for the next opening', () => {
+    const saturdayEvening = businessStatus(new Date('2026-10-24T14:30:00Z'));
+    assert.equal(saturdayEvening.state, 'emergency');
+    assert.equal(saturdayEvening.opensAt.date, '2026-10-26');
+
+    const sunday = businessStatus(new Date('2026-10-25T06:00:00Z'));
+    assert.equal(sunday.state, 'emergency');
+    assert.equal(sunday.opensAt.date, '2026-10-26');
+});
+
+test('a holiday is closed all day and named in the status', () => {
+    const status = businessStatus(new Date('2026-12-02T06:00:00Z'));
+
+    assert.equal(status.state, 'emergency');
+    assert.equal(status.holiday.date, '2026-12-02');
+    assert.equal(status.opensAt.date, '2026-12-04');
+});
+
+test('without an emergency line, out of hours is closed', () => {
+    const hours = { ...BUSINESS_HOURS, emergency: null };
+
+    assert.equal(businessStatus(new Date(MONDAY_10AM), hours).state, 'open');
+    assert.equal(businessStatus(new Date('2026-10-19T16:00:00Z'), hours).state, 'closed');
+});
+
+test('nextOpening gives up when nothing opens within the look-ahead', () => {
+    const hours = { ...BUSINESS_HOURS, weekly: [] };
+    assert.equal(nextOpening(new Date(MONDAY_10AM), hours), null);
+});
+
+test('the badge says when an open business closes', () => {
+    assert.deepEqual(labelAt(MONDAY_10AM), { title: 'Open now', detail: `Closes ${clock('20:00')}` });
+});
+
+test('the badge names the day of the next opening', () => {
+    assert.deepEqual(labelAt('2026-10-19T03:30:00Z'), { title: 'Emergency service only', detail: `Opens today ${clock('08:00')}` });
+    assert.deepEqual(labelAt('2026-10-19T16:00:00Z'), { title: 'Emergency service only', detail: `Opens tomorrow ${clock('08:00')}` });
+    assert.deepEqual(labelAt('2026-10-24T14:30:00Z'), { title: 'Emergency service only', detail: `Opens Mon ${clock('08:00')}` });
+});
+
+test('"today" follows the Dubai date, not the UTC one', () => {
+    // 22:30Z on Monday is already 02:30 on Tuesday in Dubai
+    assert.deepEqual(labelAt('2026-10-19T22:30:00Z'), { title: 'Emergency service only', detail: `Opens today ${clock('08:00')}` });
+});
+
+test('the badge names the holiday it is closed for', () => {
+    assert.deepEqual(labelAt('2026-12-02T06:00:00Z'), {
+        title:  'Emergency service only',
+        detail: `Closed for UAE National Day. Opens Fri ${clock('08:00')}`,
+    });
+});
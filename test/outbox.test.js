@@ -0,0 +1,107 @@
+/**
+ * outbox.test.js
+ * Checks the outbox's retry policy: the backoff between attempts and which
+ * transport failures are worth another try
+ *
+ *   node --test test/
+ *
+ * The errors come from the real HTTP transport, driven by a stub fetch;
+ * the IndexedDB side of the outbox is left to the browser.
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { outboxBackoff, isRetryableError } = require('../outbox.js');
+const { TransportError, createHttpTransport } = require('../transport.js');
+
+// No jitter: random() = 0.5 lands exactly on the nominal delay
+const steady = { random: () => 0.5 };
+
+/**
+ * The TransportError the HTTP transport raises for a stubbed fetch.
+ */
+async function failureOf(fetchImpl, options = {}) {
+    const transport = createHttpTransport({ endpoint: '/api/contact', fetchImpl, ...options });
+    return transport.send({ name: 'Test' }).then(
+        () => assert.fail('the send should have failed'),
+        err => err
+    );
+}
+
+test('backoff doubles from 5 s with each attempt', () => {
+    assert.deepEqual([1, 2, 3, 4].map(attempts => outboxBackoff(attempts, steady)), [5000, 10000, 20000, 40000]);
+});
+
+test('backoff treats a record never tried as its first attempt', () => {
+    assert.equal(outboxBackoff(0, steady), 5000);
+});
+
+test('backoff never waits more than 15 minutes', () => {
+    assert.equal(outboxBackoff(8, steady), 640000);
+    assert.equal(outboxBackoff(9, steady), 15 * 60 * 1000);
+    assert.equal(outboxBackoff(50, steady), 15 * 60 * 1000);
+});
+
+test('backoff jitter stays within 20 % either side', () => {
+    assert.equal(outboxBackoff(2, { random: () => 0 }), 8000);
+    assert.equal(outboxBackoff(2, { random: () => 1 }), 12000);
+});
+
+test('backoff follows the base and cap it is given', () => {
+    assert.equal(outboxBackoff(3, { ...steady, base: 100 }), 400);
+    assert.equal(outboxBackoff(3, { ...steady, base: 100, max: 250 }), 250);
+});
+
+test('network failures and timeouts are retried', () => {
+    assert.equal(isRetryableError(new TransportError('offline', { kind: 'network' })), true);
+    assert.equal(isRetryableError(new TransportError('slow', { kind: 'timeout' })), true);
+});
+
+test('server errors and rate limiting are retried, other HTTP errors are not', () => {
+    [500, 502, 503, 429].forEach(status => {
+        assert.equal(isRetryableError(new TransportError('http', { kind: 'http', status })), true, `HTTP ${status}`);
+    });
+    [400, 403, 404, 413, 422].forEach(status => {
+        assert.equal(isRetryableError(new TransportError('http', { kind: 'http', status })), false, `HTTP ${status}`);
+    });
+});
+
+test('errors that are not transport failures are not retried', () => {
+    assert.equal(isRetryableError(new TypeError('bug')), false);
+    assert.equal(isRetryableError(undefined), false);
+    assert.equal(isRetryableError(null), false);
+});
+
+test('an unreachable server is a retryable network failure', async () => {
+    const err = await failureOf(async () => { throw new TypeError('Failed to fetch'); });
+
+    assert.ok(err instanceof TransportError);
+    assert.equal(err.kind, 'network');
+    assert.equal(isRetryableError(err), true);
+});
+
+test('a server that does not answer in time is a retryable timeout', async () => {
+    const hang = (url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+    });
+    const err = await failureOf(hang, { timeout: 10 });
+
+    assert.equal(err.kind, 'timeout');
+    assert.equal(isRetryableError(err), true);
+});
+
+test('the HTTP status decides whether a rejected request is retried', async () => {
+    const respond = status => async () => ({ ok: false, status, text: async () => '' });
+
+    const unavailable = await failureOf(respond(503));
+    assert.equal(unavailable.kind, 'http');
+    assert.equal(unavailable.status, 503);
+    assert.equal(isRetryableError(unavailable), true);
+
+    const invalid = await failureOf(respond(422));
+    assert.equal(invalid.status, 422);
+    assert.equal(isRetryableError(invalid), false);
+});
@@ -0,0 +1,128 @@
+/**
+ * phone.test.js
+ * Checks UAE-first phone parsing, E.164 normalisation, the wa.me number,
+ * the validation rule and as-you-type formatting
+ *
+ *   node --test test/
+ *
+ * Only attachPhoneInput() needs a page; everything else is required as it is.
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePhone, phoneRule, toE164, toWhatsAppNumber, formatPhone } = require('../phone.js');
+
+test('every way of writing a UAE mobile number gives the same E.164', () => {
+    [
+        '050 123 4567',
+        '0501234567',
+        '501234567',
+        '+971 50 123 4567',
+        '00971 50 123 4567',
+        '971501234567',
+        '+971 (0)50 123-4567',
+    ].forEach(input => {
+        const parsed = parsePhone(input);
+        assert.equal(parsed.valid, true, input);
+        assert.equal(parsed.e164, '+971501234567', input);
+        assert.equal(parsed.country, 'AE', input);
+        assert.equal(parsed.type, 'mobile', input);
+    });
+});
+
+test('UAE landlines are valid and typed as such', () => {
+    assert.deepEqual(parsePhone('02 123 4567'), {
+        valid: true, e164: '+97121234567', country: 'AE', type: 'landline', nsn: '21234567', error: null,
+    });
+    assert.equal(parsePhone('+971 4 123 4567').e164, '+97141234567');
+});
+
+test('numbers that fit no UAE prefix or length are invalid-uae', () => {
+    ['051 123 4567', '050 123 456', '050 123 45678', '0123', '01 123 4567'].forEach(input => {
+        const parsed = parsePhone(input);
+        assert.equal(parsed.valid, false, input);
+        assert.equal(parsed.error, 'invalid-uae', input);
+        assert.equal(parsed.e164, null, input);
+    });
+});
+
+test('blank input is empty, not invalid', () => {
+    assert.equal(parsePhone('').error, 'empty');
+    assert.equal(parsePhone('   ').error, 'empty');
+    assert.equal(parsePhone(null).error, 'empty');
+});
+
+test('an international number takes its country from the dial code', () => {
+    const saudi = parsePhone('+966 50 123 4567');
+    assert.equal(saudi.valid, true);
+    assert.equal(saudi.country, 'SA');
+    assert.equal(saudi.type, 'other');
+    assert.equal(saudi.e164, '+966501234567');
+
+    assert.equal(parsePhone('0044 20 7946 0958').e164, '+442079460958');
+});
+
+test('a local number follows the country chosen for it', () => {
+    assert.equal(parsePhone('050 123 4567', 'SA').e164, '+966501234567');
+    assert.equal(parsePhone('123456789', 'SA').valid, true);
+    assert.equal(parsePhone('123456789').error, 'invalid-uae');
+    assert.equal(parsePhone('12', 'SA').error, 'invalid');
+});
+
+test('toE164 and toWhatsAppNumber normalise valid numbers', () => {
+    assert.equal(toE164('050 123 4567'), '+971501234567');
+    assert.equal(toE164('123'), null);
+    assert.equal(toWhatsAppNumber('050 123 4567'), '971501234567');
+    assert.equal(toWhatsAppNumber('501234567', 'SA'), '966501234567');
+});
+
+test('toWhatsAppNumber keeps the digits of a number it cannot parse', () => {
+    assert.equal(toWhatsAppNumber('12-34'), '1234');
+});
+
+test('phoneRule leaves empty values to required', () => {
+    assert.equal(phoneRule('', { rule: 'phone' }), true);
+});
+
+test('phoneRule checks the number against the country field', () => {
+    const rule = { rule: 'phone', countryField: 'phoneCountry' };
+
+    assert.equal(phoneRule('123456789', rule, { phoneCountry: 'SA' }), true);
+    assert.equal(phoneRule('123456789', rule, { phoneCountry: 'AE' }), false);
+    assert.equal(phoneRule('123456789', rule, {}), false);
+});
+
+test('phoneRule reports the message for the parse error', () => {
+    const rule = {
+        rule:         'phone',
+        countryField: 'phoneCountry',
+        messages:     { 'invalid-uae': 'Please enter a UAE number.', invalid: value => `${value} is too short.` },
+    };
+
+    assert.equal(phoneRule('051 123 4567', rule, {}), 'Please enter a UAE number.');
+    assert.equal(phoneRule('12', rule, { phoneCountry: 'SA' }), '12 is too short.');
+});
+
+test('formatPhone groups UAE numbers the local way', () => {
+    assert.equal(formatPhone('0501234567'), '050 123 4567');
+    assert.equal(formatPhone('021234567'), '02 123 4567');
+    assert.equal(formatPhone('501234567'), '50 123 4567');
+    assert.equal(formatPhone('+971501234567'), '+971 50 123 4567');
+    assert.equal(formatPhone('0097121234567'), '00971 2 123 4567');
+});
+
+test('formatPhone handles a number still being typed', () => {
+    assert.equal(formatPhone(''), '');
+    assert.equal(formatPhone('+'), '+');
+    assert.equal(formatPhone('050'), '050');
+    assert.equal(formatPhone('05012'), '050 12');
+    assert.equal(formatPhone('+9715012'), '+971 50 12');
+});
+
+test('formatPhone groups other countries 3-3-4 after the code', () => {
+    assert.equal(formatPhone('+966501234567'), '+966 501 234 567');
+    assert.equal(formatPhone('5012345678', 'SA'), '501 234 5678');
+});
@@ -0,0 +1,198 @@
+/**
+ * structured-data.test.js
+ * Checks the JSON-LD built by structured-data.js against the schema.org
+ * shapes search engines expect, using the site's real data
+ *
+ *   node --test test/
+ *
+ * business.js, hours.js and structured-data.js are required as they are;
+ * the service catalogue and the FAQ use the page's i18n helpers, so – like
+ * dev/render-services.js – they run in one shared context.
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+
+const { BUSINESS_PROFILE } = require('../business.js');
+const { BUSINESS_HOURS }   = require('../hours.js');
+const { buildStructuredData, openingHoursJsonLd } = require('../structured-data.js');
+
+const BASE_URL = 'https://primesolid.example/';
+const PAGE_URL = `${BASE_URL}contact.html`;
+
+/**
+ * Runs page scripts in one context and returns its global scope.
+ */
+function loadPageScripts(files) {
+    const context = vm.createContext({ console, URLSearchParams });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(SITE_ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+// Copied out of the context: arrays from another realm never deep-equal this one's
+const page = loadPageScripts(['i18n.js', 'business.js', 'phone.js', 'service-catalogue.js', 'faq.js']);
+const SERVICE_CATALOGUE = structuredClone(vm.runInContext('SERVICE_CATALOGUE', page));
+const FAQ_ITEMS         = structuredClone(vm.runInContext('FAQ_ITEMS', page));
+const FAQ_HASH_PREFIX   = vm.runInContext('FAQ_HASH_PREFIX', page);
+
+function build(options = {}) {
+    return buildStructuredData({
+        baseUrl:       BASE_URL,
+        pageUrl:       PAGE_URL,
+        profile:       BUSINESS_PROFILE,
+        hours:         BUSINESS_HOURS,
+        services:      SERVICE_CATALOGUE,
+        faq:           FAQ_ITEMS,
+        faqHashPrefix: FAQ_HASH_PREFIX,
+        ...options,
+    });
+}
+
+function nodeOfType(data, type) {
+    return data['@graph'].find(node => node['@type'] === type);
+}
+
+test('is one schema.org document with a @graph', () => {
+    const data = build();
+
+    assert.equal(data['@context'], 'https://schema.org');
+    assert.ok(Array.isArray(data['@graph']));
+    data['@graph'].forEach(node => assert.equal(typeof node['@type'], 'string'));
+});
+
+test('survives JSON serialisation unchanged', () => {
+    const data = build();
+    assert.deepEqual(JSON.parse(JSON.stringify(data)), data);
+});
+
+test('describes the business from the business profile', () => {
+    const business = nodeOfType(build(), 'HomeAndConstructionBusiness');
+
+    assert.equal(business['@id'], `${BASE_URL}#business`);
+    assert.equal(business.name, BUSINESS_PROFILE.name);
+    assert.equal(business.telephone, BUSINESS_PROFILE.phone);
+    assert.equal(business.email, BUSINESS_PROFILE.email);
+    assert.equal(business.url, BASE_URL);
+    assert.equal(business.logo, `${BASE_URL}${BUSINESS_PROFILE.logo}`);
+    assert.deepEqual(business.identifier, { '@type': 'PropertyValue', propertyID: 'Trade Licence', value: BUSINESS_PROFILE.licence });
+    assert.equal(business.address['@type'], 'PostalAddress');
+    assert.equal(business.address.addressCountry, 'AE');
+    assert.equal(business.geo['@type'], 'GeoCoordinates');
+    assert.equal(business.contactPoint['@type'], 'ContactPoint');
+    assert.deepEqual(business.sameAs, [`https://wa.me/${BUSINESS_PROFILE.whatsapp}`]);
+});
+
+test('business areaServed is a City', () => {
+    const business = nodeOfType(build(), 'HomeAndConstructionBusiness');
+    assert.deepEqual(business.areaServed, { '@type': 'City', name: BUSINESS_PROFILE.areaServed });
+});
+
+test('openingHoursSpecification lists the regular weekly hours only', () => {
+    const business = nodeOfType(build(), 'HomeAndConstructionBusiness');
+
+    assert.deepEqual(business.openingHoursSpecification, [
+        {
+            '@type':   'OpeningHoursSpecification',
+            dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+            opens:     '08:00',
+            closes:    '20:00',
+        },
+        {
+            '@type':   'OpeningHoursSpecification',
+            dayOfWeek: ['Saturday'],
+            opens:     '08:00',
+            closes:    '18:00',
+        },
+    ]);
+});
+
+test('holidays are closed days in specialOpeningHoursSpecification', () => {
+    const business = nodeOfType(build(), 'HomeAndConstructionBusiness');
+    const special  = business.specialOpeningHoursSpecification;
+
+    assert.equal(special.length, BUSINESS_HOURS.holidays.length);
+    special.forEach((spec, i) => {
+        const holiday = BUSINESS_HOURS.holidays[i];
+        assert.equal(spec['@type'], 'OpeningHoursSpecification');
+        assert.equal(spec.name, holiday.name.en);
+        assert.equal(spec.validFrom, holiday.date);
+        assert.equal(spec.validThrough, holiday.date);
+        assert.equal(spec.opens, '00:00');
+        assert.equal(spec.closes, '00:00');
+    });
+});
+
+test('opening hours follow the hours they are given', () => {
+    const hours = {
+        weekly:   [{ days: [0, 6], label: 'Weekend', open: '10:00', close: '14:00' }],
+        holidays: [],
+    };
+
+    assert.deepEqual(openingHoursJsonLd(hours), {
+        weekly: [{ '@type': 'OpeningHoursSpecification', dayOfWeek: ['Sunday', 'Saturday'], opens: '10:00', closes: '14:00' }],
+        holidays: [],
+    });
+});
+
+test('one Service per catalogue entry, offered by the business', () => {
+    const data     = build();
+    const business = nodeOfType(data, 'HomeAndConstructionBusiness');
+    const services = data['@graph'].filter(node => node['@type'] === 'Service');
+
+    assert.equal(services.length, SERVICE_CATALOGUE.length);
+    assert.equal(business.hasOfferCatalog['@type'], 'OfferCatalog');
+    assert.deepEqual(business.hasOfferCatalog.itemListElement.map(offer => offer.itemOffered['@id']), services.map(service => service['@id']));
+
+    services.forEach((service, i) => {
+        const entry = SERVICE_CATALOGUE[i];
+        assert.equal(service['@id'], `${BASE_URL}services.html#${entry.anchor}`);
+        assert.equal(service.name, entry.title.en);
+        assert.deepEqual(service.provider, { '@id': `${BASE_URL}#business` });
+        assert.deepEqual(service.areaServed, { '@type': 'City', name: BUSINESS_PROFILE.areaServed });
+        assert.equal(service.hasOfferCatalog.itemListElement.length, entry.offerings.length);
+        service.hasOfferCatalog.itemListElement.forEach(offer => {
+            assert.equal(offer['@type'], 'Offer');
+            assert.equal(offer.itemOffered['@type'], 'Service');
+            assert.equal(typeof offer.itemOffered.name, 'string');
+        });
+    });
+});
+
+test('FAQPage mainEntity holds a Question with an acceptedAnswer per item', () => {
+    const faq = nodeOfType(build(), 'FAQPage');
+
+    assert.equal(faq['@id'], `${PAGE_URL}#faq`);
+    assert.equal(faq.mainEntity.length, FAQ_ITEMS.length);
+    faq.mainEntity.forEach((question, i) => {
+        const item = FAQ_ITEMS[i];
+        assert.deepEqual(question, {
+            '@type':        'Question',
+            '@id':          `${PAGE_URL}#${FAQ_HASH_PREFIX}${item.id}`,
+            name:           item.question.en,
+            acceptedAnswer: { '@type': 'Answer', text: item.answer.en },
+        });
+    });
+});
+
+test('the text is in the language asked for', () => {
+    const data = build({ lang: 'ar' });
+
+    assert.equal(data['@graph'].find(node => node['@type'] === 'Service').name, SERVICE_CATALOGUE[0].title.ar);
+    assert.equal(nodeOfType(data, 'FAQPage').mainEntity[0].acceptedAnswer.text, FAQ_ITEMS[0].answer.ar);
+});
+
+test('pages without services or questions describe the business only', () => {
+    const data = build({ services: [], faq: [] });
+
+    assert.deepEqual(data['@graph'].map(node => node['@type']), ['HomeAndConstructionBusiness']);
+    assert.equal(data['@graph'][0].hasOfferCatalog, undefined);
+});
@@ -0,0 +1,161 @@
+/**
+ * validation.test.js
+ * Checks the schema-driven validator: the built-in rules, rule order and
+ * messages, per-rule triggers, cross-field dependencies and schema errors
+ *
+ *   node --test test/
+ *
+ * validation.js has no page dependencies, so it is required as it is.
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { VALIDATORS, DEFAULT_MESSAGES, createValidator } = require('../validation.js');
+
+test('optional rules pass on empty values, required does not', () => {
+    ['email', 'phone', 'minLength', 'pattern'].forEach(rule => {
+        assert.equal(VALIDATORS[rule]('', { value: 3 }), true, rule);
+    });
+    assert.equal(VALIDATORS.required(''), false);
+    assert.equal(VALIDATORS.required('   '), false);
+    assert.equal(VALIDATORS.required(false), false);
+    assert.equal(VALIDATORS.required('x'), true);
+});
+
+test('email and the generic phone rule check the format', () => {
+    assert.equal(VALIDATORS.email(' someone@example.ae '), true);
+    assert.equal(VALIDATORS.email('someone@example'), false);
+    assert.equal(VALIDATORS.phone('+971 (50) 123-4567'), true);
+    assert.equal(VALIDATORS.phone('12345'), false);
+});
+
+test('length rules count the trimmed text, maxLength the raw text', () => {
+    assert.equal(VALIDATORS.minLength('  ab  ', { value: 3 }), false);
+    assert.equal(VALIDATORS.minLength('abc', { value: 3 }), true);
+    assert.equal(VALIDATORS.maxLength('abcd', { value: 3 }), false);
+    assert.equal(VALIDATORS.maxLength('abc', { value: 3 }), true);
+});
+
+test('a field passes when every rule passes', async () => {
+    const validator = createValidator({
+        email: { rules: [{ rule: 'required' }, { rule: 'email' }] },
+    });
+    assert.equal(await validator.validateField('email', { email: 'a@b.co' }), true);
+});
+
+test('rules run in order and the first failure is reported', async () => {
+    const validator = createValidator({
+        email: {
+            rules: [
+                { rule: 'required', message: 'Email address is required.' },
+                { rule: 'email',    message: 'Please enter a valid email address.' },
+            ],
+        },
+    });
+
+    assert.equal(await validator.validateField('email', { email: '' }), 'Email address is required.');
+    assert.equal(await validator.validateField('email', { email: 'nope' }), 'Please enter a valid email address.');
+});
+
+test('messages fall back to the defaults and fill in {value}', async () => {
+    const validator = createValidator({
+        message: { rules: [{ rule: 'minLength', value: 10 }] },
+        name:    { rules: [{ rule: 'required', message: value => `"${value}" is not a name.` }] },
+    });
+
+    assert.equal(await validator.validateField('message', { message: 'short' }), 'Please enter at least 10 characters.');
+    assert.equal(await validator.validateField('name', { name: ' ' }), '" " is not a name.');
+    assert.equal(DEFAULT_MESSAGES.minLength, 'Please enter at least {value} characters.');
+});
+
+test('a rule returning a string reports that string', async () => {
+    const validator = createValidator({
+        code: { rules: [{ rule: 'custom', validate: value => value === 'ok' || `"${value}" is not ok` }] },
+    });
+    assert.equal(await validator.validateField('code', { code: 'bad' }), '"bad" is not ok');
+});
+
+test('a rule limited to some triggers still runs on submit', async () => {
+    let calls = 0;
+    const validator = createValidator({
+        email: {
+            triggers: ['input', 'blur'],
+            rules: [{ rule: 'async', triggers: ['blur'], validate: async () => { calls++; return false; } }],
+        },
+    });
+    const values = { email: 'a@b.co' };
+
+    assert.equal(await validator.validateField('email', values, 'input'), true);
+    assert.equal(calls, 0);
+    assert.equal(await validator.validateField('email', values, 'blur'), DEFAULT_MESSAGES.async);
+    assert.equal(await validator.validateField('email', values), DEFAULT_MESSAGES.async);
+    assert.equal(calls, 2);
+});
+
+test('async rules receive the context passed in', async () => {
+    const controller = new AbortController();
+    let seen;
+    const validator = createValidator({
+        email: { rules: [{ rule: 'async', validate: async (value, values, context) => { seen = context; return true; } }] },
+    });
+
+    await validator.validateField('email', { email: 'a@b.co' }, 'blur', { signal: controller.signal });
+    assert.equal(seen.signal, controller.signal);
+});
+
+test('cross-field rules read the other values and list their dependencies', async () => {
+    const validator = createValidator({
+        password: { rules: [{ rule: 'required' }] },
+        confirm:  { rules: [{ rule: 'crossField', fields: ['password'], validate: (value, values) => value === values.password }] },
+    });
+
+    assert.equal(await validator.validateField('confirm', { password: 'a', confirm: 'b' }), DEFAULT_MESSAGES.crossField);
+    assert.equal(await validator.validateField('confirm', { password: 'a', confirm: 'a' }), true);
+    assert.deepEqual(validator.dependentsOf('password'), ['confirm']);
+    assert.deepEqual(validator.dependentsOf('confirm'), []);
+});
+
+test('validateAll maps each failing field to its message', async () => {
+    const validator = createValidator({
+        name:  { rules: [{ rule: 'required' }] },
+        email: { rules: [{ rule: 'email' }] },
+    });
+
+    assert.deepEqual(await validator.validateAll({ name: '', email: 'a@b.co' }), {
+        valid:  false,
+        errors: { name: DEFAULT_MESSAGES.required },
+    });
+    assert.deepEqual(await validator.validateAll({ name: 'Ali', email: '' }), { valid: true, errors: {} });
+});
+
+test('pages can add and replace validators', async () => {
+    const validator = createValidator(
+        { phone: { rules: [{ rule: 'phone' }, { rule: 'even' }] } },
+        { validators: { phone: value => value.startsWith('05'), even: value => value.length % 2 === 0 } }
+    );
+
+    assert.equal(await validator.validateField('phone', { phone: '+971501234567' }), DEFAULT_MESSAGES.phone);
+    assert.equal(await validator.validateField('phone', { phone: '050123456' }), DEFAULT_MESSAGES.custom);
+    assert.equal(await validator.validateField('phone', { phone: '0501234567' }), true);
+});
+
+test('triggers and debounce come from the schema, with defaults', () => {
+    const validator = createValidator({
+        email:   { triggers: ['blur'], debounce: 300, rules: [] },
+        message: { rules: [] },
+    });
+
+    assert.deepEqual(validator.fields, ['email', 'message']);
+    assert.deepEqual(validator.triggersOf('email'), ['blur']);
+    assert.deepEqual(validator.triggersOf('message'), ['input', 'blur']);
+    assert.equal(validator.debounceOf('email'), 300);
+    assert.equal(validator.debounceOf('message'), 0);
+});
+
+test('unknown rules and triggers are rejected when the schema is compiled', () => {
+    assert.throws(() => createValidator({ email: { rules: [{ rule: 'emial' }] } }), /unknown rule "emial" on field "email"/);
+    assert.throws(() => createValidator({ email: { triggers: ['keyup'], rules: [] } }), /unknown trigger "keyup" on field "email"/);
+});
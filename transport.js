@@ -0,0 +1,156 @@
+/**
+ * transport.js
+ * Submission transports for Prime Solid Contracting & General Maintenance
+ * - HTTP transport: POSTs the collected form data as JSON to an endpoint,
+ *   or as multipart/form-data when files are attached
+ * - WhatsApp & Email transports: build deep links the customer sends manually
+ * - Shared error type so callers can tell network, timeout and server failures apart
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const TRANSPORT_TIMEOUT_MS = 15000;
+
+/* ============================================================
+   ERRORS
+   ============================================================ */
+
+/**
+ * Raised by a transport when a submission does not reach us.
+ * `kind` is one of 'network' | 'timeout' | 'http'.
+ */
+class TransportError extends Error {
+    constructor(message, { kind = 'network', status = 0, cause } = {}) {
+        super(message);
+        this.name   = 'TransportError';
+        this.kind   = kind;
+        this.status = status;
+        if (cause) this.cause = cause;
+    }
+}
+
+/* ============================================================
+   HTTP TRANSPORT
+   ============================================================ */
+
+/**
+ * Creates a transport that POSTs the payload as JSON.
+ * With files, the body is multipart/form-data instead: the payload as JSON in
+ * a `payload` part, followed by one `attachments` part per file.
+ * Resolves with the parsed response body (or null when the body is empty).
+ * @param {{ endpoint: string, timeout?: number, fetchImpl?: Function }} options
+ */
+function createHttpTransport({ endpoint, timeout = TRANSPORT_TIMEOUT_MS, fetchImpl } = {}) {
+    if (!endpoint) throw new Error('createHttpTransport: an endpoint is required.');
+
+    return {
+        name: 'http',
+
+        async send(payload, files = []) {
+            const doFetch    = fetchImpl ?? globalThis.fetch.bind(globalThis);
+            const controller = new AbortController();
+            const timer      = setTimeout(() => controller.abort(), timeout);
+
+            const headers = { 'Accept': 'application/json' };
+            let body;
+            if (files.length) {
+                // The browser sets the multipart boundary itself
+                body = new FormData();
+                body.append('payload', JSON.stringify(payload));
+                files.forEach(file => body.append('attachments', file, file.name));
+            } else {
+                headers['Content-Type'] = 'application/json';
+                body = JSON.stringify(payload);
+            }
+
+            let response;
+            try {
+                response = await doFetch(endpoint, {
+                    method: 'POST',
+                    headers,
+                    body,
+                    signal: controller.signal,
+                });
+            } catch (err) {
+                const timedOut = err?.name === 'AbortError';
+                throw new TransportError(
+                    timedOut ? 'The server took too long to respond.' : 'Could not reach the server.',
+                    { kind: timedOut ? 'timeout' : 'network', cause: err }
+                );
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (!response.ok) {
+                throw new TransportError(`The server rejected the request (HTTP ${response.status}).`, {
+                    kind:   'http',
+                    status: response.status,
+                });
+            }
+
+            const text = await response.text();
+            try {
+                return text ? JSON.parse(text) : null;
+            } catch {
+                return text;
+            }
+        },
+    };
+}
+
+/* ============================================================
+   CHANNEL TRANSPORTS (WhatsApp / Email deep links)
+   ============================================================ */
+
+/**
+ * Creates a transport that hands the message to WhatsApp.
+ * @param {{ number: string }} options  Number in international format without '+'.
+ */
+function createWhatsAppTransport({ number }) {
+    return {
+        name: 'whatsapp',
+
+        href(message) {
+            return `https://wa.me/${number}?text=${encodeURIComponent(message)}`;
+        },
+
+        async send(message) {
+            window.open(this.href(message), '_blank', 'noopener');
+        },
+    };
+}
+
+/**
+ * Creates a transport that hands the message to the visitor's mail client.
+ * @param {{ address: string, subject: string }} options
+ */
+function createEmailTransport({ address, subject }) {
+    return {
+        name: 'email',
+
+        href(message) {
+            return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(message)}`;
+        },
+
+        async send(message) {
+            window.location.href = this.href(message);
+        },
+    };
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRANSPORT_TIMEOUT_MS,
+        TransportError,
+        createHttpTransport,
+        createWhatsAppTransport,
+        createEmailTransport,
+    };
+}
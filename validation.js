@@ -0,0 +1,302 @@
+/**
+ * validation.js
+ * Schema-driven validation for Prime Solid forms
+ * - One schema per form: field → { rules, triggers, debounce }
+ * - Built-in validators: required, email, phone, minLength, maxLength,
+ *   pattern, custom, async and crossField
+ * - Live validation bound to configurable triggers (input / blur / change / submit)
+ *   with per-field debounce and stale-result protection for async rules
+ * - No page dependencies: usable in the browser and under Node / jsdom
+ *
+ * Schema example:
+ *   {
+ *     email: {
+ *       triggers: ['input', 'blur'],
+ *       debounce: 300,
+ *       rules: [
+ *         { rule: 'required', message: 'Email address is required.' },
+ *         { rule: 'email',    message: 'Please enter a valid email address.' },
+ *       ],
+ *     },
+ *   }
+ *
+ * A rule may carry its own `triggers` to run only on some of the field's
+ * triggers (e.g. an expensive async check on 'blur' and 'submit' only).
+ * Every rule runs on 'submit'.
+ */
+
+'use strict';
+
+/* ============================================================
+   CONSTANTS
+   ============================================================ */
+const VALIDATION_TRIGGERS         = ['input', 'blur', 'change', 'submit'];
+const VALIDATION_DEFAULT_TRIGGERS = ['input', 'blur'];
+
+/* ============================================================
+   BUILT-IN VALIDATORS
+   ============================================================ */
+
+function asText(value) {
+    return value == null ? '' : String(value);
+}
+
+function isBlankValue(value) {
+    return value === false || asText(value).trim() === '';
+}
+
+/**
+ * Each validator receives (value, rule, values, context) and returns
+ * true, false, or an error message (sync or as a Promise).
+ * Optional rules other than `required` pass on empty values, so
+ * "required" and "format" stay independent.
+ */
+const VALIDATORS = {
+    required: value => !isBlankValue(value),
+
+    email: value => isBlankValue(value) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(asText(value).trim()),
+
+    // Generic international check; pages may replace it with a stricter one
+    phone: value => isBlankValue(value) || /^\+?[0-9]{7,15}$/.test(asText(value).trim().replace(/[\s\-().]/g, '')),
+
+    minLength: (value, { value: min }) => isBlankValue(value) || asText(value).trim().length >= min,
+
+    maxLength: (value, { value: max }) => asText(value).length <= max,
+
+    pattern: (value, { value: pattern }) => isBlankValue(value) || new RegExp(pattern).test(asText(value)),
+
+    custom: (value, { validate }, values) => validate(value, values),
+
+    async: (value, { validate }, values, context) => validate(value, values, context),
+
+    // `fields` lists the other fields this rule reads, so editing them re-checks this one
+    crossField: (value, { validate }, values) => validate(value, values),
+};
+
+const DEFAULT_MESSAGES = {
+    required:   'This field is required.',
+    email:      'Please enter a valid email address.',
+    phone:      'Please enter a valid phone number.',
+    minLength:  'Please enter at least {value} characters.',
+    maxLength:  'Please enter no more than {value} characters.',
+    pattern:    'Please match the requested format.',
+    custom:     'This value is not valid.',
+    async:      'This value is not valid.',
+    crossField: 'This value does not match.',
+};
+
+/**
+ * Resolves a rule's message: a function, or a string with {value} placeholders.
+ */
+function formatRuleMessage(rule, value) {
+    const template = rule.message ?? DEFAULT_MESSAGES[rule.rule] ?? DEFAULT_MESSAGES.custom;
+    if (typeof template === 'function') return template(value, rule);
+    return template.replace(/\{value\}/g, String(rule.value ?? ''));
+}
+
+/* ============================================================
+   VALIDATOR
+   ============================================================ */
+
+/**
+ * Compiles a schema into a validator.
+ * @param {object} schema
+ * @param {{ validators?: object }} [options] extra / overriding validators by name
+ */
+function createValidator(schema, { validators = {} } = {}) {
+    const registry = { ...VALIDATORS, ...validators };
+
+    Object.entries(schema).forEach(([name, field]) => {
+        (field.triggers ?? []).forEach(trigger => {
+            if (!VALIDATION_TRIGGERS.includes(trigger)) {
+                throw new Error(`validation: unknown trigger "${trigger}" on field "${name}".`);
+            }
+        });
+        (field.rules ?? []).forEach(rule => {
+            if (!registry[rule.rule]) {
+                throw new Error(`validation: unknown rule "${rule.rule}" on field "${name}".`);
+            }
+        });
+    });
+
+    function triggersOf(name) {
+        return schema[name]?.triggers ?? VALIDATION_DEFAULT_TRIGGERS;
+    }
+
+    function appliesOn(rule, trigger) {
+        return trigger === 'submit' || !rule.triggers || rule.triggers.includes(trigger);
+    }
+
+    /**
+     * Runs a field's rules in order and stops at the first failure.
+     * Resolves with true or the error message.
+     * @param {string} name
+     * @param {object} values  every field's current value, for cross-field rules
+     * @param {string} [trigger]
+     * @param {{ signal?: AbortSignal }} [context] passed to async rules
+     */
+    async function validateField(name, values, trigger = 'submit', context = {}) {
+        const value = values[name];
+
+        for (const rule of schema[name]?.rules ?? []) {
+            if (!appliesOn(rule, trigger)) continue;
+
+            const result = await registry[rule.rule](value, rule, values, context);
+            if (result === true) continue;
+            return typeof result === 'string' ? result : formatRuleMessage(rule, value);
+        }
+        return true;
+    }
+
+    /**
+     * Validates every field in the schema.
+     * Resolves with { valid, errors } where errors maps field → message.
+     */
+    async function validateAll(values, trigger = 'submit') {
+        const names   = Object.keys(schema);
+        const results = await Promise.all(names.map(name => validateField(name, values, trigger)));
+
+        const errors = {};
+        results.forEach((result, i) => {
+            if (result !== true) errors[names[i]] = result;
+        });
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Names of fields whose cross-field rules read `name`.
+     */
+    function dependentsOf(name) {
+        return Object.entries(schema)
+            .filter(([, field]) => (field.rules ?? []).some(rule => rule.fields?.includes(name)))
+            .map(([other]) => other);
+    }
+
+    return {
+        schema,
+        fields: Object.keys(schema),
+        triggersOf,
+        debounceOf: name => schema[name]?.debounce ?? 0,
+        dependentsOf,
+        validateField,
+        validateAll,
+    };
+}
+
+/* ============================================================
+   LIVE VALIDATION (DOM binding)
+   ============================================================ */
+
+/**
+ * Wires a validator to form elements.
+ * @param {object}   validator  from createValidator()
+ * @param {object}   options
+ * @param {Function} options.elementOf (name) → element | null
+ * @param {Function} options.values    () → current values of every field
+ * @param {Function} options.report    (name, true | message) → void
+ * @returns {{ validate: Function, validateAll: Function, destroy: Function }}
+ */
+function createLiveValidation(validator, { elementOf, values, report }) {
+    const timers      = {};
+    const controllers = {};
+    const touched     = new Set();
+    const teardown    = [];
+
+    /**
+     * Validates one field, aborting any in-flight async check for it so a slow
+     * earlier result can never overwrite a newer one.
+     */
+    async function run(name, trigger) {
+        controllers[name]?.abort();
+        const controller = new AbortController();
+        controllers[name] = controller;
+
+        const result = await validator.validateField(name, values(), trigger, { signal: controller.signal });
+        if (controller.signal.aborted) return result;
+
+        report(name, result);
+        return result;
+    }
+
+    function schedule(name, trigger) {
+        clearTimeout(timers[name]);
+        const wait = trigger === 'input' ? validator.debounceOf(name) : 0;
+
+        const go = () => {
+            run(name, trigger);
+            // Re-check fields that depend on this one, once they've been touched
+            validator.dependentsOf(name)
+                .filter(dep => touched.has(dep))
+                .forEach(dep => run(dep, trigger));
+        };
+
+        if (wait > 0) {
+            timers[name] = setTimeout(go, wait);
+        } else {
+            go();
+        }
+    }
+
+    validator.fields.forEach(name => {
+        const el = elementOf(name);
+        if (!el) return;
+
+        validator.triggersOf(name)
+            .filter(trigger => trigger !== 'submit')
+            .forEach(trigger => {
+                const listener = () => {
+                    touched.add(name);
+                    schedule(name, trigger);
+                };
+                el.addEventListener(trigger, listener);
+                teardown.push(() => el.removeEventListener(trigger, listener));
+            });
+    });
+
+    /**
+     * Checks one field now, as when the visitor leaves it – for changes made
+     * outside the field itself, such as the phone number's country.
+     */
+    function validate(name) {
+        touched.add(name);
+        clearTimeout(timers[name]);
+        return run(name, 'blur');
+    }
+
+    /**
+     * Full check used on submit: cancels pending debounced checks and reports every field.
+     */
+    async function validateAll() {
+        Object.values(timers).forEach(clearTimeout);
+        validator.fields.forEach(name => touched.add(name));
+
+        const results = await Promise.all(validator.fields.map(name => run(name, 'submit')));
+        const errors  = {};
+        results.forEach((result, i) => {
+            if (result !== true) errors[validator.fields[i]] = result;
+        });
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    function destroy() {
+        Object.values(timers).forEach(clearTimeout);
+        Object.values(controllers).forEach(c => c.abort());
+        teardown.forEach(fn => fn());
+    }
+
+    return { validate, validateAll, destroy };
+}
+
+/* ============================================================
+   EXPORTS (Node / test runners)
+   ============================================================ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VALIDATION_TRIGGERS,
+        VALIDATORS,
+        DEFAULT_MESSAGES,
+        createValidator,
+        createLiveValidation,
+    };
+}